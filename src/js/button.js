@@ -106,7 +106,9 @@ class Button extends ClickableComponent {
   handleKeyPress(event) {
 
     // Ignore Space (32) or Enter (13) key operation, which is handled by the browser for a button.
+    // The default is not prevented, but the player should not handle it as a hotkey.
     if (event.which === 32 || event.which === 13) {
+      event.stopPropagation();
       return;
     }
 
@@ -3,10 +3,7 @@
  */
 import Component from './component';
 import * as Dom from './utils/dom.js';
-import * as Events from './utils/events.js';
-import * as Fn from './utils/fn.js';
 import log from './utils/log.js';
-import document from 'global/document';
 import {assign} from './utils/obj';
 
 /**
@@ -202,8 +199,8 @@ class ClickableComponent extends Component {
 
   /**
    * This gets called when a `ClickableComponent` gains focus via a `focus` event.
-   * Turns on listening for `keydown` events. When they happen it
-   * calls `this.handleKeyPress`.
+   * Turns on listening for `keydown` events on this `ClickableComponent`s element.
+   * When they happen it calls `this.handleKeyPress`.
    *
    * @param {EventTarget~Event} event
    *        The `focus` event that caused this function to be called.
@@ -211,13 +208,16 @@ class ClickableComponent extends Component {
    * @listens focus
    */
   handleFocus(event) {
-    Events.on(document, 'keydown', Fn.bind(this, this.handleKeyPress));
+    this.on('keydown', this.handleKeyPress);
   }
 
   /**
    * Called when this ClickableComponent has focus and a key gets pressed down. By
    * default it will call `this.handleClick` when the key is space or enter.
    *
+   * Keys that are not handled here bubble up to the {@link Player}, which
+   * handles its hotkeys.
+   *
    * @param {EventTarget~Event} event
    *        The `keydown` event that caused this function to be called.
    *
@@ -228,6 +228,8 @@ class ClickableComponent extends Component {
     // Support Space (32) or Enter (13) key operation to fire a click event
     if (event.which === 32 || event.which === 13) {
       event.preventDefault();
+      // Do not let the player handle this key as a hotkey as well
+      event.stopPropagation();
       this.trigger('click');
     } else if (super.handleKeyPress) {
 
@@ -246,7 +248,7 @@ class ClickableComponent extends Component {
    * @listens blur
    */
   handleBlur(event) {
-    Events.off(document, 'keydown', Fn.bind(this, this.handleKeyPress));
+    this.off('keydown', this.handleKeyPress);
   }
 }
 
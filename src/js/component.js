@@ -159,6 +159,18 @@ class Component {
 
     // remove reference to the player after disposing of the element
     this.player_ = null;
+
+    this.isDisposed_ = true;
+  }
+
+  /**
+   * Get whether the `Component` has been disposed.
+   *
+   * @return {boolean}
+   *         Whether the `Component` has been disposed.
+   */
+  isDisposed() {
+    return !!this.isDisposed_;
   }
 
   /**
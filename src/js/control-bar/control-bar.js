@@ -2,16 +2,22 @@
  * @file control-bar.js
  */
 import Component from '../component.js';
+import toTitleCase from '../utils/to-title-case.js';
+import mergeOptions from '../utils/merge-options.js';
 
 // Required children
 import './play-toggle.js';
+import './skip-buttons/skip-backward.js';
+import './skip-buttons/skip-forward.js';
 import './time-controls/current-time-display.js';
 import './time-controls/duration-display.js';
 import './time-controls/time-divider.js';
 import './time-controls/remaining-time-display.js';
 import './live-display.js';
+import './time-controls/live-time-display.js';
 import './seek-to-live.js';
 import './progress-control/progress-control.js';
+import './picture-in-picture-toggle.js';
 import './fullscreen-toggle.js';
 import './volume-panel.js';
 import './text-track-controls/chapters-button.js';
@@ -20,8 +26,26 @@ import './text-track-controls/subtitles-button.js';
 import './text-track-controls/captions-button.js';
 import './text-track-controls/subs-caps-button.js';
 import './audio-track-controls/audio-track-button.js';
+import './quality-controls/quality-menu-button.js';
 import './playback-rate-menu/playback-rate-menu-button.js';
 import './spacer-controls/custom-control-spacer.js';
+import './overflow-menu-button.js';
+import './settings-menu-button.js';
+
+/**
+ * Get the name of a child in a layout, as it is returned by `Component#name`.
+ *
+ * @param {string|Object} child
+ *        The name of the child, or an object with the `name` of the child.
+ *
+ * @return {string}
+ *         The name of the child.
+ *
+ * @private
+ */
+const layoutChildName = function(child) {
+  return toTitleCase(typeof child === 'string' ? child : child.name);
+};
 
 /**
  * Container of main controls.
@@ -30,6 +54,46 @@ import './spacer-controls/custom-control-spacer.js';
  */
 class ControlBar extends Component {
 
+  /**
+   * Creates an instance of this class.
+   *
+   * @param {Player} player
+   *        The `Player` that this class should be attached to.
+   *
+   * @param {Object} [options]
+   *        The key/value store of player options.
+   *
+   * @param {Object} [options.layouts]
+   *        Lists of children to show instead of `options.children`, keyed by
+   *        the names of the player breakpoints they are shown at, for example
+   *        `{small: ['playToggle', 'progressControl', 'fullscreenToggle']}`.
+   *        Only used if the player is `responsive`.
+   */
+  constructor(player, options) {
+    super(player, options);
+
+    // Children that are not part of the current layout, kept so that they
+    // do not have to be recreated when a layout that uses them comes back.
+    this.detachedChildren_ = {};
+    this.layout_ = this.options_.children;
+
+    this.on(player, 'breakpointchange', this.updateLayout);
+    this.updateLayout();
+  }
+
+  /**
+   * Dispose of the `ControlBar` and all child components, including the
+   * ones that are not part of the current layout.
+   */
+  dispose() {
+    Object.keys(this.detachedChildren_).forEach((name) => {
+      this.detachedChildren_[name].dispose();
+    });
+    this.detachedChildren_ = null;
+
+    super.dispose();
+  }
+
   /**
    * Create the `Component`'s DOM element
    *
@@ -42,6 +106,137 @@ class ControlBar extends Component {
       dir: 'ltr'
     });
   }
+
+  /**
+   * Show the children of the layout for the current breakpoint of the player,
+   * or the default children if there is no layout for it. Children that stay
+   * are moved rather than recreated, and children that are added to the
+   * control bar by other code stay behind the child they were added after.
+   *
+   * @listens Player#breakpointchange
+   */
+  updateLayout() {
+    const layouts = this.options_.layouts || {};
+    const breakpoint = this.player_.currentBreakpoint();
+    const layout = layouts[breakpoint] || this.options_.children;
+
+    if (layout === this.layout_ || !Array.isArray(layout)) {
+      return;
+    }
+
+    this.layout_ = layout;
+
+    // controls in the overflow menu are laid out like all other children
+    const overflowMenuButton = this.getChild('OverflowMenuButton');
+
+    if (overflowMenuButton) {
+      overflowMenuButton.restoreControls();
+    }
+
+    // all children that any layout can show
+    const managed = {};
+
+    [this.options_.children].concat(Object.keys(layouts).map((key) => layouts[key]))
+      .forEach((children) => {
+        (children || []).forEach((child) => {
+          managed[layoutChildName(child)] = true;
+        });
+      });
+
+    // children that are not managed by the layouts follow the managed child
+    // that precedes them
+    const leading = [];
+    const following = {};
+    let previous;
+
+    this.children().forEach((child) => {
+      const name = child.name();
+
+      if (managed[name]) {
+        previous = name;
+        following[name] = [];
+      } else if (previous) {
+        following[previous].push(child);
+      } else {
+        leading.push(child);
+      }
+    });
+
+    const shown = {};
+    let order = leading;
+
+    layout.forEach((child) => {
+      const component = this.getLayoutChild_(child);
+
+      if (component) {
+        shown[component.name()] = true;
+        order = order.concat(component, following[component.name()] || []);
+      }
+    });
+
+    this.children().slice().forEach((child) => {
+      const name = child.name();
+
+      if (managed[name] && !shown[name]) {
+        this.removeChild(child);
+        this.detachedChildren_[name] = child;
+        order = order.concat(following[name] || []);
+      }
+    });
+
+    order.forEach((child, index) => {
+      if (this.children_[index] !== child) {
+        this.addChild(child, {}, index);
+      }
+    });
+
+    if (overflowMenuButton && this.getChild('OverflowMenuButton')) {
+      overflowMenuButton.updateOverflow();
+    }
+  }
+
+  /**
+   * Get a child of a layout, reusing it if it was created before and
+   * creating it otherwise.
+   *
+   * @param {string|Object} child
+   *        The name of the child, or an object with the `name` and the options
+   *        of the child.
+   *
+   * @return {Component|undefined}
+   *         The child, or undefined if it is turned off in the options.
+   *
+   * @private
+   */
+  getLayoutChild_(child) {
+    const name = layoutChildName(child);
+    const existing = this.getChild(name) || this.detachedChildren_[name];
+
+    if (existing) {
+      delete this.detachedChildren_[name];
+      return existing;
+    }
+
+    const key = typeof child === 'string' ? child : child.name;
+    let opts = this.options_[key] !== undefined ? this.options_[key] : child;
+
+    if (opts === false) {
+      return;
+    }
+
+    // the options of the layouts are shared, so they are not changed here
+    opts = mergeOptions(typeof opts === 'object' ? opts : {}, {
+      playerOptions: this.options_.playerOptions
+    });
+
+    const component = this.addChild(key, opts);
+
+    if (component) {
+      this[key] = component;
+    }
+
+    return component;
+  }
 }
 
 /**
@@ -53,12 +248,15 @@ class ControlBar extends Component {
 ControlBar.prototype.options_ = {
   children: [
     'playToggle',
+    'skipBackward',
+    'skipForward',
     'volumePanel',
     'currentTimeDisplay',
     'timeDivider',
     'durationDisplay',
     'progressControl',
     'liveDisplay',
+    'liveTimeDisplay',
     'seekToLive',
     'remainingTimeDisplay',
     'customControlSpacer',
@@ -67,6 +265,9 @@ ControlBar.prototype.options_ = {
     'descriptionsButton',
     'subsCapsButton',
     'audioTrackButton',
+    'qualityMenuButton',
+    'overflowMenuButton',
+    'pictureInPictureToggle',
     'fullscreenToggle'
   ]
 };
@@ -0,0 +1,226 @@
+/**
+ * @file overflow-menu-button.js
+ */
+import MenuButton from '../menu/menu-button.js';
+import Component from '../component.js';
+import {titleCaseEquals} from '../utils/to-title-case.js';
+
+/**
+ * Whether the children of an element are wider than the element.
+ *
+ * @param {Element} el
+ *        The element to check.
+ *
+ * @return {boolean}
+ *         Whether the element overflows.
+ *
+ * @private
+ */
+const isOverflowing = function(el) {
+  return el.scrollWidth > el.clientWidth;
+};
+
+/**
+ * A "more" button that collects the controls which do not fit into the
+ * {@link ControlBar} in its menu. Whenever the player resizes, controls are
+ * moved into the menu in the order of their priority, lowest first, until the
+ * rest of the control bar fits, and moved back when there is room again.
+ *
+ * @extends MenuButton
+ */
+class OverflowMenuButton extends MenuButton {
+
+  /**
+   * Creates an instance of this class.
+   *
+   * @param {Player} player
+   *        The `Player` that this class should be attached to.
+   *
+   * @param {Object} [options]
+   *        The key/value store of player options.
+   *
+   * @param {Object} [options.priorities]
+   *        The priorities of the controls that can be moved into the menu, by
+   *        component name. Controls with lower priorities are moved first.
+   *        Controls without a number are never moved.
+   */
+  constructor(player, options) {
+    super(player, options);
+
+    /**
+     * The controls in the menu, with the component and the index they were
+     * moved from, in the order they were moved in.
+     *
+     * @type {Object[]}
+     * @private
+     */
+    this.overflowed_ = [];
+
+    this.on(player, 'playerresize', this.updateOverflow);
+  }
+
+  /**
+   * Dispose of the `OverflowMenuButton` and all child components, including
+   * the controls in its menu.
+   */
+  dispose() {
+    this.overflowed_ = null;
+
+    super.dispose();
+  }
+
+  /**
+   * Builds the default DOM `className`.
+   *
+   * @return {string}
+   *         The DOM `className` for this object.
+   */
+  buildCSSClass() {
+    return `vjs-overflow-menu-button ${super.buildCSSClass()}`;
+  }
+
+  /**
+   * Builds the wrapper DOM `className`.
+   *
+   * @return {string}
+   *         The DOM `className` for the wrapper of this object.
+   */
+  buildWrapperCSSClass() {
+    return `vjs-overflow-menu-button ${super.buildWrapperCSSClass()}`;
+  }
+
+  /**
+   * The menu starts out empty, controls are only moved into it when they do
+   * not fit.
+   *
+   * @return {Component[]}
+   *         An empty array of menu items.
+   */
+  createItems() {
+    return [];
+  }
+
+  /**
+   * Get the priority of a control.
+   *
+   * @param {Component} component
+   *        The control to get the priority of.
+   *
+   * @return {number|undefined}
+   *         The priority of the control, or undefined if it is never moved
+   *         into the menu.
+   */
+  priority(component) {
+    const priorities = this.options_.priorities || {};
+    const name = component.name();
+
+    for (const key in priorities) {
+      if (titleCaseEquals(key, name) && typeof priorities[key] === 'number') {
+        return priorities[key];
+      }
+    }
+  }
+
+  /**
+   * Get the controls that are currently in the menu.
+   *
+   * @return {Component[]}
+   *         The controls in the menu.
+   */
+  overflowedControls() {
+    return this.overflowed_.map((entry) => entry.component);
+  }
+
+  /**
+   * Move all controls back into the control bar and restore the controls
+   * into the menu that still do not fit, lowest priority first.
+   *
+   * @listens Player#playerresize
+   */
+  updateOverflow() {
+    const controlBar = this.parentComponent_;
+
+    this.restoreControls();
+
+    if (!controlBar || !isOverflowing(controlBar.el())) {
+      return;
+    }
+
+    // the button takes up room as well
+    this.show();
+
+    const candidates = controlBar.children().filter((child) => {
+      return child !== this &&
+        !child.hasClass('vjs-hidden') &&
+        this.priority(child) !== undefined;
+    }).sort((a, b) => this.priority(a) - this.priority(b));
+
+    for (let i = 0; i < candidates.length && isOverflowing(controlBar.el()); i++) {
+      const component = candidates[i];
+
+      this.overflowed_.push({
+        component,
+        parent: controlBar,
+        index: controlBar.children().indexOf(component)
+      });
+
+      controlBar.removeChild(component);
+      this.menu.addChild(component);
+    }
+
+    if (!this.overflowed_.length) {
+      this.hide();
+    }
+  }
+
+  /**
+   * Move all controls in the menu back to where they were in the control bar
+   * and hide the button.
+   */
+  restoreControls() {
+    if (this.buttonPressed_) {
+      this.unpressButton();
+    }
+
+    // the controls are moved back in reverse order, so that every index
+    // points to the same position as when the control was moved
+    while (this.overflowed_.length) {
+      const {component, parent, index} = this.overflowed_.pop();
+
+      this.menu.removeChild(component);
+      parent.addChild(component, {}, index);
+    }
+
+    this.hide();
+  }
+}
+
+/**
+ * The text that should display over the `OverflowMenuButton`s controls. Added for localization.
+ *
+ * @type {string}
+ * @private
+ */
+OverflowMenuButton.prototype.controlText_ = 'More Controls';
+
+/**
+ * Default options for `OverflowMenuButton`
+ *
+ * @type {Object}
+ * @private
+ */
+OverflowMenuButton.prototype.options_ = {
+  priorities: {
+    chaptersButton: 10,
+    descriptionsButton: 20,
+    audioTrackButton: 30,
+    playbackRateMenuButton: 40,
+    qualityMenuButton: 50,
+    pictureInPictureToggle: 60,
+    subsCapsButton: 70,
+    settingsMenuButton: 80
+  }
+};
+
+Component.registerComponent('OverflowMenuButton', OverflowMenuButton);
+export default OverflowMenuButton;
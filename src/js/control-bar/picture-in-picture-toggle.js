@@ -0,0 +1,121 @@
+/**
+ * @file picture-in-picture-toggle.js
+ */
+import Button from '../button.js';
+import Component from '../component.js';
+import {silencePromise} from '../utils/promise';
+
+/**
+ * Toggle Picture-in-Picture mode
+ *
+ * @extends Button
+ */
+class PictureInPictureToggle extends Button {
+
+  /**
+   * Creates an instance of this class.
+   *
+   * @param {Player} player
+   *        The `Player` that this class should be attached to.
+   *
+   * @param {Object} [options]
+   *        The key/value store of player options.
+   *
+   * @listens Player#enterpictureinpicture
+   * @listens Player#leavepictureinpicture
+   */
+  constructor(player, options) {
+    super(player, options);
+    this.on(player, ['enterpictureinpicture', 'leavepictureinpicture'], this.handlePictureInPictureChange);
+    this.on(player, 'loadstart', this.handleLoadStart);
+
+    this.checkPictureInPictureSupport();
+  }
+
+  /**
+   * Builds the default DOM `className`.
+   *
+   * @return {string}
+   *         The DOM `className` for this object.
+   */
+  buildCSSClass() {
+    return `vjs-picture-in-picture-control ${super.buildCSSClass()}`;
+  }
+
+  /**
+   * Hide this control when the current tech or the browser cannot enter
+   * Picture-in-Picture and show it otherwise.
+   */
+  checkPictureInPictureSupport() {
+    const tech = this.player_.tech_;
+
+    if (tech && tech.featuresPictureInPicture && !this.player_.isAudio()) {
+      this.show();
+    } else {
+      this.hide();
+    }
+  }
+
+  /**
+   * Handles `loadstart` on the player, as the tech may have changed.
+   *
+   * @param {EventTarget~Event} [event]
+   *        The `loadstart` event that caused this function to be called.
+   *
+   * @listens Player#loadstart
+   */
+  handleLoadStart(event) {
+    this.checkPictureInPictureSupport();
+    this.handlePictureInPictureChange();
+  }
+
+  /**
+   * Handles enterpictureinpicture and leavepictureinpicture on the player and
+   * change control text accordingly.
+   *
+   * @param {EventTarget~Event} [event]
+   *        The {@link Player#enterpictureinpicture} or {@link Player#leavepictureinpicture}
+   *        event that caused this function to be called.
+   *
+   * @listens Player#enterpictureinpicture
+   * @listens Player#leavepictureinpicture
+   */
+  handlePictureInPictureChange(event) {
+    if (this.player_.isInPictureInPicture()) {
+      this.controlText('Exit Picture-in-Picture');
+    } else {
+      this.controlText('Picture-in-Picture');
+    }
+  }
+
+  /**
+   * This gets called when an `PictureInPictureToggle` is "clicked". See
+   * {@link ClickableComponent} for more detailed information on what a click can be.
+   *
+   * @param {EventTarget~Event} [event]
+   *        The `keydown`, `tap`, or `click` event that caused this function to be
+   *        called.
+   *
+   * @listens tap
+   * @listens click
+   */
+  handleClick(event) {
+    if (!this.player_.isInPictureInPicture()) {
+      silencePromise(this.player_.requestPictureInPicture());
+    } else {
+      silencePromise(this.player_.exitPictureInPicture());
+    }
+  }
+
+}
+
+/**
+ * The text that should display over the `PictureInPictureToggle`s controls. Added for localization.
+ *
+ * @type {string}
+ * @private
+ */
+PictureInPictureToggle.prototype.controlText_ = 'Picture-in-Picture';
+
+Component.registerComponent('PictureInPictureToggle', PictureInPictureToggle);
+export default PictureInPictureToggle;
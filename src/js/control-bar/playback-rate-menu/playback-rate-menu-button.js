@@ -80,15 +80,32 @@ class PlaybackRateMenuButton extends MenuButton {
    */
   createMenu() {
     const menu = new Menu(this.player());
+
+    this.createItems().forEach((item) => menu.addChild(item));
+
+    return menu;
+  }
+
+  /**
+   * Create a menu item for each playback rate, from the highest to the lowest.
+   *
+   * @return {PlaybackRateMenuItem[]}
+   *         An array of menu items
+   */
+  createItems() {
     const rates = this.playbackRates();
+    const items = [];
+
+    // if there's only one rate, there's no point in showing it
+    this.hideThreshold_ = 1;
 
     if (rates) {
       for (let i = rates.length - 1; i >= 0; i--) {
-        menu.addChild(new PlaybackRateMenuItem(this.player(), {rate: rates[i] + 'x'}));
+        items.push(new PlaybackRateMenuItem(this.player(), {rate: rates[i] + 'x'}));
       }
     }
 
-    return menu;
+    return items;
   }
 
   /**
@@ -0,0 +1,225 @@
+/**
+ * @file chapter-markers.js
+ */
+import Component from '../../component.js';
+import * as Dom from '../../utils/dom.js';
+import * as Fn from '../../utils/fn.js';
+
+/**
+ * Draws a marker on the {@link SeekBar} at the start of each chapter of the
+ * current chapters {@link TextTrack}.
+ *
+ * @extends Component
+ */
+class ChapterMarkers extends Component {
+
+  /**
+   * Creates an instance of this class.
+   *
+   * @param {Player} player
+   *        The `Player` that this class should be attached to.
+   *
+   * @param {Object} [options]
+   *        The key/value store of player options.
+   */
+  constructor(player, options) {
+    super(player, options);
+
+    this.markerEls_ = [];
+    this.updateHandler_ = Fn.bind(this, this.update);
+
+    const tracks = player.textTracks();
+
+    if (tracks) {
+      tracks.addEventListener('addtrack', this.updateHandler_);
+      tracks.addEventListener('removetrack', this.updateHandler_);
+    }
+
+    this.on(player, ['loadstart', 'durationchange'], this.update);
+
+    this.update();
+  }
+
+  /**
+   * Create the `Component`'s DOM element
+   *
+   * @return {Element}
+   *         The element that was created.
+   */
+  createEl() {
+    return super.createEl('div', {
+      className: 'vjs-chapter-markers'
+    }, {
+      'aria-hidden': 'true'
+    });
+  }
+
+  /**
+   * Stop listening to the text tracks and dispose of the `ChapterMarkers`.
+   */
+  dispose() {
+    const tracks = this.player_.textTracks();
+
+    if (tracks) {
+      tracks.removeEventListener('addtrack', this.updateHandler_);
+      tracks.removeEventListener('removetrack', this.updateHandler_);
+    }
+
+    this.setTrack(null);
+    this.markerEls_ = null;
+
+    super.dispose();
+  }
+
+  /**
+   * Find the chapters track to draw markers for. Like the {@link ChaptersButton},
+   * this is always the last chapters track.
+   *
+   * @return {TextTrack|undefined}
+   *         The chapters track or undefined if none was found.
+   */
+  findChaptersTrack() {
+    const tracks = this.player_.textTracks() || [];
+
+    for (let i = tracks.length - 1; i >= 0; i--) {
+      const track = tracks[i];
+
+      if (track.kind === 'chapters') {
+        return track;
+      }
+    }
+  }
+
+  /**
+   * Set the chapters track to draw markers for. Markers are redrawn when the
+   * cues of this track are loaded, added or removed.
+   *
+   * @param {TextTrack|null} track
+   *        The new track. Nothing will change if this is the current track.
+   */
+  setTrack(track) {
+    if (this.track_ === track) {
+      return;
+    }
+
+    // here this.track_ refers to the old track instance
+    if (this.track_) {
+      const remoteTextTrackEl = this.player_.remoteTextTrackEls().getTrackElementByTrack_(this.track_);
+
+      if (remoteTextTrackEl) {
+        remoteTextTrackEl.removeEventListener('load', this.updateHandler_);
+      }
+
+      this.track_.removeEventListener('loadeddata', this.updateHandler_);
+      this.track_.removeEventListener('addcue', this.updateHandler_);
+      this.track_.removeEventListener('removecue', this.updateHandler_);
+    }
+
+    this.track_ = track;
+
+    // here this.track_ refers to the new track instance
+    if (this.track_) {
+      // Cues are not available for disabled tracks
+      if (this.track_.mode === 'disabled') {
+        this.track_.mode = 'hidden';
+      }
+
+      const remoteTextTrackEl = this.player_.remoteTextTrackEls().getTrackElementByTrack_(this.track_);
+
+      if (remoteTextTrackEl) {
+        remoteTextTrackEl.addEventListener('load', this.updateHandler_);
+      }
+
+      // Emulated tracks trigger `loadeddata` once their cues are parsed, and
+      // `addcue` and `removecue` for cues that change later on
+      this.track_.addEventListener('loadeddata', this.updateHandler_);
+      this.track_.addEventListener('addcue', this.updateHandler_);
+      this.track_.addEventListener('removecue', this.updateHandler_);
+    }
+  }
+
+  /**
+   * Get the chapter cues that markers can be drawn for.
+   *
+   * @return {TextTrackCue[]}
+   *         The cues of the current chapters track, or an empty array if there
+   *         is no track, its cues are not loaded yet or the duration is unknown.
+   */
+  getChapters() {
+    const duration = this.player_.duration();
+    const cues = this.track_ && this.track_.cues;
+
+    if (!cues || !duration || !isFinite(duration)) {
+      return [];
+    }
+
+    return Array.prototype.slice.call(cues);
+  }
+
+  /**
+   * Get the chapter that a time falls into.
+   *
+   * @param {number} time
+   *        The time, in seconds.
+   *
+   * @return {TextTrackCue|null}
+   *         The chapter cue or null if there is no chapter at that time.
+   */
+  getChapterAt(time) {
+    const chapters = this.getChapters();
+
+    for (let i = 0; i < chapters.length; i++) {
+      if (chapters[i].startTime <= time && time < chapters[i].endTime) {
+        return chapters[i];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Redraw the chapter markers, picking up a new chapters track if the text
+   * tracks of the player have changed.
+   *
+   * @param {EventTarget~Event} [event]
+   *        The event that caused this function to run.
+   *
+   * @listens Player#loadstart
+   * @listens Player#durationchange
+   * @listens TextTrackList#addtrack
+   * @listens TextTrackList#removetrack
+   * @listens TextTrack#loadeddata
+   * @listens TextTrack#addcue
+   * @listens TextTrack#removecue
+   */
+  update(event) {
+    this.setTrack(this.findChaptersTrack() || null);
+
+    const duration = this.player_.duration();
+    const chapters = this.getChapters();
+
+    this.markerEls_.forEach((el) => this.el_.removeChild(el));
+    this.markerEls_ = [];
+
+    chapters.forEach((cue) => {
+      // There is no need for a marker at the very start of the media
+      if (cue.startTime <= 0 || cue.startTime >= duration) {
+        return;
+      }
+
+      const el = Dom.createEl('div', {
+        className: 'vjs-chapter-marker'
+      });
+
+      el.style.left = `${(cue.startTime / duration) * 100}%`;
+
+      this.el_.appendChild(el);
+      this.markerEls_.push(el);
+    });
+
+    this.toggleClass('vjs-hidden', !this.markerEls_.length);
+  }
+}
+
+Component.registerComponent('ChapterMarkers', ChapterMarkers);
+export default ChapterMarkers;
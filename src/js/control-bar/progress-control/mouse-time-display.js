@@ -3,14 +3,19 @@
  */
 import Component from '../../component.js';
 import * as Fn from '../../utils/fn.js';
+import {IS_IOS, IS_ANDROID} from '../../utils/browser.js';
 
 import './time-tooltip';
+import './thumbnail-display';
 
 /**
  * The {@link MouseTimeDisplay} component tracks mouse movement over the
  * {@link ProgressControl}. It displays an indicator and a {@link TimeTooltip}
  * indicating the time which is represented by a given point in the
- * {@link ProgressControl}.
+ * {@link ProgressControl}, as well as a {@link ThumbnailDisplay} when there
+ * is a thumbnails track.
+ *
+ * On mobile devices, it is only shown while scrubbing.
  *
  * @extends Component
  */
@@ -38,13 +43,14 @@ class MouseTimeDisplay extends Component {
    */
   createEl() {
     return super.createEl('div', {
-      className: 'vjs-mouse-display'
+      // hover states stick after a tap on mobile devices
+      className: `vjs-mouse-display${(IS_IOS || IS_ANDROID) ? ' vjs-scrubbing-only' : ''}`
     });
   }
 
   /**
    * Enqueues updates to its own DOM as well as the DOM of its
-   * {@link TimeTooltip} child.
+   * {@link TimeTooltip} and {@link ThumbnailDisplay} children.
    *
    * @param {Object} seekBarRect
    *        The `ClientRect` for the {@link SeekBar} element.
@@ -52,13 +58,28 @@ class MouseTimeDisplay extends Component {
    * @param {number} seekBarPoint
    *        A number from 0 to 1, representing a horizontal reference point
    *        from the left edge of the {@link SeekBar}
+   *
+   * @param {string} [chapterTitle]
+   *        The title of the chapter at `seekBarPoint`, shown next to the time.
    */
-  update(seekBarRect, seekBarPoint) {
-    const time = seekBarPoint * this.player_.duration();
+  update(seekBarRect, seekBarPoint, chapterTitle) {
+    const liveTracker = this.player_.liveTracker;
+    let time = seekBarPoint * this.player_.duration();
+
+    // during live playback the seek bar represents the seekable window
+    if (liveTracker && liveTracker.isLive()) {
+      time = liveTracker.seekableStart() + seekBarPoint * liveTracker.liveWindow();
+    }
 
     this.getChild('timeTooltip').updateTime(seekBarRect, seekBarPoint, time, () => {
+      const thumbnailDisplay = this.getChild('thumbnailDisplay');
+
       this.el_.style.left = `${seekBarRect.width * seekBarPoint}px`;
-    });
+
+      if (thumbnailDisplay) {
+        thumbnailDisplay.update(seekBarRect, seekBarPoint, time);
+      }
+    }, chapterTitle);
   }
 }
 
@@ -70,6 +91,7 @@ class MouseTimeDisplay extends Component {
  */
 MouseTimeDisplay.prototype.options_ = {
   children: [
+    'thumbnailDisplay',
     'timeTooltip'
   ]
 };
@@ -45,11 +45,13 @@ class ProgressControl extends Component {
   }
 
   /**
-   * When the mouse moves over the `ProgressControl`, the pointer position
-   * gets passed down to the `MouseTimeDisplay` component.
+   * When the mouse moves over the `ProgressControl`, or a touch scrubs it, the
+   * pointer position gets passed down to the `MouseTimeDisplay` component, along
+   * with the title of the chapter at that position, if any.
    *
    * @param {EventTarget~Event} event
-   *        The `mousemove` event that caused this function to run.
+   *        The `mousemove`, `touchstart` or `touchmove` event that caused this
+   *        function to run.
    *
    * @listen mousemove
    */
@@ -58,6 +60,7 @@ class ProgressControl extends Component {
 
     if (seekBar) {
       const mouseTimeDisplay = seekBar.getChild('mouseTimeDisplay');
+      const chapterMarkers = seekBar.getChild('chapterMarkers');
       const seekBarEl = seekBar.el();
       const seekBarRect = Dom.getBoundingClientRect(seekBarEl);
       let seekBarPoint = Dom.getPointerPosition(seekBarEl, event).x;
@@ -72,7 +75,9 @@ class ProgressControl extends Component {
       }
 
       if (mouseTimeDisplay) {
-        mouseTimeDisplay.update(seekBarRect, seekBarPoint);
+        const chapter = chapterMarkers && chapterMarkers.getChapterAt(seekBarPoint * this.player_.duration());
+
+        mouseTimeDisplay.update(seekBarRect, seekBarPoint, chapter ? chapter.text : '');
       }
     }
   }
@@ -103,6 +108,11 @@ class ProgressControl extends Component {
     if (seekBar) {
       seekBar.handleMouseMove(event);
     }
+
+    // There is no `mousemove` while scrubbing with a touch
+    if (event.type === 'touchmove') {
+      this.handleMouseMove(event);
+    }
   }
 
   /**
@@ -168,6 +178,10 @@ class ProgressControl extends Component {
       seekBar.handleMouseDown(event);
     }
 
+    if (event.type === 'touchstart') {
+      this.handleMouseMove(event);
+    }
+
     this.on(doc, 'mousemove', this.throttledHandleMouseSeek);
     this.on(doc, 'touchmove', this.throttledHandleMouseSeek);
     this.on(doc, 'mouseup', this.handleMouseUp);
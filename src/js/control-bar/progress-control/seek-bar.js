@@ -3,17 +3,19 @@
  */
 import Slider from '../../slider/slider.js';
 import Component from '../../component.js';
-import {IS_IOS, IS_ANDROID} from '../../utils/browser.js';
 import * as Dom from '../../utils/dom.js';
 import * as Fn from '../../utils/fn.js';
 import formatTime from '../../utils/format-time.js';
 import {silencePromise} from '../../utils/promise';
+import skipTime from '../../utils/skip-time.js';
 
 import './load-progress-bar.js';
 import './play-progress-bar.js';
 import './mouse-time-display.js';
+import './chapter-markers.js';
 
-// The number of seconds the `step*` functions move the timeline.
+// The number of seconds the `step*` functions move the timeline, unless the
+// `skipButtons` option of the control bar is set.
 const STEP_SECONDS = 5;
 
 // The interval at which the bar should update as it progresses.
@@ -111,8 +113,10 @@ class SeekBar extends Slider {
     const liveTracker = this.player_.liveTracker;
     let duration = this.player_.duration();
 
+    // during live playback the bar represents the seekable window
     if (liveTracker && liveTracker.isLive()) {
-      duration = this.player_.liveTracker.liveCurrentTime();
+      currentTime -= liveTracker.seekableStart();
+      duration = liveTracker.liveWindow();
     }
 
     // machine readable value of progress bar (percentage complete)
@@ -335,14 +339,18 @@ class SeekBar extends Slider {
    * Move more quickly fast forward for keyboard-only users
    */
   stepForward() {
-    this.player_.currentTime(this.player_.currentTime() + STEP_SECONDS);
+    const step = skipTime(this.options_.playerOptions, 'forward') || STEP_SECONDS;
+
+    this.player_.currentTime(this.player_.currentTime() + step);
   }
 
   /**
    * Move more quickly rewind for keyboard-only users
    */
   stepBack() {
-    this.player_.currentTime(this.player_.currentTime() - STEP_SECONDS);
+    const step = skipTime(this.options_.playerOptions, 'backward') || STEP_SECONDS;
+
+    this.player_.currentTime(this.player_.currentTime() - step);
   }
 
   /**
@@ -375,6 +383,7 @@ class SeekBar extends Slider {
     // Support Space (32) or Enter (13) key operation to fire a click event
     if (event.which === 32 || event.which === 13) {
       event.preventDefault();
+      event.stopPropagation();
       this.handleAction(event);
     } else if (super.handleKeyPress) {
 
@@ -393,16 +402,13 @@ class SeekBar extends Slider {
 SeekBar.prototype.options_ = {
   children: [
     'loadProgressBar',
-    'playProgressBar'
+    'mouseTimeDisplay',
+    'playProgressBar',
+    'chapterMarkers'
   ],
   barName: 'playProgressBar'
 };
 
-// MouseTimeDisplay tooltips should not be added to a player on mobile devices
-if (!IS_IOS && !IS_ANDROID) {
-  SeekBar.prototype.options_.children.splice(1, 0, 'mouseTimeDisplay');
-}
-
 /**
  * Call the update event for this Slider when this event happens on the player.
  *
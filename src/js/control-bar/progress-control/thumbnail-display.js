@@ -0,0 +1,302 @@
+/**
+ * @file thumbnail-display.js
+ */
+import Component from '../../component.js';
+import * as Dom from '../../utils/dom.js';
+import * as Fn from '../../utils/fn.js';
+import {getAbsoluteURL} from '../../utils/url.js';
+
+/**
+ * Matches the spatial media fragment of a thumbnail URL, for example
+ * `sprite.jpg#xywh=160,0,160,90`.
+ *
+ * @private
+ */
+const XYWH_REGEX = /#xywh=(?:pixel:)?(\d+),(\d+),(\d+),(\d+)$/;
+
+/**
+ * Parse the text of a thumbnails cue into the image URL and the region of the
+ * image to show.
+ *
+ * @param {string} text
+ *        The cue text, an image URL with an optional `#xywh=` media fragment.
+ *
+ * @return {Object}
+ *         An object with the `url` of the image and its `x`, `y`, `width` and
+ *         `height`. The region is missing if the URL has no media fragment.
+ *
+ * @private
+ */
+const parseThumbnail = function(text) {
+  const url = text.trim();
+  const match = XYWH_REGEX.exec(url);
+
+  if (!match) {
+    return {url};
+  }
+
+  return {
+    url: url.slice(0, match.index),
+    x: parseInt(match[1], 10),
+    y: parseInt(match[2], 10),
+    width: parseInt(match[3], 10),
+    height: parseInt(match[4], 10)
+  };
+};
+
+/**
+ * Shows a preview image of the media above the {@link SeekBar}. The images
+ * come from a `metadata` {@link TextTrack} labelled "thumbnails", where each
+ * cue holds the URL of an image, or of a region of a sprite image, for its
+ * time range.
+ *
+ * @extends Component
+ */
+class ThumbnailDisplay extends Component {
+
+  /**
+   * Creates an instance of this class.
+   *
+   * @param {Player} player
+   *        The `Player` that this class should be attached to.
+   *
+   * @param {Object} [options]
+   *        The key/value store of player options.
+   */
+  constructor(player, options) {
+    super(player, options);
+
+    this.updateTrackHandler_ = Fn.bind(this, this.updateTrack);
+
+    const tracks = player.textTracks();
+
+    if (tracks) {
+      tracks.addEventListener('addtrack', this.updateTrackHandler_);
+      tracks.addEventListener('removetrack', this.updateTrackHandler_);
+    }
+
+    this.updateTrack();
+  }
+
+  /**
+   * Create the `Component`'s DOM element
+   *
+   * @return {Element}
+   *         The element that was created.
+   */
+  createEl() {
+    return super.createEl('div', {
+      className: 'vjs-thumbnail-display vjs-hidden'
+    }, {
+      'aria-hidden': 'true'
+    });
+  }
+
+  /**
+   * Dispose of the `ThumbnailDisplay` and all child components.
+   */
+  dispose() {
+    const tracks = this.player_.textTracks();
+
+    if (tracks) {
+      tracks.removeEventListener('addtrack', this.updateTrackHandler_);
+      tracks.removeEventListener('removetrack', this.updateTrackHandler_);
+    }
+
+    this.setTrack(null);
+
+    super.dispose();
+  }
+
+  /**
+   * Find the thumbnails track, which is the last `metadata` track labelled
+   * "thumbnails".
+   *
+   * @return {TextTrack|undefined}
+   *         The thumbnails track or undefined if none was found.
+   */
+  findThumbnailsTrack() {
+    const tracks = this.player_.textTracks() || [];
+
+    for (let i = tracks.length - 1; i >= 0; i--) {
+      const track = tracks[i];
+
+      if (track.kind === 'metadata' && (/^thumbnails$/i).test(track.label)) {
+        return track;
+      }
+    }
+  }
+
+  /**
+   * Pick up a new thumbnails track if the text tracks of the player have changed.
+   *
+   * @param {EventTarget~Event} [event]
+   *        The event that caused this function to run.
+   *
+   * @listens TextTrackList#addtrack
+   * @listens TextTrackList#removetrack
+   */
+  updateTrack(event) {
+    this.setTrack(this.findThumbnailsTrack() || null);
+  }
+
+  /**
+   * Set the track to take thumbnails from.
+   *
+   * @param {TextTrack|null} track
+   *        The new track. Nothing will change if this is the current track.
+   */
+  setTrack(track) {
+    if (this.track_ === track) {
+      return;
+    }
+
+    this.track_ = track;
+
+    // Cues are not available for disabled tracks
+    if (this.track_ && this.track_.mode === 'disabled') {
+      this.track_.mode = 'hidden';
+    }
+
+    if (!this.track_) {
+      this.hideThumbnail_();
+    }
+  }
+
+  /**
+   * Get the thumbnail for a time.
+   *
+   * @param {number} time
+   *        The time, in seconds.
+   *
+   * @return {Object|null}
+   *         The `url` of the image and the `x`, `y`, `width` and `height` of
+   *         the region to show, or null if there is no thumbnail at that time.
+   */
+  getThumbnailAt(time) {
+    const cues = this.track_ && this.track_.cues;
+
+    if (!cues) {
+      return null;
+    }
+
+    for (let i = 0; i < cues.length; i++) {
+      if (cues[i].startTime <= time && time < cues[i].endTime) {
+        const thumbnail = parseThumbnail(cues[i].text);
+
+        thumbnail.url = this.resolveUrl_(thumbnail.url);
+        return thumbnail;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve an image URL from a thumbnails track relative to the track's URL,
+   * as the URLs in a WebVTT file are relative to that file.
+   *
+   * @param {string} url
+   *        The image URL from a cue.
+   *
+   * @return {string}
+   *         The resolved image URL.
+   *
+   * @private
+   */
+  resolveUrl_(url) {
+    const trackEl = this.player_.remoteTextTrackEls().getTrackElementByTrack_(this.track_);
+    const src = this.track_.src || (trackEl && trackEl.src);
+
+    // absolute URLs and URLs without a track URL to resolve against are used as-is
+    if (!src || (/^([a-z][a-z0-9+.-]*:|\/)/i).test(url)) {
+      return url;
+    }
+
+    const base = getAbsoluteURL(src);
+
+    return base.slice(0, base.lastIndexOf('/') + 1) + url;
+  }
+
+  /**
+   * Hide the thumbnail.
+   *
+   * @private
+   */
+  hideThumbnail_() {
+    this.addClass('vjs-hidden');
+    this.el_.style.backgroundImage = '';
+  }
+
+  /**
+   * Show the thumbnail for a point on the {@link SeekBar} and position it
+   * above that point, within the bounds of the player.
+   *
+   * @param {Object} seekBarRect
+   *        The `ClientRect` for the {@link SeekBar} element.
+   *
+   * @param {number} seekBarPoint
+   *        A number from 0 to 1, representing a horizontal reference point
+   *        from the left edge of the {@link SeekBar}
+   *
+   * @param {number} time
+   *        The time that `seekBarPoint` represents, in seconds.
+   */
+  update(seekBarRect, seekBarPoint, time) {
+    const liveTracker = this.player_.liveTracker;
+    const thumbnail = (liveTracker && liveTracker.isLive()) ? null : this.getThumbnailAt(time);
+
+    if (!thumbnail || !thumbnail.url) {
+      this.hideThumbnail_();
+      return;
+    }
+
+    const style = this.el_.style;
+
+    style.backgroundImage = `url("${thumbnail.url}")`;
+
+    if (thumbnail.width) {
+      style.width = `${thumbnail.width}px`;
+      style.height = `${thumbnail.height}px`;
+      style.backgroundPosition = `${-thumbnail.x}px ${-thumbnail.y}px`;
+      style.backgroundSize = '';
+    } else {
+      // Without a region the whole image is shown, scaled to the default size
+      style.width = '';
+      style.height = '';
+      style.backgroundPosition = '';
+      style.backgroundSize = 'cover';
+    }
+
+    this.removeClass('vjs-hidden');
+
+    const thumbnailRect = Dom.getBoundingClientRect(this.el_);
+    const playerRect = Dom.getBoundingClientRect(this.player_.el());
+
+    // do nothing if either rect isn't available
+    // for example, if the player isn't in the DOM for testing
+    if (!thumbnailRect || !playerRect) {
+      return;
+    }
+
+    // Center the thumbnail over the `seekBarPoint`, unless that would
+    // push it past the left or right edge of the player. See the
+    // `TimeTooltip` for the details of these calculations.
+    const seekBarPointPx = seekBarRect.width * seekBarPoint;
+    const spaceLeftOfPoint = (seekBarRect.left - playerRect.left) + seekBarPointPx;
+    const spaceRightOfPoint = (seekBarRect.width - seekBarPointPx) +
+      (playerRect.right - seekBarRect.right);
+    let pullThumbnailBy = thumbnailRect.width / 2;
+
+    if (spaceLeftOfPoint < pullThumbnailBy) {
+      pullThumbnailBy = spaceLeftOfPoint;
+    } else if (spaceRightOfPoint < pullThumbnailBy) {
+      pullThumbnailBy = thumbnailRect.width - spaceRightOfPoint;
+    }
+
+    style.left = `-${Math.max(0, pullThumbnailBy)}px`;
+  }
+}
+
+Component.registerComponent('ThumbnailDisplay', ThumbnailDisplay);
+export default ThumbnailDisplay;
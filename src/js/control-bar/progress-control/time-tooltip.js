@@ -35,8 +35,24 @@ class TimeTooltip extends Component {
    * @param {number} seekBarPoint
    *        A number from 0 to 1, representing a horizontal reference point
    *        from the left edge of the {@link SeekBar}
+   *
+   * @param {string} content
+   *        The time to show in the tooltip
+   *
+   * @param {string} [chapterTitle]
+   *        The title of a chapter to show next to the time
    */
-  update(seekBarRect, seekBarPoint, content) {
+  update(seekBarRect, seekBarPoint, content, chapterTitle) {
+    // Set the content first, so that the width of the chapter title is taken
+    // into account when the tooltip is kept within the player
+    Dom.textContent(this.el_, content);
+
+    if (chapterTitle) {
+      this.el_.appendChild(Dom.createEl('span', {
+        className: 'vjs-time-tooltip-chapter'
+      }, {}, chapterTitle));
+    }
+
     const tooltipRect = Dom.getBoundingClientRect(this.el_);
     const playerRect = Dom.getBoundingClientRect(this.player_.el());
     const seekBarPointPx = seekBarRect.width * seekBarPoint;
@@ -82,7 +98,6 @@ class TimeTooltip extends Component {
     }
 
     this.el_.style.right = `-${pullTooltipBy}px`;
-    Dom.textContent(this.el_, content);
   }
 
   /**
@@ -101,8 +116,11 @@ class TimeTooltip extends Component {
    * @param {Function} cb
    *        A function that will be called during the request animation frame
    *        for tooltips that need to do additional animations from the default
+   *
+   * @param {string} [chapterTitle]
+   *        The title of the chapter at `time`, not used during live playback
    */
-  updateTime(seekBarRect, seekBarPoint, time, cb) {
+  updateTime(seekBarRect, seekBarPoint, time, cb, chapterTitle) {
     // If there is an existing rAF ID, cancel it so we don't over-queue.
     if (this.rafId_) {
       this.cancelAnimationFrame(this.rafId_);
@@ -117,11 +135,12 @@ class TimeTooltip extends Component {
         const secondsBehind = liveWindow - (seekBarPoint * liveWindow);
 
         content = (secondsBehind < 1 ? '' : '-') + formatTime(secondsBehind, liveWindow);
+        chapterTitle = '';
       } else {
         content = formatTime(time, duration);
       }
 
-      this.update(seekBarRect, seekBarPoint, content);
+      this.update(seekBarRect, seekBarPoint, content, chapterTitle);
       if (cb) {
         cb();
       }
@@ -0,0 +1,109 @@
+/**
+ * @file quality-menu-button.js
+ */
+import MenuButton from '../../menu/menu-button.js';
+import Component from '../../component.js';
+import QualityMenuItem from './quality-menu-item.js';
+import * as Fn from '../../utils/fn.js';
+
+/**
+ * The button that lets the viewer choose between the {@link QualityLevel}s of
+ * adaptive media, or let the tech or source handler choose automatically.
+ *
+ * @extends MenuButton
+ */
+class QualityMenuButton extends MenuButton {
+
+  /**
+   * Creates an instance of this class.
+   *
+   * @param {Player} player
+   *        The `Player` that this class should be attached to.
+   *
+   * @param {Object} [options]
+   *        The key/value store of player options.
+   */
+  constructor(player, options) {
+    super(player, options);
+
+    const levels = player.qualityLevels();
+    const updateHandler = Fn.bind(this, this.update);
+
+    levels.addEventListener('addqualitylevel', updateHandler);
+    levels.addEventListener('removequalitylevel', updateHandler);
+
+    this.on('dispose', function() {
+      levels.removeEventListener('addqualitylevel', updateHandler);
+      levels.removeEventListener('removequalitylevel', updateHandler);
+    });
+  }
+
+  /**
+   * Builds the default DOM `className`.
+   *
+   * @return {string}
+   *         The DOM `className` for this object.
+   */
+  buildCSSClass() {
+    return `vjs-quality-button ${super.buildCSSClass()}`;
+  }
+
+  /**
+   * Builds the wrapper DOM `className`.
+   *
+   * @return {string}
+   *         The DOM `className` for the wrapper of this object.
+   */
+  buildWrapperCSSClass() {
+    return `vjs-quality-button ${super.buildWrapperCSSClass()}`;
+  }
+
+  /**
+   * Create an "Auto" menu item and a menu item for each quality level, from
+   * the highest to the lowest quality.
+   *
+   * @param {QualityMenuItem[]} [items=[]]
+   *        An array of existing menu items to use.
+   *
+   * @return {QualityMenuItem[]}
+   *         An array of menu items
+   */
+  createItems(items = []) {
+    // if there's only one quality level, there's no point in showing it
+    // next to the "Auto" menu item
+    this.hideThreshold_ += 2;
+
+    const levels = this.player_.qualityLevels();
+    const sorted = [];
+    const heights = {};
+
+    for (let i = 0; i < levels.length; i++) {
+      sorted.push(levels[i]);
+      heights[levels[i].height] = (heights[levels[i].height] || 0) + 1;
+    }
+
+    sorted.sort((a, b) => (b.height || 0) - (a.height || 0) || (b.bitrate || 0) - (a.bitrate || 0));
+
+    items.push(new QualityMenuItem(this.player_, {}));
+
+    sorted.forEach((qualityLevel) => {
+      items.push(new QualityMenuItem(this.player_, {
+        qualityLevel,
+        showBitrate: heights[qualityLevel.height] > 1
+      }));
+    });
+
+    return items;
+  }
+}
+
+/**
+ * The text that should display over the `QualityMenuButton`s controls. Added for localization.
+ *
+ * @type {string}
+ * @private
+ */
+QualityMenuButton.prototype.controlText_ = 'Quality';
+
+Component.registerComponent('QualityMenuButton', QualityMenuButton);
+export default QualityMenuButton;
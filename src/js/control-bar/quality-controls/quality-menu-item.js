@@ -0,0 +1,165 @@
+/**
+ * @file quality-menu-item.js
+ */
+import MenuItem from '../../menu/menu-item.js';
+import Component from '../../component.js';
+
+/**
+ * Format a bitrate for display in a menu.
+ *
+ * @param {number} bitrate
+ *        The bitrate in bits per second.
+ *
+ * @return {string}
+ *         The bitrate in kbps or Mbps.
+ *
+ * @private
+ */
+const formatBitrate = function(bitrate) {
+  if (bitrate >= 1000000) {
+    return `${Math.round(bitrate / 100000) / 10} Mbps`;
+  }
+
+  return `${Math.round(bitrate / 1000)} kbps`;
+};
+
+/**
+ * A {@link QualityLevel} {@link MenuItem}, or the "Auto" menu item that lets
+ * the tech or source handler switch between all quality levels if it is not
+ * given a `QualityLevel`.
+ *
+ * @extends MenuItem
+ */
+class QualityMenuItem extends MenuItem {
+
+  /**
+   * Creates an instance of this class.
+   *
+   * @param {Player} player
+   *        The `Player` that this class should be attached to.
+   *
+   * @param {Object} [options]
+   *        The key/value store of player options.
+   *
+   * @param {QualityLevel} [options.qualityLevel]
+   *        The `QualityLevel` this menu item selects. Without it, the menu item
+   *        is the "Auto" menu item.
+   *
+   * @param {boolean} [options.showBitrate=false]
+   *        Whether to add the bitrate to the label of a `QualityLevel` that has
+   *        a height, for example because other levels have the same height.
+   */
+  constructor(player, options) {
+    const qualityLevel = options.qualityLevel;
+    const levels = player.qualityLevels();
+
+    // Modify options for parent MenuItem class's init.
+    options.label = qualityLevel ? QualityMenuItem.label(qualityLevel, options.showBitrate) : 'Auto';
+    options.selectable = true;
+    options.multiSelectable = false;
+
+    super(player, options);
+
+    this.qualityLevel = qualityLevel;
+    this.levels_ = levels;
+
+    this.addClass(qualityLevel ? 'vjs-quality-menu-item' : 'vjs-auto-quality-menu-item');
+
+    const changeHandler = (...args) => {
+      this.handleQualityLevelsChange.apply(this, args);
+    };
+
+    levels.addEventListener('change', changeHandler);
+    this.on('dispose', () => {
+      levels.removeEventListener('change', changeHandler);
+    });
+
+    this.handleQualityLevelsChange();
+  }
+
+  /**
+   * This gets called when a `QualityMenuItem` is "clicked". See
+   * {@link ClickableComponent} for more detailed information on what a click can be.
+   *
+   * @param {EventTarget~Event} [event]
+   *        The `keydown`, `tap`, or `click` event that caused this function to be
+   *        called.
+   *
+   * @listens tap
+   * @listens click
+   */
+  handleClick(event) {
+    const levels = this.levels_;
+
+    super.handleClick(event);
+
+    // enable the chosen level first, so that there is always a level to play
+    if (this.qualityLevel) {
+      this.qualityLevel.enabled = true;
+    }
+
+    for (let i = 0; i < levels.length; i++) {
+      levels[i].enabled = !this.qualityLevel || levels[i] === this.qualityLevel;
+    }
+  }
+
+  /**
+   * Handle any {@link QualityLevelList} change. The "Auto" menu item is
+   * selected while all quality levels are enabled, any other menu item while
+   * only its quality level is enabled.
+   *
+   * @param {EventTarget~Event} [event]
+   *        The {@link QualityLevelList#change} event that caused this to run.
+   *
+   * @listens QualityLevelList#change
+   */
+  handleQualityLevelsChange(event) {
+    const levels = this.levels_;
+    let selected = true;
+
+    for (let i = 0; i < levels.length; i++) {
+      if (this.qualityLevel) {
+        selected = selected && levels[i].enabled === (levels[i] === this.qualityLevel);
+      } else {
+        selected = selected && levels[i].enabled;
+      }
+    }
+
+    this.selected(selected);
+  }
+}
+
+/**
+ * Get the menu label of a {@link QualityLevel}: its own label, or else its
+ * height, like "720p", and/or its bitrate, like "2.5 Mbps".
+ *
+ * @param {QualityLevel} qualityLevel
+ *        The `QualityLevel` to get the label of.
+ *
+ * @param {boolean} [showBitrate=false]
+ *        Whether to add the bitrate to the height.
+ *
+ * @return {string}
+ *         The label of the `QualityLevel`.
+ */
+QualityMenuItem.label = function(qualityLevel, showBitrate = false) {
+  const {label, height, bitrate} = qualityLevel;
+  const parts = [];
+
+  if (label) {
+    return label;
+  }
+
+  if (height) {
+    parts.push(`${height}p`);
+  }
+
+  if (bitrate && (showBitrate || !height)) {
+    parts.push(formatBitrate(bitrate));
+  }
+
+  return parts.join(', ') || 'Unknown';
+};
+
+Component.registerComponent('QualityMenuItem', QualityMenuItem);
+export default QualityMenuItem;
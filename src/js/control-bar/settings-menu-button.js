@@ -0,0 +1,329 @@
+/**
+ * @file settings-menu-button.js
+ */
+import MenuButton from '../menu/menu-button.js';
+import SubMenuItem from '../menu/sub-menu-item.js';
+import Component from '../component.js';
+import OffTextTrackMenuItem from './text-track-controls/off-text-track-menu-item.js';
+import TextTrackMenuItem from './text-track-controls/text-track-menu-item.js';
+import SubsCapsMenuItem from './text-track-controls/subs-caps-menu-item.js';
+import CaptionSettingsMenuItem from './text-track-controls/caption-settings-menu-item.js';
+import AudioTrackMenuItem from './audio-track-controls/audio-track-menu-item.js';
+import PlaybackRateMenuItem from './playback-rate-menu/playback-rate-menu-item.js';
+import QualityMenuItem from './quality-controls/quality-menu-item.js';
+import * as Fn from '../utils/fn.js';
+
+/**
+ * Count the text tracks of some kinds.
+ *
+ * @param {Player} player
+ *        The player to count the text tracks of.
+ *
+ * @param {string[]} kinds
+ *        The kinds of text tracks to count.
+ *
+ * @return {number}
+ *         The number of text tracks of these kinds.
+ */
+const countTextTracks = (player, kinds) => {
+  const tracks = player.textTracks();
+  let count = 0;
+
+  for (let i = 0; i < tracks.length; i++) {
+    if (kinds.indexOf(tracks[i].kind) > -1) {
+      count++;
+    }
+  }
+
+  return count;
+};
+
+/**
+ * Create an "off" menu item and a menu item for each text track of some kinds,
+ * like the {@link TextTrackButton} does.
+ *
+ * @param {Player} player
+ *        The player to create the menu items for.
+ *
+ * @param {MenuItem[]} items
+ *        The menu items to add to.
+ *
+ * @param {string[]} kinds
+ *        The kinds of text tracks to create menu items for.
+ *
+ * @param {Function} TrackMenuItem
+ *        The menu item class to use for the text tracks.
+ *
+ * @param {string} [label]
+ *        The label of the "off" menu item.
+ *
+ * @return {MenuItem[]}
+ *         The menu items.
+ */
+const createTextTrackItems = (player, items, kinds, TrackMenuItem, label) => {
+  const tracks = player.textTracks();
+
+  items.push(new OffTextTrackMenuItem(player, {kinds, kind: kinds[0], label}));
+
+  for (let i = 0; i < tracks.length; i++) {
+    if (kinds.indexOf(tracks[i].kind) > -1) {
+      const item = new TrackMenuItem(player, {
+        track: tracks[i],
+        selectable: true,
+        multiSelectable: false
+      });
+
+      item.addClass(`vjs-${tracks[i].kind}-menu-item`);
+      items.push(item);
+    }
+  }
+
+  return items;
+};
+
+/**
+ * Get whether captions and subtitles are called "captions" in the language of
+ * the player, like the {@link SubsCapsButton} does.
+ *
+ * @param {Player} player
+ *        The player.
+ *
+ * @return {string}
+ *         `'captions'` or `'subtitles'`.
+ */
+const subsCapsLabel = (player) => {
+  return ['en', 'en-us', 'en-ca', 'fr-ca'].indexOf(player.language_) > -1 ? 'captions' : 'subtitles';
+};
+
+/**
+ * The sections that a {@link SettingsMenuButton} can show, by the name of the
+ * menu button they replace. For each section, `label` gets the label of its
+ * menu item, `count` counts the options of the section from the player, and
+ * `createItems` creates its menu items whenever its panel is opened.
+ *
+ * @type {Object}
+ * @private
+ */
+const sections = {
+  subsCapsButton: {
+    label: (player) => subsCapsLabel(player) === 'captions' ? 'Captions' : 'Subtitles',
+    // one more for the "off" menu item
+    count: (player) => countTextTracks(player, ['captions', 'subtitles']) + 1,
+    createItems(player) {
+      const label = subsCapsLabel(player);
+      const items = [];
+
+      if (!(player.tech_ && player.tech_.featuresNativeTextTracks) && player.getChild('textTrackSettings')) {
+        items.push(new CaptionSettingsMenuItem(player, {kind: label}));
+      }
+
+      return createTextTrackItems(player, items, ['captions', 'subtitles'], SubsCapsMenuItem, `${label} off`);
+    }
+  },
+
+  audioTrackButton: {
+    label: () => 'Audio Track',
+    count: (player) => player.audioTracks().length,
+    createItems(player) {
+      const tracks = player.audioTracks();
+      const items = [];
+
+      for (let i = 0; i < tracks.length; i++) {
+        items.push(new AudioTrackMenuItem(player, {
+          track: tracks[i],
+          selectable: true,
+          multiSelectable: false
+        }));
+      }
+
+      return items;
+    }
+  },
+
+  descriptionsButton: {
+    label: () => 'Descriptions',
+    count: (player) => countTextTracks(player, ['descriptions']) + 1,
+    createItems: (player) => createTextTrackItems(player, [], ['descriptions'], TextTrackMenuItem)
+  },
+
+  playbackRateMenuButton: {
+    label: () => 'Playback Rate',
+    count(player) {
+      const rates = player.options_.playbackRates;
+
+      return player.tech_ && player.tech_.featuresPlaybackRate && rates ? rates.length : 0;
+    },
+    createItems(player) {
+      const rates = player.options_.playbackRates;
+      const items = [];
+
+      for (let i = rates.length - 1; i >= 0; i--) {
+        items.push(new PlaybackRateMenuItem(player, {rate: rates[i] + 'x'}));
+      }
+
+      return items;
+    }
+  },
+
+  qualityMenuButton: {
+    label: () => 'Quality',
+    // the "Auto" menu item is not a choice of its own
+    count: (player) => player.qualityLevels().length,
+    createItems(player) {
+      const levels = player.qualityLevels();
+      const sorted = [];
+      const heights = {};
+
+      for (let i = 0; i < levels.length; i++) {
+        sorted.push(levels[i]);
+        heights[levels[i].height] = (heights[levels[i].height] || 0) + 1;
+      }
+
+      sorted.sort((a, b) => (b.height || 0) - (a.height || 0) || (b.bitrate || 0) - (a.bitrate || 0));
+
+      return [new QualityMenuItem(player, {})].concat(sorted.map((qualityLevel) => {
+        return new QualityMenuItem(player, {
+          qualityLevel,
+          showBitrate: heights[qualityLevel.height] > 1
+        });
+      }));
+    }
+  }
+};
+
+/**
+ * A single button for the settings of the player, with a panel in its menu for
+ * each of the menu buttons it replaces, like the {@link SubsCapsButton}, the
+ * {@link PlaybackRateMenuButton} or the {@link QualityMenuButton}. A panel has
+ * the same menu items as the menu of the button, and is only shown while it has
+ * more than one option.
+ *
+ * @extends MenuButton
+ */
+class SettingsMenuButton extends MenuButton {
+
+  /**
+   * Creates an instance of this class.
+   *
+   * @param {Player} player
+   *        The `Player` that this class should be attached to.
+   *
+   * @param {Object} [options]
+   *        The key/value store of player options.
+   *
+   * @param {string[]} [options.sections]
+   *        The names of the menu buttons to show a panel for, in order.
+   */
+  constructor(player, options) {
+    super(player, options);
+
+    const updateHandler = Fn.bind(this, this.update);
+    const trackLists = [player.textTracks(), player.audioTracks()];
+    const levels = player.qualityLevels();
+
+    trackLists.forEach((tracks) => {
+      tracks.addEventListener('addtrack', updateHandler);
+      tracks.addEventListener('removetrack', updateHandler);
+    });
+    levels.addEventListener('addqualitylevel', updateHandler);
+    levels.addEventListener('removequalitylevel', updateHandler);
+
+    this.on(player, ['loadstart', 'ready'], this.update);
+
+    this.on('dispose', function() {
+      trackLists.forEach((tracks) => {
+        tracks.removeEventListener('addtrack', updateHandler);
+        tracks.removeEventListener('removetrack', updateHandler);
+      });
+      levels.removeEventListener('addqualitylevel', updateHandler);
+      levels.removeEventListener('removequalitylevel', updateHandler);
+    });
+  }
+
+  /**
+   * Builds the default DOM `className`.
+   *
+   * @return {string}
+   *         The DOM `className` for this object.
+   */
+  buildCSSClass() {
+    return `vjs-settings-button ${super.buildCSSClass()}`;
+  }
+
+  /**
+   * Builds the wrapper DOM `className`.
+   *
+   * @return {string}
+   *         The DOM `className` for the wrapper of this object.
+   */
+  buildWrapperCSSClass() {
+    return `vjs-settings-button ${super.buildWrapperCSSClass()}`;
+  }
+
+  /**
+   * Take the `SettingsMenuButton` out of a pressed state, and go back to the
+   * top of its menu for the next time it is opened.
+   */
+  unpressButton() {
+    super.unpressButton();
+
+    if (this.enabled_) {
+      this.menu.closeAllPanels();
+    }
+  }
+
+  /**
+   * Create a {@link SubMenuItem} for every section that has more than one
+   * option. The menu items of a section are only created when its panel is
+   * opened, so they are always up to date.
+   *
+   * @param {SubMenuItem[]} [items=[]]
+   *        An array of existing menu items to use.
+   *
+   * @return {SubMenuItem[]}
+   *         An array of menu items
+   */
+  createItems(items = []) {
+    this.options_.sections.forEach((name) => {
+      const section = sections[name];
+
+      if (!section || section.count(this.player_) <= 1) {
+        return;
+      }
+
+      items.push(new SubMenuItem(this.player_, {
+        label: section.label(this.player_),
+        createItems: () => section.createItems(this.player_)
+      }));
+    });
+
+    return items;
+  }
+}
+
+/**
+ * The text that should display over the `SettingsMenuButton`s controls. Added for localization.
+ *
+ * @type {string}
+ * @private
+ */
+SettingsMenuButton.prototype.controlText_ = 'Settings';
+
+/**
+ * Default options for `SettingsMenuButton`
+ *
+ * @type {Object}
+ * @private
+ */
+SettingsMenuButton.prototype.options_ = {
+  sections: [
+    'subsCapsButton',
+    'audioTrackButton',
+    'descriptionsButton',
+    'playbackRateMenuButton',
+    'qualityMenuButton'
+  ]
+};
+
+Component.registerComponent('SettingsMenuButton', SettingsMenuButton);
+export default SettingsMenuButton;
@@ -0,0 +1,32 @@
+/**
+ * @file skip-backward.js
+ */
+import SkipButton from './skip-button.js';
+import Component from '../../component.js';
+
+/**
+ * Button to skip backward by the number of seconds in the `skipButtons.backward`
+ * option of the control bar.
+ *
+ * @extends SkipButton
+ */
+class SkipBackward extends SkipButton {}
+
+/**
+ * The direction that the `SkipBackward` skips in.
+ *
+ * @type {string}
+ * @private
+ */
+SkipBackward.prototype.skipDirection_ = 'backward';
+
+/**
+ * The text that should display over the `SkipBackward`s controls. Added for localization.
+ *
+ * @type {string}
+ * @private
+ */
+SkipBackward.prototype.controlText_ = 'Skip backward {1} seconds';
+
+Component.registerComponent('SkipBackward', SkipBackward);
+export default SkipBackward;
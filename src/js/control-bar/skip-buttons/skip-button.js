@@ -0,0 +1,144 @@
+/**
+ * @file skip-button.js
+ */
+import Button from '../../button.js';
+import Component from '../../component.js';
+import * as Dom from '../../utils/dom.js';
+import * as Fn from '../../utils/fn.js';
+import skipTime from '../../utils/skip-time.js';
+
+/**
+ * The base class for buttons that skip forward or backward by the number of
+ * seconds in the `skipButtons` option of the control bar. They are hidden
+ * when that option is not set, and during live playback that cannot be
+ * seeked.
+ *
+ * @extends Button
+ */
+class SkipButton extends Button {
+
+  /**
+   * Creates an instance of this class.
+   *
+   * @param {Player} player
+   *        The `Player` that this class should be attached to.
+   *
+   * @param {Object} [options]
+   *        The key/value store of player options.
+   */
+  constructor(player, options) {
+    super(player, options);
+
+    this.controlText(this.localize(this.controlText_, [this.skipTime()]));
+
+    this.updateShowing();
+    this.on(player, 'durationchange', this.updateShowing);
+
+    if (player.liveTracker) {
+      // A handler of its own, as listeners with the same guid would stop
+      // listening to the live tracker when the player is disposed
+      this.handleDvrChange_ = Fn.bind(this, this.updateShowing, 'dvrchange');
+      this.on(player.liveTracker, 'dvrchange', this.handleDvrChange_);
+    }
+  }
+
+  /**
+   * Create the `SkipButton`'s DOM element
+   *
+   * @return {Element}
+   *         The element that was created.
+   */
+  createEl() {
+    const el = super.createEl();
+
+    // The number of seconds is shown in the icon
+    el.appendChild(Dom.createEl('span', {
+      className: 'vjs-skip-time',
+      textContent: this.skipTime()
+    }, {
+      'aria-hidden': 'true'
+    }));
+
+    return el;
+  }
+
+  /**
+   * Builds the default DOM `className`.
+   *
+   * @return {string}
+   *         The DOM `className` for this object.
+   */
+  buildCSSClass() {
+    const className = `vjs-skip-${this.skipDirection_}`;
+
+    return `vjs-skip-button ${className} ${className}-${this.skipTime()} ${super.buildCSSClass()}`;
+  }
+
+  /**
+   * Get the number of seconds to skip by from the `skipButtons` option of the
+   * control bar.
+   *
+   * @return {number}
+   *         The number of seconds to skip by, or 0 if it is not set.
+   */
+  skipTime() {
+    return skipTime(this.options_.playerOptions, this.skipDirection_);
+  }
+
+  /**
+   * Show the `SkipButton` if it has a number of seconds to skip by and the
+   * media can be seeked, otherwise hide it.
+   *
+   * @param {EventTarget~Event} [event]
+   *        The event that caused this function to run.
+   *
+   * @listens Player#durationchange
+   * @listens LiveTracker#dvrchange
+   */
+  updateShowing(event) {
+    const liveTracker = this.player_.liveTracker;
+
+    if (!this.skipTime() || liveTracker && liveTracker.isLive() && !liveTracker.isDvr()) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * This gets called when a `SkipButton` is "clicked". See
+   * {@link ClickableComponent} for more detailed information on what a click can be.
+   *
+   * @param {EventTarget~Event} [event]
+   *        The `keydown`, `tap`, or `click` event that caused this function to be
+   *        called.
+   *
+   * @listens tap
+   * @listens click
+   */
+  handleClick(event) {
+    const liveTracker = this.player_.liveTracker;
+    const step = this.skipDirection_ === 'forward' ? this.skipTime() : -this.skipTime();
+    let start = 0;
+    let end = this.player_.duration() || 0;
+
+    if (liveTracker && liveTracker.isLive()) {
+      start = liveTracker.seekableStart();
+      end = liveTracker.seekableEnd();
+    }
+
+    this.player_.currentTime(Math.max(start, Math.min(this.player_.currentTime() + step, end)));
+  }
+}
+
+/**
+ * The direction that the `SkipButton` skips in, either `'forward'` or
+ * `'backward'`.
+ *
+ * @type {string}
+ * @private
+ */
+SkipButton.prototype.skipDirection_ = 'forward';
+
+Component.registerComponent('SkipButton', SkipButton);
+export default SkipButton;
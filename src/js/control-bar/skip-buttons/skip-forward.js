@@ -0,0 +1,32 @@
+/**
+ * @file skip-forward.js
+ */
+import SkipButton from './skip-button.js';
+import Component from '../../component.js';
+
+/**
+ * Button to skip forward by the number of seconds in the `skipButtons.forward`
+ * option of the control bar.
+ *
+ * @extends SkipButton
+ */
+class SkipForward extends SkipButton {}
+
+/**
+ * The direction that the `SkipForward` skips in.
+ *
+ * @type {string}
+ * @private
+ */
+SkipForward.prototype.skipDirection_ = 'forward';
+
+/**
+ * The text that should display over the `SkipForward`s controls. Added for localization.
+ *
+ * @type {string}
+ * @private
+ */
+SkipForward.prototype.controlText_ = 'Skip forward {1} seconds';
+
+Component.registerComponent('SkipForward', SkipForward);
+export default SkipForward;
@@ -0,0 +1,125 @@
+/**
+ * @file live-time-display.js
+ */
+import TimeDisplay from './time-display';
+import Component from '../../component.js';
+import * as Dom from '../../utils/dom.js';
+import formatTime from '../../utils/format-time.js';
+
+/**
+ * Displays how far behind the live edge the player is during live playback
+ * with the liveui.
+ *
+ * @extends TimeDisplay
+ */
+class LiveTimeDisplay extends TimeDisplay {
+
+  /**
+   * Creates an instance of this class.
+   *
+   * @param {Player} player
+   *        The `Player` that this class should be attached to.
+   *
+   * @param {Object} [options]
+   *        The key/value store of player options.
+   */
+  constructor(player, options) {
+    super(player, options);
+
+    // hidden until the player falls behind the live edge
+    this.addClass('vjs-at-live-edge');
+
+    if (this.player_.liveTracker) {
+      this.on(this.player_.liveTracker, 'liveedgechange', this.updateContent);
+    }
+  }
+
+  /**
+   * Builds the default DOM `className`.
+   *
+   * @return {string}
+   *         The DOM `className` for this object.
+   */
+  buildCSSClass() {
+    return 'vjs-live-time';
+  }
+
+  /**
+   * Create the `Component`'s DOM element with the "minus" character prepended to the time
+   *
+   * @return {Element}
+   *         The element that was created.
+   */
+  createEl() {
+    const el = super.createEl();
+
+    el.insertBefore(Dom.createEl('span', {}, {'aria-hidden': true}, '-'), this.contentEl_);
+    return el;
+  }
+
+  /**
+   * Generates a formatted time for this component to use in display, with
+   * the live window as the guide.
+   *
+   * @param  {number} time
+   *         A numeric time, in seconds.
+   *
+   * @return {string}
+   *         A formatted time
+   *
+   * @private
+   */
+  formatTime_(time) {
+    const liveTracker = this.player_.liveTracker;
+    const liveWindow = liveTracker ? liveTracker.liveWindow() : time;
+
+    return formatTime(time, liveWindow === Infinity ? time : liveWindow);
+  }
+
+  /**
+   * Update the time behind the live edge.
+   *
+   * @param {EventTarget~Event} [event]
+   *        The `timeupdate` or `liveedgechange` event that caused this to run.
+   *
+   * @listens Player#timeupdate
+   * @listens LiveTracker#liveedgechange
+   */
+  updateContent(event) {
+    const liveTracker = this.player_.liveTracker;
+
+    if (!liveTracker || !liveTracker.isLive()) {
+      return;
+    }
+
+    const atLiveEdge = liveTracker.atLiveEdge();
+    const behind = liveTracker.liveCurrentTime() - this.player_.currentTime();
+
+    this.toggleClass('vjs-at-live-edge', atLiveEdge);
+
+    if (!atLiveEdge && isFinite(behind)) {
+      this.updateFormattedTime_(Math.max(behind, 0));
+    }
+  }
+}
+
+/**
+ * The text that is added to the `LiveTimeDisplay` for screen reader users.
+ *
+ * @type {string}
+ * @private
+ */
+LiveTimeDisplay.prototype.labelText_ = 'Time Behind Live';
+
+/**
+ * The text that should display over the `LiveTimeDisplay`s controls. Added to for localization.
+ *
+ * @type {string}
+ * @private
+ *
+ * @deprecated in v7; controlText_ is not used in non-active display Components
+ */
+LiveTimeDisplay.prototype.controlText_ = 'Time Behind Live';
+
+Component.registerComponent('LiveTimeDisplay', LiveTimeDisplay);
+export default LiveTimeDisplay;
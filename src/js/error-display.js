@@ -2,13 +2,22 @@
  * @file error-display.js
  */
 import Component from './component';
+import MediaError from './media-error.js';
 import ModalDialog from './modal-dialog';
+import * as Dom from './utils/dom.js';
 import mergeOptions from './utils/merge-options';
 
+import './retry-button.js';
+
 /**
  * A display that indicates an error has occurred. This means that the video
  * is unplayable.
  *
+ * It shows the headline, message and help of the error from its
+ * {@link MediaError~ErrorDefinition}, and its code for support requests.
+ * Errors that are {@link MediaError#recoverable|recoverable} get a
+ * {@link RetryButton}.
+ *
  * @extends ModalDialog
  */
 class ErrorDisplay extends ModalDialog {
@@ -25,6 +34,10 @@ class ErrorDisplay extends ModalDialog {
   constructor(player, options) {
     super(player, options);
     this.on(player, 'error', this.open);
+
+    // The content is created again every time the display opens, so the
+    // button is only put into it when the error is recoverable
+    this.retryButton_ = this.addChild('retryButton');
   }
 
   /**
@@ -40,15 +53,42 @@ class ErrorDisplay extends ModalDialog {
   }
 
   /**
-   * Gets the localized error message based on the `Player`s error.
+   * Gets the localized content for the `Player`s error: its headline, message,
+   * help, a "Retry" button if it is recoverable, and its code.
    *
-   * @return {string}
-   *         The `Player`s error message localized or an empty string.
+   * @return {Element[]|string}
+   *         The elements of the content, or an empty string if there is no
+   *         error.
    */
   content() {
-    const error = this.player().error();
+    const player = this.player();
+    const error = player.error();
+
+    if (!error) {
+      return '';
+    }
+
+    const definition = MediaError.getErrorDefinition(error.code) || {};
+    const content = [];
+    const addText = (className, text) => {
+      if (text) {
+        content.push(Dom.createEl('div', {className, textContent: text}));
+      }
+    };
+
+    addText('vjs-error-headline', this.localize(definition.headline || ''));
+    addText('vjs-error-message', this.localize(error.message));
+    addText('vjs-error-help', this.localize(definition.help || ''));
+
+    if (error.recoverable && player.currentSources().length) {
+      content.push(this.retryButton_.el());
+    }
+
+    if (error.code) {
+      addText('vjs-error-code', this.localize('Error code: {1}', [error.code]));
+    }
 
-    return error ? this.localize(error.message) : '';
+    return content;
   }
 }
 
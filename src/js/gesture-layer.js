@@ -0,0 +1,419 @@
+/**
+ * @file gesture-layer.js
+ */
+import Component from './component';
+import * as Dom from './utils/dom';
+import formatTime from './utils/format-time';
+
+// The time in milliseconds within which a second tap makes a double tap.
+const DOUBLE_TAP_DELAY = 300;
+
+// The distance in pixels a touch has to move to be a swipe rather than a tap.
+// This is the same as the `tapMovementThreshold` of `Component#emitTapEvents`.
+const SWIPE_THRESHOLD = 10;
+
+// How long the indicators stay visible after a gesture, in milliseconds.
+const INDICATOR_TIMEOUT = 600;
+
+/**
+ * Limit a number to a range.
+ *
+ * @param {number} value
+ *        The number to limit.
+ *
+ * @param {number} min
+ *        The lowest number of the range.
+ *
+ * @param {number} max
+ *        The highest number of the range.
+ *
+ * @return {number}
+ *         The limited number.
+ */
+const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
+
+/**
+ * Recognizes touch gestures on the video for touch devices: a double tap on
+ * the left or right third of the video seeks backward or forward, a
+ * horizontal swipe scrubs through the media with a preview of the time, and
+ * a vertical swipe changes the volume where the tech allows it.
+ *
+ * The player forwards the touch events and taps of the tech to this
+ * component. It is only added to the player if its `gestureLayer` option is
+ * turned on.
+ *
+ * @extends Component
+ */
+class GestureLayer extends Component {
+
+  /**
+   * Creates an instance of this class.
+   *
+   * @param {Player} player
+   *        The `Player` that this class should be attached to.
+   *
+   * @param {Object} [options]
+   *        The key/value store of player options.
+   *
+   * @param {number|boolean} [options.doubleTap=10]
+   *        The number of seconds a double tap on the left or right third of
+   *        the video seeks by, or `false` to turn double taps off.
+   *
+   * @param {number|boolean} [options.swipeSeek=60]
+   *        The number of seconds a horizontal swipe across the whole width of
+   *        the video scrubs by, or `false` to turn scrubbing off.
+   *
+   * @param {boolean} [options.swipeVolume=true]
+   *        Whether a vertical swipe changes the volume. A swipe across the
+   *        whole height of the video goes from muted to full volume.
+   */
+  constructor(player, options) {
+    super(player, options);
+
+    this.lastTap_ = null;
+    this.tapPosition_ = null;
+    this.touch_ = null;
+    this.skipped_ = 0;
+
+    // Keep the browser from scrolling or zooming when swiping over the video
+    player.addClass('vjs-gestures');
+  }
+
+  /**
+   * Create the `GestureLayer`'s DOM element
+   *
+   * @return {Element}
+   *         The element that was created.
+   */
+  createEl() {
+    this.rippleEls_ = {
+      backward: Dom.createEl('div', {
+        className: 'vjs-gesture-ripple vjs-gesture-ripple-backward'
+      }),
+      forward: Dom.createEl('div', {
+        className: 'vjs-gesture-ripple vjs-gesture-ripple-forward'
+      })
+    };
+
+    this.previewEl_ = Dom.createEl('div', {
+      className: 'vjs-gesture-preview'
+    });
+
+    // The indicators only repeat what the gestures did, which the controls
+    // already tell screen readers
+    return Dom.createEl('div', {
+      className: 'vjs-gesture-layer'
+    }, {
+      'aria-hidden': 'true'
+    }, [this.rippleEls_.backward, this.rippleEls_.forward, this.previewEl_]);
+  }
+
+  /**
+   * Dispose of the `GestureLayer` and all child components.
+   */
+  dispose() {
+    if (this.player_) {
+      this.player_.removeClass('vjs-gestures');
+    }
+
+    this.rippleEls_ = null;
+    this.previewEl_ = null;
+    this.tapPosition_ = null;
+    this.touch_ = null;
+
+    super.dispose();
+  }
+
+  /**
+   * Start recognizing a gesture.
+   *
+   * @param {EventTarget~Event} event
+   *        The `touchstart` event on the tech.
+   *
+   * @listens Tech#touchstart
+   */
+  handleTouchStart(event) {
+    if (!event.touches || event.touches.length !== 1) {
+      this.touch_ = null;
+      return;
+    }
+
+    // The `tap` event has no position, so it is taken from here
+    this.tapPosition_ = Dom.getPointerPosition(this.player_.el(), event);
+    this.touch_ = {
+      start: this.tapPosition_,
+      gesture: null
+    };
+  }
+
+  /**
+   * Recognize a swipe once the touch moved far enough, and follow it.
+   *
+   * @param {EventTarget~Event} event
+   *        The `touchmove` event on the tech.
+   *
+   * @listens Tech#touchmove
+   */
+  handleTouchMove(event) {
+    const touch = this.touch_;
+
+    if (!touch || event.touches && event.touches.length > 1) {
+      this.touch_ = null;
+      return;
+    }
+
+    const el = this.player_.el();
+    const position = Dom.getPointerPosition(el, event);
+    const dx = position.x - touch.start.x;
+    const dy = position.y - touch.start.y;
+
+    if (!touch.gesture) {
+      const xdiff = dx * el.offsetWidth;
+      const ydiff = dy * el.offsetHeight;
+
+      if (Math.sqrt(xdiff * xdiff + ydiff * ydiff) <= SWIPE_THRESHOLD) {
+        return;
+      }
+
+      touch.gesture = this.recognizeSwipe_(Math.abs(xdiff) > Math.abs(ydiff));
+    }
+
+    if (touch.gesture === 'seek') {
+      const range = this.seekableRange_();
+
+      touch.time = clamp(touch.startTime + dx * this.options_.swipeSeek, range.start, range.end);
+      this.showPreview_(formatTime(touch.time, range.end));
+    } else if (touch.gesture === 'volume') {
+      const volume = clamp(touch.startVolume + dy, 0, 1);
+
+      this.player_.volume(volume);
+      this.player_.muted(volume === 0);
+      this.showPreview_(`${Math.round(volume * 100)}%`);
+    }
+  }
+
+  /**
+   * Finish a swipe: a scrub seeks to the time in the preview.
+   *
+   * @param {EventTarget~Event} event
+   *        The `touchend` event on the tech.
+   *
+   * @listens Tech#touchend
+   */
+  handleTouchEnd(event) {
+    const touch = this.touch_;
+
+    this.touch_ = null;
+
+    if (touch && touch.gesture === 'seek' && touch.time !== undefined) {
+      this.player_.currentTime(touch.time);
+    }
+
+    if (touch && touch.gesture) {
+      this.hidePreview_();
+    }
+  }
+
+  /**
+   * Handle a tap on the tech. Taps on the left and right thirds of the video
+   * wait to see if a second tap follows; a double tap seeks, a single tap
+   * toggles the user activity like any other tap.
+   *
+   * @param {EventTarget~Event} event
+   *        The `tap` event on the tech.
+   *
+   * @return {boolean}
+   *         Whether the tap was handled by the `GestureLayer`. If not, the
+   *         player should handle it.
+   *
+   * @listens Tech#tap
+   */
+  handleTap(event) {
+    const side = this.tapSide_();
+    const now = new Date().getTime();
+    const lastTap = this.lastTap_;
+
+    if (!side || !this.seekable_()) {
+      return false;
+    }
+
+    this.lastTap_ = {side, time: now};
+    this.clearTimeout(this.tapTimeout_);
+
+    if (lastTap && lastTap.side === side && now - lastTap.time < DOUBLE_TAP_DELAY) {
+      this.skip_(side);
+      return true;
+    }
+
+    this.tapTimeout_ = this.setTimeout(function() {
+      this.lastTap_ = null;
+      this.player_.userActive(!this.player_.userActive());
+    }, DOUBLE_TAP_DELAY);
+
+    return true;
+  }
+
+  /**
+   * Get the side of the video that the last tap was on, if double taps seek
+   * on that side.
+   *
+   * @return {string|null}
+   *         `'backward'` for the left third, `'forward'` for the right third,
+   *         or null otherwise.
+   *
+   * @private
+   */
+  tapSide_() {
+    const position = this.tapPosition_;
+
+    if (!this.options_.doubleTap || !position) {
+      return null;
+    }
+
+    if (position.x < 1 / 3) {
+      return 'backward';
+    }
+
+    if (position.x > 2 / 3) {
+      return 'forward';
+    }
+
+    return null;
+  }
+
+  /**
+   * Decide which swipe a touch that moved is.
+   *
+   * @param {boolean} horizontal
+   *        Whether the touch moved more horizontally than vertically.
+   *
+   * @return {string}
+   *         `'seek'`, `'volume'`, or `'none'` if that swipe is turned off or
+   *         not possible.
+   *
+   * @private
+   */
+  recognizeSwipe_(horizontal) {
+    const tech = this.player_.tech_;
+
+    if (horizontal && this.options_.swipeSeek && this.seekable_()) {
+      this.touch_.startTime = this.player_.currentTime();
+      return 'seek';
+    }
+
+    if (!horizontal && this.options_.swipeVolume && tech && tech.featuresVolumeControl) {
+      this.touch_.startVolume = this.player_.muted() ? 0 : this.player_.volume();
+      return 'volume';
+    }
+
+    return 'none';
+  }
+
+  /**
+   * Seek by the `doubleTap` number of seconds and show the ripple on that
+   * side. Further taps in a row add to the seconds shown in the ripple.
+   *
+   * @param {string} side
+   *        `'backward'` or `'forward'`.
+   *
+   * @private
+   */
+  skip_(side) {
+    const range = this.seekableRange_();
+    const step = side === 'forward' ? this.options_.doubleTap : -this.options_.doubleTap;
+    const rippleEl = this.rippleEls_[side];
+
+    this.player_.currentTime(clamp(this.player_.currentTime() + step, range.start, range.end));
+
+    if (!Dom.hasClass(rippleEl, 'vjs-gesture-ripple-showing')) {
+      this.skipped_ = 0;
+    }
+    this.skipped_ += this.options_.doubleTap;
+
+    Dom.removeClass(this.rippleEls_[side === 'forward' ? 'backward' : 'forward'], 'vjs-gesture-ripple-showing');
+    Dom.addClass(rippleEl, 'vjs-gesture-ripple-showing');
+    Dom.textContent(rippleEl, this.localize('{1} seconds', [this.skipped_]));
+
+    this.clearTimeout(this.rippleTimeout_);
+    this.rippleTimeout_ = this.setTimeout(function() {
+      Dom.removeClass(rippleEl, 'vjs-gesture-ripple-showing');
+    }, INDICATOR_TIMEOUT);
+  }
+
+  /**
+   * Whether the media can be seeked, which is not the case before its
+   * duration is known or during live playback without a seekable window.
+   *
+   * @return {boolean}
+   *         Whether the media can be seeked.
+   *
+   * @private
+   */
+  seekable_() {
+    const liveTracker = this.player_.liveTracker;
+
+    if (liveTracker && liveTracker.isLive()) {
+      return liveTracker.isDvr();
+    }
+
+    return this.player_.duration() > 0;
+  }
+
+  /**
+   * Get the range of times that can be seeked to.
+   *
+   * @return {Object}
+   *         An object with the `start` and `end` of the range.
+   *
+   * @private
+   */
+  seekableRange_() {
+    const liveTracker = this.player_.liveTracker;
+
+    if (liveTracker && liveTracker.isLive()) {
+      return {start: liveTracker.seekableStart(), end: liveTracker.seekableEnd()};
+    }
+
+    return {start: 0, end: this.player_.duration()};
+  }
+
+  /**
+   * Show the preview of a swipe.
+   *
+   * @param {string} text
+   *        The time or volume to show.
+   *
+   * @private
+   */
+  showPreview_(text) {
+    Dom.textContent(this.previewEl_, text);
+    Dom.addClass(this.previewEl_, 'vjs-gesture-preview-showing');
+  }
+
+  /**
+   * Hide the preview of a swipe after a moment.
+   *
+   * @private
+   */
+  hidePreview_() {
+    this.clearTimeout(this.previewTimeout_);
+    this.previewTimeout_ = this.setTimeout(function() {
+      Dom.removeClass(this.previewEl_, 'vjs-gesture-preview-showing');
+    }, INDICATOR_TIMEOUT);
+  }
+}
+
+/**
+ * Default options for `GestureLayer`
+ *
+ * @type {Object}
+ * @private
+ */
+GestureLayer.prototype.options_ = {
+  doubleTap: 10,
+  swipeSeek: 60,
+  swipeVolume: true
+};
+
+Component.registerComponent('GestureLayer', GestureLayer);
+export default GestureLayer;
@@ -1,6 +1,10 @@
 import Component from './component.js';
 import mergeOptions from './utils/merge-options.js';
 
+// How much the playback rate changes per second of difference between the
+// latency and the target latency
+const CATCH_UP_FACTOR = 0.02;
+
 /* track when we are at the live edge, and other helpers for live playback */
 class LiveTracker extends Component {
 
@@ -67,6 +71,41 @@ class LiveTracker extends Component {
       this.behindLiveEdge_ = this.isBehind_();
       this.trigger('liveedgechange');
     }
+
+    this.setDvr_(this.seekableEnd() - this.seekableStart() >= this.options_.dvrThreshold);
+
+    // don't report that we are outside of the window until a timeupdate has been seen
+    const outsideDvrWindow = this.timeupdateSeen_ && this.player_.currentTime() < this.seekableStart();
+
+    if (outsideDvrWindow !== this.outsideDvrWindow()) {
+      this.outsideDvrWindow_ = outsideDvrWindow;
+
+      if (outsideDvrWindow) {
+        this.trigger('dvrwindowexit');
+      }
+    }
+  }
+
+  /**
+   * Set whether the seekable window is large enough to seek in, which
+   * switches the player between the liveui and a plain LIVE display.
+   *
+   * @param {boolean} isDvr
+   *        Whether the seekable window is large enough.
+   *
+   * @private
+   */
+  setDvr_(isDvr) {
+    // on Android seekableEnd can be Infinity, in which case we cannot seek
+    isDvr = isDvr === true && this.seekableEnd() !== Infinity;
+
+    if (isDvr === this.isDvr()) {
+      return;
+    }
+
+    this.isDvr_ = isDvr;
+    this.player_.toggleClass('vjs-liveui', isDvr && !!this.player_.options_.liveui);
+    this.trigger('dvrchange');
   }
 
   /**
@@ -94,6 +133,8 @@ class LiveTracker extends Component {
 
     this.on(this.player_, 'play', this.trackLive_);
     this.on(this.player_, 'pause', this.trackLive_);
+    this.on(this.player_, 'timeupdate', this.updateLatency_);
+    this.on(this.player_, 'ratechange', this.handleRatechange_);
     this.one(this.player_, 'play', this.handlePlay);
 
     // this is to prevent showing that we are not live
@@ -111,6 +152,71 @@ class LiveTracker extends Component {
     this.one(this.player_, 'timeupdate', this.seekToLiveEdge);
   }
 
+  /**
+   * Report the latency and, if there is a `targetLatency`, nudge the
+   * playback rate so that the latency converges on it.
+   *
+   * @fires LiveTracker#latencychange
+   * @listens Player#timeupdate
+   * @private
+   */
+  updateLatency_() {
+    const latency = this.latency();
+
+    if (!isFinite(latency)) {
+      return;
+    }
+
+    // only report changes of at least a tenth of a second
+    if (Math.round(latency * 10) !== Math.round(this.lastLatency_ * 10)) {
+      this.lastLatency_ = latency;
+      this.trigger('latencychange');
+    }
+
+    const target = this.options_.targetLatency;
+    const player = this.player_;
+
+    // don't fight the user while they seek or after they chose a playback rate
+    if (typeof target !== 'number' || this.manualRate_ ||
+        player.paused() || player.scrubbing() || player.seeking()) {
+      return;
+    }
+
+    const difference = latency - target;
+    let rate = 1;
+
+    if (Math.abs(difference) > this.options_.latencyTolerance) {
+      // speed up when too far behind the live edge and slow down when too close
+      rate = 1 + (difference * CATCH_UP_FACTOR);
+      rate = Math.min(Math.max(rate, this.options_.minPlaybackRate), this.options_.maxPlaybackRate);
+      rate = Math.round(rate * 100) / 100;
+    }
+
+    if (rate !== (this.catchUpRate_ || 1)) {
+      this.catchUpRate_ = rate;
+      player.playbackRate(rate);
+    }
+  }
+
+  /**
+   * Stop catching up when the playback rate was changed by something else,
+   * like the playback rate menu, and start again when it is back to 1.
+   *
+   * @listens Player#ratechange
+   * @private
+   */
+  handleRatechange_() {
+    const rate = this.player_.playbackRate();
+
+    // ignore the changes made while catching up
+    if (this.catchUpRate_ !== null && Math.abs(rate - this.catchUpRate_) < 0.001) {
+      return;
+    }
+
+    this.catchUpRate_ = null;
+    this.manualRate_ = rate !== 1;
+  }
+
   /**
    * Stop tracking, and set all internal variables to
    * their initial value.
@@ -119,7 +225,12 @@ class LiveTracker extends Component {
     this.pastSeekEnd_ = 0;
     this.lastSeekEnd_ = null;
     this.behindLiveEdge_ = null;
+    this.outsideDvrWindow_ = false;
     this.timeupdateSeen_ = false;
+    this.lastLatency_ = NaN;
+    this.catchUpRate_ = null;
+    this.manualRate_ = false;
+    this.setDvr_(false);
 
     this.clearInterval(this.trackingInterval_);
     this.trackingInterval_ = null;
@@ -129,6 +240,8 @@ class LiveTracker extends Component {
     this.off(this.player_, 'pause', this.trackLive_);
     this.off(this.player_, 'play', this.handlePlay);
     this.off(this.player_, 'timeupdate', this.seekToLiveEdge);
+    this.off(this.player_, 'timeupdate', this.updateLatency_);
+    this.off(this.player_, 'ratechange', this.handleRatechange_);
     if (this.handleTimeupdate) {
       this.off(this.player_, 'timeupdate', this.handleTimeupdate);
       this.handleTimeupdate = null;
@@ -142,6 +255,12 @@ class LiveTracker extends Component {
     if (!this.isTracking()) {
       return;
     }
+
+    // undo catching up
+    if (this.catchUpRate_ !== null && this.catchUpRate_ !== 1) {
+      this.player_.playbackRate(1);
+    }
+
     this.reset_();
   }
 
@@ -210,6 +329,20 @@ class LiveTracker extends Component {
     return !this.behindLiveEdge();
   }
 
+  /**
+   * Get how many seconds currentTime is behind the live current time.
+   *
+   * @return {number}
+   *         The latency in seconds, or NaN when not tracking live playback
+   */
+  latency() {
+    if (!this.isTracking()) {
+      return NaN;
+    }
+
+    return this.liveCurrentTime() - this.player_.currentTime();
+  }
+
   /**
    * get what we expect the live current time to be
    */
@@ -236,6 +369,28 @@ class LiveTracker extends Component {
     return typeof this.trackingInterval_ === 'number';
   }
 
+  /**
+   * If the seekable window is at least `dvrThreshold` seconds long, so that
+   * the seek bar can be used to seek within it
+   *
+   * @return {boolean}
+   *         Whether the seekable window is long enough
+   */
+  isDvr() {
+    return !!this.isDvr_;
+  }
+
+  /**
+   * If currentTime has fallen before the start of the seekable window, for
+   * instance because playback was paused for too long
+   *
+   * @return {boolean}
+   *         Whether currentTime is before the seekable window
+   */
+  outsideDvrWindow() {
+    return this.outsideDvrWindow_;
+  }
+
   /**
    * Seek to the live edge if we are behind the live edge
    */
@@ -252,10 +407,33 @@ class LiveTracker extends Component {
   }
 
   dispose() {
-    this.stopTracking();
+    // the tech is gone by now, so the playback rate cannot be restored
+    this.reset_();
     super.dispose();
   }
 }
 
+/**
+ * Default options for `LiveTracker`
+ *
+ * @type {Object}
+ * @private
+ */
+LiveTracker.prototype.options_ = {
+  // the number of seconds the seekable window has to be for the liveui to be used
+  dvrThreshold: 30,
+
+  // the number of seconds behind the live current time to keep playback at by
+  // adjusting the playback rate, or null to leave the playback rate alone
+  targetLatency: null,
+
+  // how far the latency can be from the target before the rate is adjusted
+  latencyTolerance: 0.5,
+
+  // the bounds of the playback rate while catching up
+  minPlaybackRate: 0.95,
+  maxPlaybackRate: 1.05
+};
+
 Component.registerComponent('LiveTracker', LiveTracker);
 export default LiveTracker;
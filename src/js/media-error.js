@@ -3,6 +3,15 @@
  */
 import {assign, isObject} from './utils/obj';
 
+/**
+ * The errors that were registered with {@link MediaError.registerError}, by
+ * code.
+ *
+ * @type {Object}
+ * @private
+ */
+const errors = {};
+
 /**
  * A Custom `MediaError` class which mimics the standard HTML5 `MediaError` class.
  *
@@ -47,6 +56,19 @@ function MediaError(value) {
   if (!this.message) {
     this.message = MediaError.defaultMessages[this.code] || '';
   }
+
+  // Fill in what is known about registered errors, unless it was given
+  const definition = errors[this.code];
+
+  if (definition) {
+    if (!this.hasOwnProperty('type')) {
+      this.type = definition.type;
+    }
+
+    if (!this.hasOwnProperty('recoverable')) {
+      this.recoverable = !!definition.recoverable;
+    }
+  }
 }
 
 /**
@@ -75,6 +97,38 @@ MediaError.prototype.message = '';
  */
 MediaError.prototype.status = null;
 
+/**
+ * The name of the type of the error, like `'MEDIA_ERR_NETWORK'`. It is taken
+ * from the {@link MediaError~ErrorDefinition} of the code.
+ *
+ * @type {string}
+ */
+MediaError.prototype.type = 'MEDIA_ERR_CUSTOM';
+
+/**
+ * Whether loading the media again may fix the error, like after a network
+ * error. The {@link ErrorDisplay} shows a "Retry" button for these errors.
+ *
+ * @type {boolean}
+ */
+MediaError.prototype.recoverable = false;
+
+/**
+ * Technical details about the error for debugging and support, like the state
+ * of the media when it happened.
+ *
+ * @type {Object}
+ */
+MediaError.prototype.details = null;
+
+/**
+ * Any data that the player, a plugin or a tech wants to keep with the error,
+ * like the ids of the media that failed.
+ *
+ * @type {Object}
+ */
+MediaError.prototype.metadata = null;
+
 /**
  * Errors indexed by the W3C standard. The order **CANNOT CHANGE**! See the
  * specification listed under {@link MediaError} for more information.
@@ -111,13 +165,83 @@ MediaError.defaultMessages = {
   5: 'The media is encrypted and we do not have the keys to decrypt it.'
 };
 
-// Add types as properties on MediaError
-// e.g. MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED = 4;
-for (let errNum = 0; errNum < MediaError.errorTypes.length; errNum++) {
-  MediaError[MediaError.errorTypes[errNum]] = errNum;
+/**
+ * Describes the errors with a code, for {@link MediaError.registerError}. The
+ * strings are in English and are localized by the {@link ErrorDisplay}, so
+ * translations can be added to the languages of the player.
+ *
+ * @typedef {Object} MediaError~ErrorDefinition
+ *
+ * @property {string} type
+ *           The name of the type of the errors, like `'MEDIA_ERR_NETWORK'`.
+ *           The code is added as a constant with this name to `MediaError`.
+ *
+ * @property {string} [message]
+ *           The default message of the errors.
+ *
+ * @property {string} [headline]
+ *           A short headline that is shown above the message.
+ *
+ * @property {string} [help]
+ *           What the viewer can do about the errors, which is shown below the
+ *           message.
+ *
+ * @property {boolean} [recoverable=false]
+ *           Whether loading the media again may fix the errors.
+ */
+
+/**
+ * Register the errors with a code, so that they get a type, a default message
+ * and the other fields of the definition. Plugins and techs use this to add
+ * their own error codes, which should be negative so that they never clash
+ * with the W3C codes.
+ *
+ * @param {number} code
+ *        The code of the errors.
+ *
+ * @param {MediaError~ErrorDefinition} definition
+ *        What is known about the errors.
+ */
+MediaError.registerError = function(code, definition) {
+  errors[code] = assign({}, definition);
+
   // values should be accessible on both the class and instance
-  MediaError.prototype[MediaError.errorTypes[errNum]] = errNum;
-}
+  MediaError[definition.type] = code;
+  MediaError.prototype[definition.type] = code;
+
+  if (definition.message) {
+    MediaError.defaultMessages[code] = definition.message;
+  }
+};
+
+/**
+ * Get the definition of the errors with a code.
+ *
+ * @param {number} code
+ *        The code of the errors.
+ *
+ * @return {MediaError~ErrorDefinition|undefined}
+ *         The definition, or undefined if the code was not registered.
+ */
+MediaError.getErrorDefinition = function(code) {
+  return errors[code];
+};
+
+// Register the W3C errors, which adds their types as properties on MediaError
+// e.g. MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED = 4;
+[
+  {},
+  {headline: 'Playback Aborted', recoverable: true},
+  {headline: 'Network Error', help: 'Check your connection and try again.', recoverable: true},
+  {headline: 'Playback Error'},
+  {headline: 'Media Unavailable'},
+  {headline: 'Encrypted Media'}
+].forEach((definition, code) => {
+  MediaError.registerError(code, assign({
+    type: MediaError.errorTypes[code],
+    message: MediaError.defaultMessages[code]
+  }, definition));
+});
 
 // jsdocs for instance/static members added above
 // instance methods use `#` and static methods use `.`
@@ -211,4 +335,21 @@ for (let errNum = 0; errNum < MediaError.errorTypes.length; errNum++) {
  * @default 5
  */
 
+/**
+ * Error code for playback that stopped progressing and could not be recovered
+ * by the {@link StallWatchdog}. Codes that are not W3C codes are negative, and
+ * -1 and -2 are left to the videojs-errors plugin.
+ *
+ * @member MediaError.MEDIA_ERR_STALLED
+ * @constant {number}
+ * @default -3
+ */
+MediaError.registerError(-3, {
+  type: 'MEDIA_ERR_STALLED',
+  message: 'The media playback stalled and could not be recovered.',
+  headline: 'Playback Stalled',
+  help: 'Check your connection and try again.',
+  recoverable: true
+});
+
 export default MediaError;
@@ -0,0 +1,53 @@
+/**
+ * @file back-menu-item.js
+ */
+import MenuItem from './menu-item.js';
+import Component from '../component.js';
+
+/**
+ * The first {@link MenuItem} of a panel opened by a {@link SubMenuItem}, which
+ * goes back to the previous items of the {@link Menu}.
+ *
+ * @extends MenuItem
+ */
+class BackMenuItem extends MenuItem {
+
+  /**
+   * Creates an instance of this class.
+   *
+   * @param {Player} player
+   *        The `Player` that this class should be attached to.
+   *
+   * @param {Object} [options]
+   *        The key/value store of player options.
+   */
+  constructor(player, options) {
+    options.selectable = false;
+
+    super(player, options);
+
+    this.addClass('vjs-back-menu-item');
+    this.controlText(', back');
+  }
+
+  /**
+   * Go back to the previous items of the menu when this menu item is
+   * "clicked". See {@link ClickableComponent} for more detailed information on
+   * what a click can be.
+   *
+   * @param {EventTarget~Event} [event]
+   *        The `keydown`, `tap`, or `click` event that caused this function to be
+   *        called.
+   *
+   * @listens tap
+   * @listens click
+   */
+  handleClick(event) {
+    if (this.parentComponent_) {
+      this.parentComponent_.closePanel();
+    }
+  }
+}
+
+Component.registerComponent('BackMenuItem', BackMenuItem);
+export default BackMenuItem;
@@ -5,11 +5,8 @@ import Button from '../button.js';
 import Component from '../component.js';
 import Menu from './menu.js';
 import * as Dom from '../utils/dom.js';
-import * as Fn from '../utils/fn.js';
-import * as Events from '../utils/events.js';
 import toTitleCase from '../utils/to-title-case.js';
 import { IS_IOS } from '../utils/browser.js';
-import document from 'global/document';
 
 /**
  * A `MenuButton` class for any popup {@link Menu}.
@@ -247,8 +244,8 @@ class MenuButton extends Component {
 
   /**
    * This gets called when a `MenuButton` gains focus via a `focus` event.
-   * Turns on listening for `keydown` events. When they happen it
-   * calls `this.handleKeyPress`.
+   * Turns on listening for `keydown` events on the actual button. When they
+   * happen it calls `this.handleKeyPress`.
    *
    * @param {EventTarget~Event} event
    *        The `focus` event that caused this function to be called.
@@ -256,7 +253,7 @@ class MenuButton extends Component {
    * @listens focus
    */
   handleFocus() {
-    Events.on(document, 'keydown', Fn.bind(this, this.handleKeyPress));
+    this.on(this.menuButton_, 'keydown', this.handleKeyPress);
   }
 
   /**
@@ -269,7 +266,7 @@ class MenuButton extends Component {
    * @listens blur
    */
   handleBlur() {
-    Events.off(document, 'keydown', Fn.bind(this, this.handleKeyPress));
+    this.off(this.menuButton_, 'keydown', this.handleKeyPress);
   }
 
   /**
@@ -291,6 +288,7 @@ class MenuButton extends Component {
       // Don't preventDefault for Tab key - we still want to lose focus
       if (event.which !== 9) {
         event.preventDefault();
+        event.stopPropagation();
         // Set focus back to the menu button's button
         this.menuButton_.el_.focus();
       }
@@ -300,6 +298,8 @@ class MenuButton extends Component {
         this.pressButton();
         event.preventDefault();
       }
+      // These keys belong to the menu, so the player should not handle them as hotkeys
+      event.stopPropagation();
     }
   }
 
@@ -322,6 +322,7 @@ class MenuButton extends Component {
       // Don't preventDefault for Tab key - we still want to lose focus
       if (event.which !== 9) {
         event.preventDefault();
+        event.stopPropagation();
         // Set focus back to the menu button's button
         this.menuButton_.el_.focus();
       }
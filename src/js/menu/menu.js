@@ -6,6 +6,8 @@ import document from 'global/document';
 import * as Dom from '../utils/dom.js';
 import * as Fn from '../utils/fn.js';
 import * as Events from '../utils/events.js';
+import SubMenuItem from './sub-menu-item.js';
+import BackMenuItem from './back-menu-item.js';
 
 /**
  * The Menu component is used to build popup menus, including subtitle and
@@ -34,6 +36,15 @@ class Menu extends Component {
 
     this.focusedChild_ = -1;
 
+    /**
+     * The items of the menu that were replaced by an open panel, innermost
+     * last.
+     *
+     * @type {Object[]}
+     * @private
+     */
+    this.panels_ = [];
+
     this.on('keydown', this.handleKeyPress);
   }
 
@@ -48,6 +59,11 @@ class Menu extends Component {
     this.addChild(component);
     component.on('blur', Fn.bind(this, this.handleBlur));
     component.on(['tap', 'click'], Fn.bind(this, function(event) {
+      // Items that move between the panels of the menu keep it open
+      if (component instanceof SubMenuItem || component instanceof BackMenuItem) {
+        return;
+      }
+
       // Unpress the associated MenuButton, and move focus back to it
       if (this.menuButton_) {
         this.menuButton_.unpressButton();
@@ -94,11 +110,106 @@ class Menu extends Component {
   }
 
   dispose() {
+    this.panels_.forEach((panel) => {
+      panel.items.forEach((item) => item.dispose());
+    });
+    this.panels_ = null;
     this.contentEl_ = null;
 
     super.dispose();
   }
 
+  /**
+   * Show the panel of a {@link SubMenuItem} in place of the current items,
+   * with a {@link BackMenuItem} to go back to them, and focus its first item.
+   *
+   * @param {SubMenuItem} opener
+   *        The menu item whose panel to open.
+   */
+  openPanel(opener) {
+    const previous = this.children().slice();
+    const items = [new BackMenuItem(this.player_, {label: opener.options_.label})].concat(opener.createItems());
+
+    this.panels_.push({
+      opener,
+      items: previous
+    });
+
+    items.forEach((item) => this.addItem(item));
+
+    // focus the first item after the back item, if there is one
+    const focusIndex = Math.min(1, items.length - 1);
+
+    // focus moves to the panel before the previous items are removed, so
+    // the menu does not lose focus and close
+    this.focusItem_(items[focusIndex]);
+    previous.forEach((item) => this.removeChild(item));
+    this.focusedChild_ = focusIndex;
+  }
+
+  /**
+   * Go back from the open panel to the items it replaced and focus the
+   * {@link SubMenuItem} that opened it.
+   */
+  closePanel() {
+    const panel = this.panels_[this.panels_.length - 1];
+
+    if (!panel) {
+      return;
+    }
+
+    this.restorePanel_(() => this.focusItem_(panel.opener));
+    this.focusedChild_ = this.children().indexOf(panel.opener);
+  }
+
+  /**
+   * Go back from all open panels to the top-level items of the menu.
+   */
+  closeAllPanels() {
+    while (this.panels_.length) {
+      this.restorePanel_();
+    }
+  }
+
+  /**
+   * Replace the items of the open panel with the items it replaced.
+   *
+   * @param {Function} [beforeRemove]
+   *        Called after the previous items are back, before the items of the
+   *        panel are removed.
+   *
+   * @private
+   */
+  restorePanel_(beforeRemove) {
+    const panel = this.panels_.pop();
+    const current = this.children().slice();
+
+    panel.items.forEach((item) => this.addChild(item));
+
+    if (beforeRemove) {
+      beforeRemove();
+    }
+
+    current.forEach((item) => {
+      this.removeChild(item);
+      item.dispose();
+    });
+  }
+
+  /**
+   * Focus an item of the menu.
+   *
+   * @param {Component} item
+   *        The item to focus.
+   *
+   * @private
+   */
+  focusItem_(item) {
+    if (item && item.el_) {
+      item.el_.focus();
+    }
+  }
+
   /**
    * Called when a `MenuItem` loses focus.
    *
@@ -131,14 +242,30 @@ class Menu extends Component {
    * @listens keydown
    */
   handleKeyPress(event) {
+    const focusedChild = this.children()[this.focusedChild_];
+
+    // Left Arrow goes back from an open panel
+    if (event.which === 37 && this.panels_.length) {
+      event.preventDefault();
+      event.stopPropagation();
+      this.closePanel();
+
+    // Right Arrow opens the panel of a sub menu item
+    } else if (event.which === 39 && focusedChild instanceof SubMenuItem) {
+      event.preventDefault();
+      event.stopPropagation();
+      this.openPanel(focusedChild);
+
     // Left and Down Arrows
-    if (event.which === 37 || event.which === 40) {
+    } else if (event.which === 37 || event.which === 40) {
       event.preventDefault();
+      event.stopPropagation();
       this.stepForward();
 
     // Up and Right Arrows
     } else if (event.which === 38 || event.which === 39) {
       event.preventDefault();
+      event.stopPropagation();
       this.stepBack();
     }
   }
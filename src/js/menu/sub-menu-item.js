@@ -0,0 +1,66 @@
+/**
+ * @file sub-menu-item.js
+ */
+import MenuItem from './menu-item.js';
+import Component from '../component.js';
+
+/**
+ * A {@link MenuItem} that opens a panel of other menu items in its
+ * {@link Menu}, in place of the current items.
+ *
+ * @extends MenuItem
+ */
+class SubMenuItem extends MenuItem {
+
+  /**
+   * Creates an instance of this class.
+   *
+   * @param {Player} player
+   *        The `Player` that this class should be attached to.
+   *
+   * @param {Object} [options]
+   *        The key/value store of player options.
+   *
+   * @param {Function} [options.createItems]
+   *        A function that returns the menu items of the panel. It is called
+   *        every time the panel is opened.
+   */
+  constructor(player, options) {
+    options.selectable = false;
+
+    super(player, options);
+
+    this.addClass('vjs-sub-menu-item');
+    this.el_.setAttribute('aria-haspopup', 'true');
+  }
+
+  /**
+   * Create the menu items of the panel this menu item opens.
+   *
+   * @return {MenuItem[]}
+   *         The menu items of the panel.
+   */
+  createItems() {
+    return this.options_.createItems ? this.options_.createItems() : [];
+  }
+
+  /**
+   * Open the panel of this menu item when it is "clicked". See
+   * {@link ClickableComponent} for more detailed information on what a click can be.
+   *
+   * @param {EventTarget~Event} [event]
+   *        The `keydown`, `tap`, or `click` event that caused this function to be
+   *        called.
+   *
+   * @listens tap
+   * @listens click
+   */
+  handleClick(event) {
+    if (this.parentComponent_) {
+      this.parentComponent_.openPanel(this);
+    }
+  }
+}
+
+Component.registerComponent('SubMenuItem', SubMenuItem);
+export default SubMenuItem;
@@ -29,9 +29,14 @@ import mergeOptions from './utils/merge-options.js';
 import {silencePromise} from './utils/promise';
 import textTrackConverter from './tracks/text-track-list-converter.js';
 import ModalDialog from './modal-dialog';
+import Preferences from './preferences.js';
+import RetryPolicy from './retry-policy.js';
+import SpatialNavigation from './spatial-navigation.js';
+import StallWatchdog from './stall-watchdog.js';
 import Tech from './tech/tech.js';
 import * as middleware from './tech/middleware.js';
 import {ALL as TRACK_TYPES} from './tracks/track-types';
+import QualityLevelList from './tracks/quality-level-list';
 import filterSource from './utils/filter-source';
 import {getMimetype, findMimetype} from './utils/mimetypes';
 
@@ -41,14 +46,18 @@ import {getMimetype, findMimetype} from './utils/mimetypes';
 import './tech/loader.js';
 import './poster-image.js';
 import './tracks/text-track-display.js';
+import './gesture-layer.js';
 import './loading-spinner.js';
 import './big-play-button.js';
+import './title-bar.js';
 import './close-button.js';
 import './control-bar/control-bar.js';
 import './error-display.js';
+import './resume-position.js';
 import './tracks/text-track-settings.js';
 import './resize-manager.js';
 import './live-tracker.js';
+import './playlist.js';
 
 // Import Html5 tech, at least for disposing the original video tag.
 import './tech/html5.js';
@@ -520,9 +529,27 @@ class Player extends Component {
 
     this.one('play', this.listenForUserActivity_);
     this.on('stageclick', this.handleStageClick_);
+    this.on('keydown', this.handleKeyPress);
 
     this.breakpoints(this.options_.breakpoints);
     this.responsive(this.options_.responsive);
+    this.audioOnlyMode(this.options_.audioOnlyMode);
+
+    if (this.options_.preferences) {
+      this.preferences_ = new Preferences(this, this.options_.preferences === true ? {} : this.options_.preferences);
+    }
+
+    if (this.options_.spatialNavigation) {
+      this.spatialNavigation_ = new SpatialNavigation(this, this.options_.spatialNavigation === true ? {} : this.options_.spatialNavigation);
+    }
+
+    if (this.options_.retryOnError) {
+      this.retryPolicy_ = new RetryPolicy(this, this.options_.retryOnError === true ? {} : this.options_.retryOnError);
+    }
+
+    if (this.options_.stallWatchdog) {
+      this.stallWatchdog_ = new StallWatchdog(this, this.options_.stallWatchdog === true ? {} : this.options_.stallWatchdog);
+    }
 
     this.changingSrc_ = false;
     this.playWaitingForReady_ = false;
@@ -553,6 +580,26 @@ class Player extends Component {
       this.styleEl_ = null;
     }
 
+    if (this.preferences_) {
+      this.preferences_.dispose();
+      this.preferences_ = null;
+    }
+
+    if (this.spatialNavigation_) {
+      this.spatialNavigation_.dispose();
+      this.spatialNavigation_ = null;
+    }
+
+    if (this.retryPolicy_) {
+      this.retryPolicy_.dispose();
+      this.retryPolicy_ = null;
+    }
+
+    if (this.stallWatchdog_) {
+      this.stallWatchdog_.dispose();
+      this.stallWatchdog_ = null;
+    }
+
     // Kill reference to this player
     Player.players[this.id_] = null;
 
@@ -1055,6 +1102,7 @@ class Player extends Component {
 
       techOptions[props.getterName] = this[props.privateName];
     });
+    techOptions.qualityLevels = this.qualityLevels_;
 
     assign(techOptions, this.options_[titleTechName]);
     assign(techOptions, this.options_[camelTechName]);
@@ -1110,6 +1158,8 @@ class Player extends Component {
     this.on(this.tech_, 'pause', this.handleTechPause_);
     this.on(this.tech_, 'durationchange', this.handleTechDurationChange_);
     this.on(this.tech_, 'fullscreenchange', this.handleTechFullscreenChange_);
+    this.on(this.tech_, 'enterpictureinpicture', this.handleTechEnterPictureInPicture_);
+    this.on(this.tech_, 'leavepictureinpicture', this.handleTechLeavePictureInPicture_);
     this.on(this.tech_, 'error', this.handleTechError_);
     this.on(this.tech_, 'loadedmetadata', this.updateStyleEl_);
     this.on(this.tech_, 'posterchange', this.handleTechPosterChange_);
@@ -1147,6 +1197,7 @@ class Player extends Component {
 
       this[props.privateName] = this[props.getterName]();
     });
+    this.qualityLevels_ = this.tech_.qualityLevels();
     this.textTracksJson_ = textTrackConverter.textTracksToJson(this.tech_);
 
     this.isReady_ = false;
@@ -1155,6 +1206,9 @@ class Player extends Component {
 
     this.tech_ = false;
 
+    // the media element of the disposed tech cannot be in Picture-in-Picture anymore
+    this.isInPictureInPicture(false);
+
     if (this.isPosterFromTech_) {
       this.poster_ = '';
       this.trigger('posterchange');
@@ -1207,6 +1261,8 @@ class Player extends Component {
    * @private
    */
   addTechControlsListeners_() {
+    const userActions = this.options_.userActions || {};
+
     // Make sure to remove all the previous listeners in case we are called multiple times.
     this.removeTechControlsListeners_();
 
@@ -1214,8 +1270,16 @@ class Player extends Component {
     // trigger mousedown/up.
     // http://stackoverflow.com/questions/1444562/javascript-onclick-event-over-flash-object
     // Any touch events are set to block the mousedown event from happening
-    this.on(this.tech_, 'mousedown', this.handleTechClick_);
-    this.on(this.tech_, 'dblclick', this.handleTechDoubleClick_);
+    //
+    // Clicks and double-clicks can be turned off entirely with the
+    // `userActions.click` and `userActions.doubleClick` options.
+    if (userActions.click !== false) {
+      this.on(this.tech_, 'mousedown', this.handleTechClick_);
+    }
+
+    if (userActions.doubleClick !== false) {
+      this.on(this.tech_, 'dblclick', this.handleTechDoubleClick_);
+    }
 
     // If the controls were hidden we don't want that to change without a tap event
     // so we'll check if the controls were already showing before reporting user
@@ -1804,7 +1868,8 @@ class Player extends Component {
   }
 
   /**
-   * Handle a click on the media element to play/pause
+   * Handle a click on the media element to play/pause, or call the
+   * `userActions.click` function if one is configured.
    *
    * @param {EventTarget~Event} event
    *        the event that caused this function to trigger
@@ -1823,7 +1888,15 @@ class Player extends Component {
       return;
     }
 
-    if (this.paused()) {
+    const userActions = this.options_.userActions || {};
+
+    if (userActions.click === false) {
+      return;
+    }
+
+    if (typeof userActions.click === 'function') {
+      userActions.click.call(this, event);
+    } else if (this.paused()) {
       silencePromise(this.play());
     } else {
       this.pause();
@@ -1831,7 +1904,8 @@ class Player extends Component {
   }
 
   /**
-   * Handle a double-click on the media element to enter/exit fullscreen
+   * Handle a double-click on the media element to enter/exit fullscreen, or
+   * call the `userActions.doubleClick` function if one is configured.
    *
    * @param {EventTarget~Event} event
    *        the event that caused this function to trigger
@@ -1844,6 +1918,12 @@ class Player extends Component {
       return;
     }
 
+    const userActions = this.options_.userActions || {};
+
+    if (userActions.doubleClick === false) {
+      return;
+    }
+
     // we do not want to toggle fullscreen state
     // when double-clicking inside a control bar or a modal
     const inAllowedEls = Array.prototype.some.call(
@@ -1852,7 +1932,9 @@ class Player extends Component {
     );
 
     if (!inAllowedEls) {
-      if (this.isFullscreen()) {
+      if (typeof userActions.doubleClick === 'function') {
+        userActions.doubleClick.call(this, event);
+      } else if (this.isFullscreen()) {
         this.exitFullscreen();
       } else {
         this.requestFullscreen();
@@ -1862,35 +1944,60 @@ class Player extends Component {
 
   /**
    * Handle a tap on the media element. It will toggle the user
-   * activity state, which hides and shows the controls.
+   * activity state, which hides and shows the controls, unless the
+   * {@link GestureLayer} takes it as part of a double tap.
+   *
+   * @param {EventTarget~Event} event
+   *        the tap event that triggered
+   *        this function
    *
    * @listens Tech#tap
    * @private
    */
-  handleTechTap_() {
+  handleTechTap_(event) {
+    if (this.gestureLayer && this.gestureLayer.handleTap(event)) {
+      return;
+    }
+
     this.userActive(!this.userActive());
   }
 
   /**
    * Handle touch to start
    *
+   * @param {EventTarget~Event} event
+   *        the touchstart event that triggered
+   *        this function
+   *
    * @listens Tech#touchstart
    * @private
    */
-  handleTechTouchStart_() {
+  handleTechTouchStart_(event) {
     this.userWasActive = this.userActive();
+
+    if (this.gestureLayer) {
+      this.gestureLayer.handleTouchStart(event);
+    }
   }
 
   /**
    * Handle touch to move
    *
+   * @param {EventTarget~Event} event
+   *        the touchmove event that triggered
+   *        this function
+   *
    * @listens Tech#touchmove
    * @private
    */
-  handleTechTouchMove_() {
+  handleTechTouchMove_(event) {
     if (this.userWasActive) {
       this.reportUserActivity();
     }
+
+    if (this.gestureLayer) {
+      this.gestureLayer.handleTouchMove(event);
+    }
   }
 
   /**
@@ -1906,6 +2013,10 @@ class Player extends Component {
   handleTechTouchEnd_(event) {
     // Stop the mouse events from also happening
     event.preventDefault();
+
+    if (this.gestureLayer) {
+      this.gestureLayer.handleTouchEnd(event);
+    }
   }
 
   /**
@@ -1980,7 +2091,9 @@ class Player extends Component {
   }
 
   /**
-   * Fires when an error occurred during the loading of an audio/video.
+   * Fires when an error occurred during the loading of an audio/video. With
+   * the `retryOnError` option, the error is only shown once the sources
+   * could not be loaded again.
    *
    * @private
    * @listens Tech#error
@@ -1988,6 +2101,10 @@ class Player extends Component {
   handleTechError_() {
     const error = this.tech_.error();
 
+    if (this.retryPolicy_ && this.retryPolicy_.handleError(error)) {
+      return;
+    }
+
     this.error(error);
   }
 
@@ -2066,11 +2183,12 @@ class Player extends Component {
     // If it's not ready yet, call method when it is
 
     this.ready(function() {
-      if (method in middleware.allowedSetters) {
-        return middleware.set(this.middleware_, this.tech_, method, arg);
-
-      } else if (method in middleware.allowedMediators) {
+      // Mediators come first, as setters like `setCurrentTime` can be both
+      if (method in middleware.allowedMediators) {
         return middleware.mediate(this.middleware_, this.tech_, method, arg);
+
+      } else if (method in middleware.allowedSetters) {
+        return middleware.set(this.middleware_, this.tech_, method, arg);
       }
 
       try {
@@ -2329,14 +2447,12 @@ class Player extends Component {
       // Cache the last set value for optimized scrubbing (esp. Flash)
       this.cache_.duration = seconds;
 
+      // the `LiveTracker` adds the `vjs-liveui` class when the live window is
+      // large enough to seek in
       if (seconds === Infinity) {
         this.addClass('vjs-live');
-        if (this.options_.liveui && this.player_.liveTracker) {
-          this.addClass('vjs-liveui');
-        }
       } else {
         this.removeClass('vjs-live');
-        this.removeClass('vjs-liveui');
       }
       if (!isNaN(seconds)) {
         // Do not fire durationchange unless the duration value is known.
@@ -2708,6 +2824,320 @@ class Player extends Component {
     this.trigger('exitFullWindow');
   }
 
+  /**
+   * Check if the player is in Picture-in-Picture mode or tell the player that it
+   * is or is not in Picture-in-Picture mode.
+   *
+   * @param  {boolean} [isPiP]
+   *         Set the players current Picture-in-Picture state
+   *
+   * @return {boolean}
+   *         - true if Picture-in-Picture is on and getting
+   *         - false if Picture-in-Picture is off and getting
+   */
+  isInPictureInPicture(isPiP) {
+    if (isPiP !== undefined) {
+      this.isInPictureInPicture_ = !!isPiP;
+      this.togglePictureInPictureClass_();
+      return;
+    }
+    return !!this.isInPictureInPicture_;
+  }
+
+  /**
+   * Create a floating video window always on top of other windows so that users may
+   * continue consuming media while they interact with other content sites, or
+   * applications on their device.
+   *
+   * The player state is updated once the {@link Tech} reports that it entered
+   * Picture-in-Picture, as the browser may still refuse the request.
+   *
+   * @see [Spec]{@link https://wicg.github.io/picture-in-picture}
+   *
+   * @fires Player#enterpictureinpicture
+   *
+   * @return {Promise|undefined}
+   *         A promise with a Picture-in-Picture window if the browser supports
+   *         Promises (or one was passed in as an option). It returns undefined
+   *         otherwise.
+   */
+  requestPictureInPicture() {
+    if (this.tech_ && this.tech_.featuresPictureInPicture) {
+      return this.techGet_('requestPictureInPicture');
+    }
+
+    const PromiseClass = this.options_.Promise || window.Promise;
+
+    if (PromiseClass) {
+      return PromiseClass.reject(new Error('Picture-in-Picture is not supported by the current tech.'));
+    }
+  }
+
+  /**
+   * Exit Picture-in-Picture mode. Nothing happens when the video in
+   * Picture-in-Picture is not the video of this player.
+   *
+   * @see [Spec]{@link https://wicg.github.io/picture-in-picture}
+   *
+   * @fires Player#leavepictureinpicture
+   *
+   * @return {Promise|undefined}
+   *         A promise if the browser supports Promises (or one was passed in
+   *         as an option). It returns undefined otherwise.
+   */
+  exitPictureInPicture() {
+    const inPictureInPicture = this.tech_ && document.pictureInPictureElement === this.tech_.el();
+
+    if (inPictureInPicture && typeof document.exitPictureInPicture === 'function') {
+      return document.exitPictureInPicture();
+    }
+
+    const PromiseClass = this.options_.Promise || window.Promise;
+
+    if (PromiseClass) {
+      return PromiseClass.resolve();
+    }
+  }
+
+  /**
+   * @private
+   */
+  togglePictureInPictureClass_() {
+    if (this.isInPictureInPicture()) {
+      this.addClass('vjs-picture-in-picture');
+    } else {
+      this.removeClass('vjs-picture-in-picture');
+    }
+  }
+
+  /**
+   * Retrigger the `enterpictureinpicture` event that was triggered by the
+   * {@link Tech} and update the Picture-in-Picture state.
+   *
+   * @fires Player#enterpictureinpicture
+   * @listens Tech#enterpictureinpicture
+   * @private
+   */
+  handleTechEnterPictureInPicture_() {
+    this.isInPictureInPicture(true);
+
+    /**
+     * Fired when the media has entered Picture-in-Picture mode.
+     *
+     * @event Player#enterpictureinpicture
+     * @type {EventTarget~Event}
+     */
+    this.trigger('enterpictureinpicture');
+  }
+
+  /**
+   * Retrigger the `leavepictureinpicture` event that was triggered by the
+   * {@link Tech} and update the Picture-in-Picture state.
+   *
+   * @fires Player#leavepictureinpicture
+   * @listens Tech#leavepictureinpicture
+   * @private
+   */
+  handleTechLeavePictureInPicture_() {
+    this.isInPictureInPicture(false);
+
+    /**
+     * Fired when the media has left Picture-in-Picture mode.
+     *
+     * @event Player#leavepictureinpicture
+     * @type {EventTarget~Event}
+     */
+    this.trigger('leavepictureinpicture');
+  }
+
+  /**
+   * Called when this Player has focus and a key gets pressed down, or when
+   * any Component of this player receives a key press that it doesn't handle.
+   * This allows player-wide hotkeys (either as defined below, or optionally
+   * by an external function).
+   *
+   * @param {EventTarget~Event} event
+   *        The `keydown` event that caused this function to be called.
+   *
+   * @listens keydown
+   */
+  handleKeyPress(event) {
+    const {userActions} = this.options_;
+
+    // The arrow keys move the focus in spatial navigation, instead of seeking
+    // or changing the volume
+    if (this.spatialNavigation_ && this.spatialNavigation_.handleKeyDown(event)) {
+      return;
+    }
+
+    // Bail out if hotkeys are not configured.
+    if (!userActions || !userActions.hotkeys) {
+      return;
+    }
+
+    // Function that determines whether or not to exclude an element from
+    // hotkeys handling.
+    const excludeElement = (el) => {
+      if (!el) {
+        return false;
+      }
+
+      const tagName = el.tagName.toLowerCase();
+
+      // These tags will be excluded entirely.
+      const excludedTags = ['textarea', 'select'];
+
+      // Inputs matching these types will still trigger hotkey handling as
+      // they are not text inputs.
+      const allowedInputTypes = [
+        'button',
+        'checkbox',
+        'hidden',
+        'radio',
+        'reset',
+        'submit'
+      ];
+
+      // The first and most important check is for `contenteditable`.
+      if (el.isContentEditable) {
+        return true;
+      }
+
+      if (tagName === 'input') {
+        return allowedInputTypes.indexOf(el.type) === -1;
+      }
+
+      return excludedTags.indexOf(tagName) !== -1;
+    };
+
+    // Bail out if the user is focused on an interactive form element.
+    if (excludeElement(this.el_.ownerDocument.activeElement) || excludeElement(event.target)) {
+      return;
+    }
+
+    // Leave key combinations to the browser and the operating system.
+    if (event.ctrlKey || event.altKey || event.metaKey) {
+      return;
+    }
+
+    if (typeof userActions.hotkeys === 'function') {
+      userActions.hotkeys.call(this, event);
+    } else {
+      this.handleHotkeys(event);
+    }
+  }
+
+  /**
+   * Called when this Player receives a hotkey keydown event.
+   * Supported player-wide hotkeys are:
+   *
+   *   space, k      - toggle play/pause
+   *   f             - toggle fullscreen
+   *   m             - toggle mute
+   *   left, right   - seek backward/forward by `seekStep` seconds
+   *   up, down      - increase/decrease the volume by `volumeStep`
+   *   0 through 9   - seek to 0% through 90% of the duration
+   *
+   * Each of the default keys can be replaced by passing a function that
+   * receives the `keydown` event in the `userActions.hotkeys` object, and
+   * extra keys can be added with `userActions.hotkeys.customKeys`.
+   *
+   * @param {EventTarget~Event} event
+   *        The `keydown` event that caused this function to be called.
+   */
+  handleHotkeys(event) {
+    const hotkeys = this.options_.userActions ? this.options_.userActions.hotkeys : {};
+    const options = hotkeys && typeof hotkeys === 'object' ? hotkeys : {};
+
+    // set fullscreenKey, muteKey, playPauseKey and so on from `hotkeys`,
+    // use the defaults if not set
+    const {
+      fullscreenKey = keydownEvent => keydownEvent.which === 70,
+      muteKey = keydownEvent => keydownEvent.which === 77,
+      playPauseKey = keydownEvent => (keydownEvent.which === 32 || keydownEvent.which === 75),
+      seekBackwardKey = keydownEvent => keydownEvent.which === 37,
+      seekForwardKey = keydownEvent => keydownEvent.which === 39,
+      volumeUpKey = keydownEvent => keydownEvent.which === 38,
+      volumeDownKey = keydownEvent => keydownEvent.which === 40,
+      seekStep = 5,
+      volumeStep = 0.1,
+      customKeys = {}
+    } = options;
+
+    // Custom keys are checked first, so they may take over a default key.
+    const customKey = Object.keys(customKeys).filter((name) => {
+      return customKeys[name] && customKeys[name].key && customKeys[name].key.call(this, event);
+    })[0];
+
+    if (customKey) {
+      event.preventDefault();
+      customKeys[customKey].handler.call(this, this, options, event);
+
+    } else if (playPauseKey.call(this, event)) {
+      event.preventDefault();
+
+      if (this.paused()) {
+        silencePromise(this.play());
+      } else {
+        this.pause();
+      }
+
+    } else if (fullscreenKey.call(this, event)) {
+      // Nothing to do if the document does not allow fullscreen.
+      if (document[FullscreenApi.fullscreenEnabled] === false) {
+        return;
+      }
+
+      event.preventDefault();
+
+      if (this.isFullscreen()) {
+        this.exitFullscreen();
+      } else {
+        this.requestFullscreen();
+      }
+
+    } else if (muteKey.call(this, event)) {
+      event.preventDefault();
+      this.muted(!this.muted());
+
+    } else if (seekBackwardKey.call(this, event) || seekForwardKey.call(this, event)) {
+      const step = seekBackwardKey.call(this, event) ? -seekStep : seekStep;
+      const duration = this.duration();
+      let time = Math.max(0, this.currentTime() + step);
+
+      if (isFinite(duration)) {
+        time = Math.min(time, duration);
+      }
+
+      event.preventDefault();
+      this.currentTime(time);
+
+    } else if (volumeUpKey.call(this, event) || volumeDownKey.call(this, event)) {
+      const step = volumeUpKey.call(this, event) ? volumeStep : -volumeStep;
+
+      event.preventDefault();
+
+      if (step > 0 && this.muted()) {
+        this.muted(false);
+      }
+
+      this.volume(Math.max(0, Math.min(1, this.volume() + step)));
+
+    // Number keys on the main keyboard (48-57) and the numpad (96-105)
+    } else if ((event.which >= 48 && event.which <= 57) || (event.which >= 96 && event.which <= 105)) {
+      const duration = this.duration();
+
+      if (!duration || !isFinite(duration)) {
+        return;
+      }
+
+      const digit = event.which - (event.which >= 96 ? 96 : 48);
+
+      event.preventDefault();
+      this.currentTime(duration * digit / 10);
+    }
+  }
+
   /**
    * Check whether the player can play a given mimetype
    *
@@ -2772,6 +3202,11 @@ class Player extends Component {
           return [techName, Tech.getTech(techName)];
         })
         .filter(([techName, tech]) => {
+          // Skip the techs that could not play the sources after an error
+          if (this.retryPolicy_ && !this.retryPolicy_.canUseTech(techName)) {
+            return false;
+          }
+
           // Check if the current tech is defined before continuing
           if (tech) {
             // Check if the browser supports this technology
@@ -2953,12 +3388,73 @@ class Player extends Component {
     this.techCall_('load');
   }
 
+  /**
+   * Clear the error and load the current sources again, continuing playback
+   * from where it stopped. This is what the "Retry" button of the
+   * {@link ErrorDisplay} does for errors that are
+   * {@link MediaError#recoverable|recoverable}.
+   */
+  retry() {
+    const sources = this.currentSources();
+    const time = this.currentTime();
+
+    if (!sources.length) {
+      return;
+    }
+
+    this.error(null);
+
+    if (time) {
+      this.resumeAfterRetry_(sources, time);
+    }
+
+    this.src(sources);
+    silencePromise(this.play());
+  }
+
+  /**
+   * Continue playback from a time once the sources that are retried have
+   * loaded. This is given up when they fail again, when other media is loaded
+   * or when the player is reset, so that other media does not start there.
+   *
+   * @param {Tech~SourceObject[]} sources
+   *        The sources that are retried.
+   *
+   * @param {number} time
+   *        The time to continue playback from.
+   *
+   * @private
+   */
+  resumeAfterRetry_(sources, time) {
+    const events = ['loadedmetadata', 'error', 'loadstart', 'playerreset'];
+    const handleEvent = (event) => {
+      // the sources that are retried start loading as well
+      if (event.type === 'loadstart' && sources.some((source) => source.src === this.currentSrc())) {
+        return;
+      }
+
+      this.off(events, handleEvent);
+
+      if (event.type === 'loadedmetadata') {
+        this.currentTime(time);
+      }
+    };
+
+    this.on(events, handleEvent);
+  }
+
   /**
    * Reset the player. Loads the first tech in the techOrder,
    * removes all the text tracks in the existing `tech`,
    * and calls `reset` on the `tech`.
    */
   reset() {
+    if (this.preferences_) {
+      this.preferences_.reset();
+    }
+    if (this.retryPolicy_) {
+      this.retryPolicy_.reset();
+    }
     if (this.tech_) {
       this.tech_.clearTracks('text');
     }
@@ -3385,7 +3881,7 @@ class Player extends Component {
 
     // log the name of the error type and any message
     // IE11 logs "[object object]" and required you to expand message to see error object
-    log.error(`(CODE:${this.error_.code} ${MediaError.errorTypes[this.error_.code]})`, this.error_.message, this.error_);
+    log.error(`(CODE:${this.error_.code} ${this.error_.type})`, this.error_.message, this.error_);
 
     /**
      * @event Player#error
@@ -3649,6 +4145,144 @@ class Player extends Component {
     return !!this.isAudio_;
   }
 
+  /**
+   * A getter/setter for audio-only mode, which collapses the player to its
+   * {@link ControlBar}. All other children of the player are hidden while it
+   * is on and shown again when it is turned off.
+   *
+   * @fires Player#audioonlymodechange
+   *
+   * @param {boolean} [value]
+   *        - true turns audio-only mode on
+   *        - false turns audio-only mode off
+   *        - no value will be a getter
+   *
+   * @return {boolean|undefined}
+   *         - Whether audio-only mode is on when getting
+   *         - undefined when setting
+   */
+  audioOnlyMode(value) {
+    if (value === undefined) {
+      return !!this.audioOnlyMode_;
+    }
+
+    value = !!value;
+
+    if (value === !!this.audioOnlyMode_) {
+      return;
+    }
+
+    this.audioOnlyMode_ = value;
+
+    if (value) {
+      // There is no video to show in fullscreen
+      if (this.isFullscreen()) {
+        this.exitFullscreen();
+      }
+
+      // Remember which children were hidden here, so that children that
+      // were already hidden stay that way when audio-only mode is turned off.
+      // The media element is kept in the children too, but it is not a
+      // component and is hidden by the styles instead, and the media loader
+      // has no element to hide. Modal dialogs open and close on their own.
+      this.audioOnlyHiddenChildren_ = this.children().filter((child) => {
+        return child instanceof Component &&
+          !(child instanceof ModalDialog) &&
+          child.el() &&
+          child !== this.getChild('ControlBar') &&
+          !child.hasClass('vjs-hidden');
+      });
+      this.audioOnlyHiddenChildren_.forEach((child) => child.hide());
+
+      // The styles for this class collapse the player to the height of the
+      // control bar, so its own dimensions are left alone for when it is
+      // turned off again.
+      this.addClass('vjs-audio-only-mode');
+    } else {
+      this.removeClass('vjs-audio-only-mode');
+
+      // skip any children that were removed in the meantime
+      this.audioOnlyHiddenChildren_.forEach((child) => {
+        if (this.children().indexOf(child) !== -1) {
+          child.show();
+        }
+      });
+      this.audioOnlyHiddenChildren_ = null;
+    }
+
+    /**
+     * Fired when audio-only mode is turned on or off.
+     *
+     * @event Player#audioonlymodechange
+     * @type {EventTarget~Event}
+     */
+    this.trigger('audioonlymodechange');
+  }
+
+  /**
+   * A getter/setter for the preferences of the user that are remembered with
+   * the `preferences` option, like the volume and the chosen text track.
+   *
+   * @param {Object|null} [values]
+   *        - An object with preferences to store, keeping any others
+   *        - null to clear all stored preferences
+   *        - no value will be a getter
+   *
+   * @return {Object|undefined}
+   *         - The stored preferences when getting, or undefined if the
+   *           `preferences` option is off
+   *         - undefined when setting
+   */
+  preferences(values) {
+    if (!this.preferences_) {
+      return;
+    }
+
+    if (values === undefined) {
+      return this.preferences_.get();
+    }
+
+    if (values === null) {
+      this.preferences_.clear();
+    } else {
+      this.preferences_.set(values);
+    }
+  }
+
+  /**
+   * Get the {@link SpatialNavigation} of the player, which is only there if
+   * the `spatialNavigation` option is on. Use it to add components of your
+   * own that can be navigated to with the arrow keys.
+   *
+   * @return {SpatialNavigation|undefined}
+   *         The spatial navigation, or undefined if the option is off.
+   */
+  spatialNavigation() {
+    return this.spatialNavigation_;
+  }
+
+  /**
+   * Get the {@link QualityLevelList} of the current source. Techs and source
+   * handlers of adaptive media add a {@link QualityLevel} to it for every
+   * rendition they can switch between.
+   *
+   * > Note: A plugin registered as `qualityLevels`, like
+   * > videojs-contrib-quality-levels, replaces this method.
+   *
+   * @return {QualityLevelList}
+   *         The current quality level list.
+   */
+  qualityLevels() {
+    if (this.tech_) {
+      return this.tech_.qualityLevels();
+    }
+
+    // if we have not yet loadTech_, we create qualityLevels_
+    // which will be passed to the tech during loading
+    this.qualityLevels_ = this.qualityLevels_ || new QualityLevelList();
+    return this.qualityLevels_;
+  }
+
   /**
    * A helper method for adding a {@link TextTrack} to our
    * {@link TextTrackList}.
@@ -3851,6 +4485,7 @@ class Player extends Component {
   /**
    * Change breakpoint classes when the player resizes.
    *
+   * @fires Player#breakpointchange
    * @private
    */
   updateCurrentBreakpoint_() {
@@ -3879,6 +4514,14 @@ class Player extends Component {
 
         this.addClass(BREAKPOINT_CLASSES[candidateBreakpoint]);
         this.breakpoint_ = candidateBreakpoint;
+
+        /**
+         * Fired when the current breakpoint of a responsive player changes.
+         *
+         * @event Player#breakpointchange
+         * @type {EventTarget~Event}
+         */
+        this.trigger('breakpointchange');
         break;
       }
     }
@@ -3887,6 +4530,7 @@ class Player extends Component {
   /**
    * Removes the current breakpoint.
    *
+   * @fires Player#breakpointchange
    * @private
    */
   removeCurrentBreakpoint_() {
@@ -3896,6 +4540,7 @@ class Player extends Component {
 
     if (className) {
       this.removeClass(className);
+      this.trigger('breakpointchange');
     }
   }
 
@@ -4043,6 +4688,11 @@ class Player extends Component {
    *           API. If not specified, will be populated via the `poster`, if
    *           available.
    *
+   * @property {string} [id]
+   *           A unique identifier of the media. If given, it is used instead
+   *           of the source URL to remember the playback position, see the
+   *           `resumePosition` option.
+   *
    * @property {string} [poster]
    *           URL to an image that will display before playback.
    *
@@ -4053,8 +4703,11 @@ class Player extends Component {
    *           selection algorithms can take the `type` into account.
    *
    * @property {string} [title]
-   *           Unused, except if this object is passed to the `MediaSession`
-   *           API.
+   *           The title of the media, shown by the {@link TitleBar}. Also used
+   *           if this object is passed to the `MediaSession` API.
+   *
+   * @property {string} [description]
+   *           A description of the media, shown by the {@link TitleBar}.
    *
    * @property {Object[]} [textTracks]
    *           An array of objects to be used to create text tracks, following
@@ -4074,6 +4727,8 @@ class Player extends Component {
    *
    * @param  {Function} ready
    *         A callback to be called when the player is ready.
+   *
+   * @fires Player#loadmedia
    */
   loadMedia(media, ready) {
     if (!media || typeof media !== 'object') {
@@ -4107,6 +4762,15 @@ class Player extends Component {
       textTracks.forEach(tt => this.addRemoteTextTrack(tt, false));
     }
 
+    /**
+     * Fired when a {@link Player~MediaObject|MediaObject} was loaded with
+     * {@link Player#loadMedia}.
+     *
+     * @event Player#loadmedia
+     * @type {EventTarget~Event}
+     */
+    this.trigger('loadmedia');
+
     this.ready(ready);
   }
 
@@ -4331,11 +4995,15 @@ Player.prototype.options_ = {
     'mediaLoader',
     'posterImage',
     'textTrackDisplay',
+    'gestureLayer',
     'loadingSpinner',
     'bigPlayButton',
+    'titleBar',
     'liveTracker',
+    'playlist',
     'controlBar',
     'errorDisplay',
+    'resumePosition',
     'textTrackSettings',
     'resizeManager'
   ],
@@ -4349,7 +5017,20 @@ Player.prototype.options_ = {
   notSupportedMessage: 'No compatible source was found for this media.',
 
   breakpoints: {},
-  responsive: false
+  responsive: false,
+  audioOnlyMode: false,
+  preferences: false,
+  spatialNavigation: false,
+  retryOnError: false,
+  stallWatchdog: false,
+  resumePosition: false,
+  gestureLayer: false,
+
+  userActions: {
+    click: true,
+    doubleClick: true,
+    hotkeys: false
+  }
 };
 
 [
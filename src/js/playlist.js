@@ -0,0 +1,354 @@
+/**
+ * @file playlist.js
+ */
+import Component from './component.js';
+import mergeOptions from './utils/merge-options.js';
+import {silencePromise} from './utils/promise';
+
+/**
+ * The repeat modes of a {@link Playlist}.
+ *
+ * - `none`: Stop at the end of the playlist.
+ * - `all`: Go back to the first item after the last one.
+ * - `one`: Play the current item again when it ends.
+ *
+ * @typedef Playlist~RepeatMode
+ * @enum
+ */
+const RepeatModes = {
+  none: 'none',
+  all: 'all',
+  one: 'one'
+};
+
+/**
+ * A list of {@link Player~MediaObject|MediaObjects} that are played one after
+ * the other. Every item is loaded with {@link Player#loadMedia}, so the remote
+ * text tracks and artwork of the previous item are cleaned up.
+ *
+ * The playlist of a player is available as `player.playlist`.
+ *
+ * @extends Component
+ */
+class Playlist extends Component {
+
+  /**
+   * Creates an instance of this class.
+   *
+   * @param {Player} player
+   *        The `Player` that this class should be attached to.
+   *
+   * @param {Object} [options]
+   *        The key/value store of player options.
+   *
+   * @param {number|null} [options.autoadvance=null]
+   *        The initial autoadvance delay, see {@link Playlist#autoadvance}.
+   *
+   * @param {Playlist~RepeatMode} [options.repeat='none']
+   *        The initial repeat mode, see {@link Playlist#repeat}.
+   */
+  constructor(player, options) {
+    // the playlist does not need an element
+    const options_ = mergeOptions({createEl: false}, options);
+
+    super(player, options_);
+
+    this.items_ = [];
+    this.currentIndex_ = -1;
+    this.repeat_ = RepeatModes.none;
+    this.autoadvance_ = null;
+    this.autoadvanceTimeout_ = null;
+
+    this.repeat(this.options_.repeat);
+    this.autoadvance(this.options_.autoadvance);
+
+    this.on(player, 'ended', this.handleEnded);
+    this.on(player, ['play', 'seeking'], this.cancelAutoadvance_);
+  }
+
+  /**
+   * A getter/setter for the items of the playlist.
+   *
+   * @fires Player#playlistchange
+   *
+   * @param {Player~MediaObject[]} [items]
+   *        The new items of the playlist. Anything that isn't a media object is
+   *        left out.
+   *
+   * @param {number} [index=0]
+   *        The index of the item to load after setting the items. Pass -1 to
+   *        set the items without loading any of them.
+   *
+   * @return {Player~MediaObject[]|undefined}
+   *         - A copy of the items when getting
+   *         - undefined when setting
+   */
+  items(items, index = 0) {
+    if (items === undefined) {
+      return this.items_.map((item) => mergeOptions(item));
+    }
+
+    if (!Array.isArray(items)) {
+      return;
+    }
+
+    // Clone the items so they cannot be mutated from outside.
+    this.items_ = items
+      .filter((item) => item && typeof item === 'object')
+      .map((item) => mergeOptions(item));
+    this.currentIndex_ = -1;
+    this.cancelAutoadvance_();
+
+    /**
+     * Triggered when the items of the playlist have changed.
+     *
+     * @event Player#playlistchange
+     * @type {EventTarget~Event}
+     */
+    this.player_.trigger('playlistchange');
+
+    if (index !== -1) {
+      this.currentItem(index);
+    }
+  }
+
+  /**
+   * Get the index of the current item.
+   *
+   * @return {number}
+   *         The index of the current item or -1 if no item has been loaded.
+   */
+  currentIndex() {
+    return this.currentIndex_;
+  }
+
+  /**
+   * A getter/setter for the current item. Setting it loads the item at an
+   * index into the player.
+   *
+   * @fires Player#playlistitem
+   *
+   * @param {number} [index]
+   *        The index of the item to load.
+   *
+   * @return {Player~MediaObject|undefined}
+   *         A copy of the current item, or undefined if there is no current
+   *         item or the index is out of range.
+   */
+  currentItem(index) {
+    if (index === undefined) {
+      const item = this.items_[this.currentIndex_];
+
+      return item && mergeOptions(item);
+    }
+
+    if (typeof index !== 'number' || index < 0 || index >= this.items_.length) {
+      return;
+    }
+
+    this.loadItem_(index, !this.player_.paused());
+
+    return this.currentItem();
+  }
+
+  /**
+   * Load the next item. After the last item, the playlist only goes back to
+   * the first one if the repeat mode is `all`.
+   *
+   * @return {Player~MediaObject|undefined}
+   *         A copy of the item that was loaded, or undefined if there is no
+   *         next item.
+   */
+  next() {
+    const index = this.nextIndex_();
+
+    if (index === -1) {
+      return;
+    }
+
+    return this.currentItem(index);
+  }
+
+  /**
+   * Load the previous item. Before the first item, the playlist only goes to
+   * the last one if the repeat mode is `all`.
+   *
+   * @return {Player~MediaObject|undefined}
+   *         A copy of the item that was loaded, or undefined if there is no
+   *         previous item.
+   */
+  previous() {
+    let index = this.currentIndex_ - 1;
+
+    if (index < 0) {
+      if (this.repeat_ !== RepeatModes.all || !this.items_.length) {
+        return;
+      }
+      index = this.items_.length - 1;
+    }
+
+    return this.currentItem(index);
+  }
+
+  /**
+   * Shuffle the items of the playlist. The current item stays the current
+   * item, at its new index.
+   *
+   * @fires Player#playlistchange
+   */
+  shuffle() {
+    const current = this.items_[this.currentIndex_];
+
+    // Fisher-Yates shuffle
+    for (let i = this.items_.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      const item = this.items_[i];
+
+      this.items_[i] = this.items_[j];
+      this.items_[j] = item;
+    }
+
+    if (current) {
+      this.currentIndex_ = this.items_.indexOf(current);
+    }
+
+    this.player_.trigger('playlistchange');
+  }
+
+  /**
+   * A getter/setter for the repeat mode of the playlist.
+   *
+   * @param {Playlist~RepeatMode} [mode]
+   *        The new repeat mode. Unknown modes are ignored.
+   *
+   * @return {Playlist~RepeatMode|undefined}
+   *         - The repeat mode when getting
+   *         - undefined when setting
+   */
+  repeat(mode) {
+    if (mode === undefined) {
+      return this.repeat_;
+    }
+
+    if (RepeatModes.hasOwnProperty(mode)) {
+      this.repeat_ = mode;
+    }
+  }
+
+  /**
+   * A getter/setter for autoadvance, which plays the next item when the
+   * current one ends.
+   *
+   * @param {number|null} [delay]
+   *        The number of seconds to wait before playing the next item. Any
+   *        value that isn't a number of zero or more turns autoadvance off.
+   *
+   * @return {number|null|undefined}
+   *         - The delay, or null if autoadvance is off, when getting
+   *         - undefined when setting
+   */
+  autoadvance(delay) {
+    if (delay === undefined) {
+      return this.autoadvance_;
+    }
+
+    this.cancelAutoadvance_();
+
+    if (typeof delay !== 'number' || isNaN(delay) || delay < 0) {
+      this.autoadvance_ = null;
+      return;
+    }
+
+    this.autoadvance_ = delay;
+  }
+
+  /**
+   * Start the autoadvance delay when the current item ends.
+   *
+   * @listens Player#ended
+   */
+  handleEnded() {
+    if (this.autoadvance_ === null || this.currentIndex_ === -1) {
+      return;
+    }
+
+    this.cancelAutoadvance_();
+
+    this.autoadvanceTimeout_ = this.setTimeout(() => {
+      this.autoadvanceTimeout_ = null;
+
+      const index = this.repeat_ === RepeatModes.one ? this.currentIndex_ : this.nextIndex_();
+
+      if (index !== -1) {
+        this.loadItem_(index, true);
+      }
+    }, this.autoadvance_ * 1000);
+  }
+
+  /**
+   * Cancel a pending autoadvance.
+   *
+   * @private
+   * @listens Player#play
+   * @listens Player#seeking
+   */
+  cancelAutoadvance_() {
+    if (this.autoadvanceTimeout_ !== null) {
+      this.clearTimeout(this.autoadvanceTimeout_);
+      this.autoadvanceTimeout_ = null;
+    }
+  }
+
+  /**
+   * Get the index of the item after the current one, taking the repeat mode
+   * into account.
+   *
+   * @return {number}
+   *         The index of the next item or -1 if there is none.
+   *
+   * @private
+   */
+  nextIndex_() {
+    const index = this.currentIndex_ + 1;
+
+    if (index < this.items_.length) {
+      return index;
+    }
+
+    return this.repeat_ === RepeatModes.all && this.items_.length ? 0 : -1;
+  }
+
+  /**
+   * Load an item into the player.
+   *
+   * @fires Player#playlistitem
+   *
+   * @param {number} index
+   *        The index of the item.
+   *
+   * @param {boolean} play
+   *        Whether to start playback of the item.
+   *
+   * @private
+   */
+  loadItem_(index, play) {
+    this.cancelAutoadvance_();
+    this.currentIndex_ = index;
+    this.player_.loadMedia(this.items_[index]);
+
+    /**
+     * Triggered when an item of the playlist has been loaded into the player.
+     *
+     * @event Player#playlistitem
+     * @type {EventTarget~Event}
+     */
+    this.player_.trigger('playlistitem');
+
+    if (play) {
+      silencePromise(this.player_.play());
+    }
+  }
+}
+
+Component.registerComponent('Playlist', Playlist);
+export default Playlist;
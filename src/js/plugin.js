@@ -34,6 +34,19 @@ const PLUGIN_CACHE_KEY = 'activePlugins_';
  */
 const pluginStorage = {};
 
+/**
+ * Player methods that a plugin can take the name of, by name, with the method
+ * to put back when the plugin is de-registered. The `qualityLevels` method
+ * steps aside for the videojs-contrib-quality-levels plugin, which source
+ * handlers for adaptive media rely on.
+ *
+ * @private
+ * @type    {Object}
+ */
+const replaceableMethods = {
+  qualityLevels: Player.prototype.qualityLevels
+};
+
 /**
  * Reports whether or not a plugin has been registered.
  *
@@ -331,7 +344,7 @@ class Plugin {
    * @param   {string} name
    *          The name of the plugin to be registered. Must be a string and
    *          must not match an existing plugin or a method on the `Player`
-   *          prototype.
+   *          prototype, other than `qualityLevels`.
    *
    * @param   {Function} plugin
    *          A sub-class of `Plugin` or a function for basic plugins.
@@ -347,7 +360,7 @@ class Plugin {
 
     if (pluginExists(name)) {
       log.warn(`A plugin named "${name}" already exists. You may want to avoid re-registering plugins!`);
-    } else if (Player.prototype.hasOwnProperty(name)) {
+    } else if (Player.prototype.hasOwnProperty(name) && !replaceableMethods.hasOwnProperty(name)) {
       throw new Error(`Illegal plugin name, "${name}", cannot share a name with an existing player method!`);
     }
 
@@ -387,6 +400,10 @@ class Plugin {
     if (pluginExists(name)) {
       delete pluginStorage[name];
       delete Player.prototype[name];
+
+      if (replaceableMethods.hasOwnProperty(name)) {
+        Player.prototype[name] = replaceableMethods[name];
+      }
     }
   }
 
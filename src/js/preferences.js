@@ -0,0 +1,278 @@
+/**
+ * @file preferences.js
+ */
+import * as Fn from './utils/fn.js';
+import mergeOptions from './utils/merge-options.js';
+import {assign, isPlain} from './utils/obj';
+import {getLocalStorage, getJSON, setJSON, removeItem} from './utils/storage.js';
+
+/**
+ * Remembers the preferences of the user, like the volume and the chosen text
+ * track, in a `Storage` and restores them when the player loads media again.
+ * Use the `preferences` option of the player to turn this on, and
+ * {@link Player#preferences} to read or clear the stored preferences.
+ */
+class Preferences {
+
+  /**
+   * Create an instance of this class.
+   *
+   * @param {Player} player
+   *        The `Player` whose preferences should be remembered.
+   *
+   * @param {Object} [options]
+   *        The key/value store of preferences options.
+   *
+   * @param {Storage} [options.storage=window.localStorage]
+   *        Where to store the preferences. Any object with the `getItem`,
+   *        `setItem` and `removeItem` methods of `Storage` can be used.
+   *
+   * @param {string} [options.key='vjs-preferences']
+   *        The key to store the preferences under.
+   *
+   * @param {boolean} [options.volume=true]
+   *        Whether to remember the volume.
+   *
+   * @param {boolean} [options.muted=true]
+   *        Whether to remember if the player is muted.
+   *
+   * @param {boolean} [options.playbackRate=true]
+   *        Whether to remember the playback rate.
+   *
+   * @param {boolean} [options.textTrack=true]
+   *        Whether to remember the language and kind of the text track that was
+   *        chosen in the captions and subtitles menus, or that they were turned
+   *        off.
+   *
+   * @param {boolean} [options.audioTrack=true]
+   *        Whether to remember the language of the enabled audio track.
+   */
+  constructor(player, options) {
+    this.player_ = player;
+    this.options_ = mergeOptions(this.options_, options);
+    this.storage_ = this.options_.storage || getLocalStorage();
+
+    // Changes are only saved once the preferences have been restored for the
+    // current source, so that the initial state of the player or a reset
+    // does not overwrite them.
+    this.restored_ = false;
+
+    this.handleLoadStart_ = Fn.bind(this, this.handleLoadStart_);
+    this.restore = Fn.bind(this, this.restore);
+    this.handleVolumeChange_ = Fn.bind(this, this.handleVolumeChange_);
+    this.handleRateChange_ = Fn.bind(this, this.handleRateChange_);
+    this.handleTextTracksChange_ = Fn.bind(this, this.handleTextTracksChange_);
+    this.handleAudioTracksChange_ = Fn.bind(this, this.handleAudioTracksChange_);
+
+    player.on('loadstart', this.handleLoadStart_);
+    player.on('loadedmetadata', this.restore);
+    player.on('volumechange', this.handleVolumeChange_);
+    player.on('ratechange', this.handleRateChange_);
+    player.textTracks().addEventListener('change', this.handleTextTracksChange_);
+    player.audioTracks().addEventListener('change', this.handleAudioTracksChange_);
+  }
+
+  /**
+   * Stop remembering preferences.
+   */
+  dispose() {
+    this.player_.off('loadstart', this.handleLoadStart_);
+    this.player_.off('loadedmetadata', this.restore);
+    this.player_.off('volumechange', this.handleVolumeChange_);
+    this.player_.off('ratechange', this.handleRateChange_);
+    this.player_.textTracks().removeEventListener('change', this.handleTextTracksChange_);
+    this.player_.audioTracks().removeEventListener('change', this.handleAudioTracksChange_);
+    this.player_.clearTimeout(this.textTrackTimeout_);
+
+    this.player_ = null;
+    this.storage_ = null;
+  }
+
+  /**
+   * Get the stored preferences.
+   *
+   * @return {Object}
+   *         The stored preferences, which may include `volume`, `muted`,
+   *         `playbackRate`, `textTrack` and `audioTrack`.
+   */
+  get() {
+    const values = getJSON(this.storage_, this.options_.key);
+
+    return isPlain(values) ? values : {};
+  }
+
+  /**
+   * Store preferences, keeping any stored preferences that are not given.
+   *
+   * @param {Object} values
+   *        The preferences to store.
+   */
+  set(values) {
+    setJSON(this.storage_, this.options_.key, assign(this.get(), values));
+  }
+
+  /**
+   * Remove all stored preferences.
+   */
+  clear() {
+    removeItem(this.storage_, this.options_.key);
+  }
+
+  /**
+   * Stop saving changes until the preferences have been restored for the next
+   * source. This is called when the player is reset.
+   */
+  reset() {
+    this.restored_ = false;
+  }
+
+  /**
+   * Restore the stored preferences on the player, except for the text track,
+   * which is left to the {@link TextTrackDisplay} once it is loaded.
+   *
+   * @listens Player#loadedmetadata
+   */
+  restore() {
+    const values = this.get();
+    const player = this.player_;
+
+    if (this.options_.volume && typeof values.volume === 'number') {
+      player.volume(values.volume);
+    }
+
+    if (this.options_.muted && typeof values.muted === 'boolean') {
+      player.muted(values.muted);
+    }
+
+    if (this.options_.playbackRate && typeof values.playbackRate === 'number') {
+      player.playbackRate(values.playbackRate);
+    }
+
+    if (this.options_.audioTrack && values.audioTrack) {
+      const tracks = player.audioTracks();
+
+      for (let i = 0; i < tracks.length; i++) {
+        if (tracks[i].language === values.audioTrack.language) {
+          tracks[i].enabled = true;
+          break;
+        }
+      }
+    }
+
+    this.restored_ = true;
+  }
+
+  /**
+   * Hand the stored text track preference to the {@link TextTrackDisplay},
+   * which selects the matching track when the metadata has loaded.
+   *
+   * @listens Player#loadstart
+   * @private
+   */
+  handleLoadStart_() {
+    const textTrack = this.get().textTrack;
+
+    this.restored_ = false;
+
+    if (this.options_.textTrack && isPlain(textTrack) && !this.player_.cache_.selectedLanguage) {
+      this.player_.cache_.selectedLanguage = textTrack;
+    }
+  }
+
+  /**
+   * Save the volume and muted state.
+   *
+   * @listens Player#volumechange
+   * @private
+   */
+  handleVolumeChange_() {
+    if (!this.restored_) {
+      return;
+    }
+
+    const values = {};
+
+    if (this.options_.volume) {
+      values.volume = this.player_.volume();
+    }
+
+    if (this.options_.muted) {
+      values.muted = this.player_.muted();
+    }
+
+    this.set(values);
+  }
+
+  /**
+   * Save the playback rate.
+   *
+   * @listens Player#ratechange
+   * @private
+   */
+  handleRateChange_() {
+    if (this.restored_ && this.options_.playbackRate) {
+      this.set({playbackRate: this.player_.playbackRate()});
+    }
+  }
+
+  /**
+   * Save the text track that was chosen in the captions and subtitles menus.
+   *
+   * @listens TextTrackList#change
+   * @private
+   */
+  handleTextTracksChange_() {
+    if (!this.options_.textTrack) {
+      return;
+    }
+
+    // The menu items update the choice when they handle this same event, so
+    // wait for them to be done.
+    this.player_.clearTimeout(this.textTrackTimeout_);
+    this.textTrackTimeout_ = this.player_.setTimeout(() => {
+      const selectedLanguage = this.player_.cache_.selectedLanguage;
+
+      if (selectedLanguage) {
+        this.set({textTrack: selectedLanguage});
+      }
+    }, 0);
+  }
+
+  /**
+   * Save the language of the enabled audio track.
+   *
+   * @listens AudioTrackList#change
+   * @private
+   */
+  handleAudioTracksChange_() {
+    if (!this.restored_ || !this.options_.audioTrack) {
+      return;
+    }
+
+    const tracks = this.player_.audioTracks();
+
+    for (let i = 0; i < tracks.length; i++) {
+      if (tracks[i].enabled) {
+        this.set({audioTrack: {language: tracks[i].language}});
+        break;
+      }
+    }
+  }
+}
+
+/**
+ * The default options of preferences.
+ *
+ * @type {Object}
+ * @private
+ */
+Preferences.prototype.options_ = {
+  key: 'vjs-preferences',
+  volume: true,
+  muted: true,
+  playbackRate: true,
+  textTrack: true,
+  audioTrack: true
+};
+
+export default Preferences;
@@ -0,0 +1,361 @@
+/**
+ * @file resume-position.js
+ */
+import Component from './component';
+import ModalDialog from './modal-dialog';
+import * as Dom from './utils/dom';
+import * as Fn from './utils/fn';
+import formatTime from './utils/format-time';
+import mergeOptions from './utils/merge-options';
+import {isPlain} from './utils/obj';
+import {getLocalStorage, getJSON, setJSON, removeItem} from './utils/storage';
+
+/**
+ * Remembers how far the viewer got into each source and resumes playback from
+ * that position when the source is loaded again, either silently or after
+ * asking the viewer with a "Resume from 12:34?" dialog.
+ *
+ * Positions are stored under the `id` of the {@link Player~MediaObject} given
+ * to {@link Player#loadMedia} or, without one, under the current source URL.
+ * Positions near the start or the end of the media are not remembered.
+ *
+ * This component is only added to the player if its `resumePosition` option
+ * is turned on.
+ *
+ * @extends ModalDialog
+ */
+class ResumePosition extends ModalDialog {
+
+  /**
+   * Creates an instance of this class.
+   *
+   * @param {Player} player
+   *        The `Player` that this class should be attached to.
+   *
+   * @param {Object} [options]
+   *        The key/value store of player options.
+   *
+   * @param {boolean} [options.prompt=true]
+   *        Whether to ask the viewer before resuming. If `false`, playback is
+   *        resumed silently.
+   *
+   * @param {number} [options.startThreshold=10]
+   *        Positions within this many seconds of the start of the media are
+   *        not remembered.
+   *
+   * @param {number} [options.endThreshold=10]
+   *        Positions within this many seconds of the end of the media are not
+   *        remembered, so finished media starts over.
+   *
+   * @param {number} [options.limit=50]
+   *        The number of sources to remember positions for. The positions of
+   *        the sources that were played least recently are forgotten first.
+   *
+   * @param {Storage} [options.storage=window.localStorage]
+   *        Where to store the positions. Any object with the `getItem`,
+   *        `setItem` and `removeItem` methods of `Storage` can be used.
+   *
+   * @param {string} [options.key='vjs-resume-positions']
+   *        The key to store the positions under.
+   */
+  constructor(player, options) {
+    super(player, options);
+
+    this.storage_ = this.options_.storage || getLocalStorage();
+    this.position_ = null;
+
+    // Positions are only recorded once it has been decided where playback of
+    // the current source starts, so the start of the media does not overwrite
+    // the stored position while the viewer is being asked.
+    this.recording_ = false;
+
+    this.handleTimeUpdate_ = Fn.throttle(Fn.bind(this, this.record_), 1000);
+
+    this.on(player, ['loadstart', 'playerreset'], this.handleLoadStart);
+    this.on(player, 'loadedmetadata', this.handleLoadedMetadata);
+    this.on(player, 'timeupdate', this.handleTimeUpdate_);
+    this.on(player, 'pause', this.record_);
+    this.on(player, 'ended', this.handleEnded);
+    this.on('modalclose', this.handleModalClose);
+  }
+
+  /**
+   * Dispose of the `ResumePosition` and all child components.
+   */
+  dispose() {
+    this.storage_ = null;
+
+    super.dispose();
+  }
+
+  /**
+   * Builds the default DOM `className`.
+   *
+   * @return {string}
+   *         The DOM `className` for this object.
+   */
+  buildCSSClass() {
+    return `vjs-resume-position ${super.buildCSSClass()}`;
+  }
+
+  /**
+   * Returns the label string for this modal.
+   *
+   * @return {string}
+   *         The localized label of this modal.
+   */
+  label() {
+    return this.localize('Resume Playback');
+  }
+
+  /**
+   * Create the question and the buttons of the dialog.
+   *
+   * @return {Element[]}
+   *         The elements to fill the dialog with.
+   */
+  content() {
+    const duration = this.player_.duration();
+    const question = Dom.createEl('p', {
+      className: 'vjs-resume-position-question',
+      textContent: this.localize('Resume from {1}?', [formatTime(this.position_, duration)])
+    });
+    const controls = Dom.createEl('div', {className: 'vjs-resume-position-controls'});
+    const resumeButton = Dom.createEl('button', {
+      className: 'vjs-resume-button',
+      textContent: this.localize('Resume')
+    }, {type: 'button'});
+    const restartButton = Dom.createEl('button', {
+      className: 'vjs-restart-button',
+      textContent: this.localize('Start Over')
+    }, {type: 'button'});
+
+    this.on(resumeButton, 'click', this.resume);
+    this.on(restartButton, 'click', this.restart);
+
+    controls.appendChild(resumeButton);
+    controls.appendChild(restartButton);
+
+    return [question, controls];
+  }
+
+  /**
+   * Get the key that the position of the current source is stored under.
+   *
+   * @return {string}
+   *         The `id` of the current media object or the current source URL.
+   */
+  currentKey() {
+    const media = this.player_.cache_.media;
+
+    if (media && media.id !== undefined && media.id !== null) {
+      return String(media.id);
+    }
+
+    return this.player_.currentSrc();
+  }
+
+  /**
+   * Get the stored position of a source.
+   *
+   * @param {string} [key=this.currentKey()]
+   *        The key the position of the source is stored under.
+   *
+   * @return {number|undefined}
+   *         The stored position in seconds, if there is one.
+   */
+  position(key = this.currentKey()) {
+    return this.positions_()[key];
+  }
+
+  /**
+   * Forget the stored position of a source, or of all sources.
+   *
+   * @param {string} [key]
+   *        The key the position of the source is stored under. If it is not
+   *        given, all positions are forgotten.
+   */
+  clear(key) {
+    if (key === undefined) {
+      removeItem(this.storage_, this.options_.key);
+      return;
+    }
+
+    const positions = this.positions_();
+
+    if (positions.hasOwnProperty(key)) {
+      delete positions[key];
+      setJSON(this.storage_, this.options_.key, positions);
+    }
+  }
+
+  /**
+   * Seek to the stored position and close the dialog.
+   */
+  resume() {
+    if (this.position_ !== null) {
+      this.player_.currentTime(this.position_);
+    }
+
+    this.close();
+  }
+
+  /**
+   * Forget the stored position and close the dialog, so that playback starts
+   * from the beginning.
+   */
+  restart() {
+    this.clear(this.currentKey());
+    this.close();
+  }
+
+  /**
+   * Stop recording and close the dialog when a new source starts loading.
+   *
+   * @listens Player#loadstart
+   * @listens Player#playerreset
+   */
+  handleLoadStart() {
+    this.close();
+
+    this.recording_ = false;
+    this.position_ = null;
+  }
+
+  /**
+   * Resume from the stored position of the source, or ask the viewer to,
+   * once its duration is known.
+   *
+   * @listens Player#loadedmetadata
+   */
+  handleLoadedMetadata() {
+    const position = this.position();
+
+    if (typeof position !== 'number' || !this.isResumable_(position)) {
+      this.recording_ = true;
+      return;
+    }
+
+    if (this.options_.prompt) {
+      this.position_ = position;
+      this.open();
+      return;
+    }
+
+    this.player_.currentTime(position);
+    this.recording_ = true;
+  }
+
+  /**
+   * Start recording once the dialog is closed, whichever way it was closed.
+   *
+   * @listens ResumePosition#modalclose
+   */
+  handleModalClose() {
+    this.position_ = null;
+    this.recording_ = true;
+  }
+
+  /**
+   * Forget the position of the source once it has been played to the end.
+   *
+   * @listens Player#ended
+   */
+  handleEnded() {
+    if (this.recording_) {
+      this.clear(this.currentKey());
+    }
+  }
+
+  /**
+   * Store the current time of the player as the position of the current
+   * source. Positions near the start or the end of the media are removed
+   * instead.
+   *
+   * @listens Player#timeupdate
+   * @listens Player#pause
+   *
+   * @private
+   */
+  record_() {
+    const key = this.currentKey();
+
+    if (!this.recording_ || !key || !isFinite(this.player_.duration())) {
+      return;
+    }
+
+    const currentTime = this.player_.currentTime();
+
+    if (!this.isResumable_(currentTime)) {
+      this.clear(key);
+      return;
+    }
+
+    const positions = this.positions_();
+
+    // Deleting the key first moves it to the end of the stored positions,
+    // which are kept in the order the sources were played in.
+    delete positions[key];
+    positions[key] = currentTime;
+
+    const keys = Object.keys(positions);
+
+    keys.slice(0, Math.max(keys.length - this.options_.limit, 0)).forEach((k) => {
+      delete positions[k];
+    });
+
+    setJSON(this.storage_, this.options_.key, positions);
+  }
+
+  /**
+   * Whether a position is far enough from the start and the end of the media
+   * to resume from.
+   *
+   * @param {number} position
+   *        The position in seconds.
+   *
+   * @return {boolean}
+   *         Whether playback can be resumed from the position.
+   *
+   * @private
+   */
+  isResumable_(position) {
+    const duration = this.player_.duration();
+
+    return isFinite(duration) &&
+      position >= this.options_.startThreshold &&
+      position <= duration - this.options_.endThreshold;
+  }
+
+  /**
+   * Get all stored positions.
+   *
+   * @return {Object}
+   *         The stored positions in seconds, by key.
+   *
+   * @private
+   */
+  positions_() {
+    const positions = getJSON(this.storage_, this.options_.key);
+
+    return isPlain(positions) ? positions : {};
+  }
+}
+
+/**
+ * The default options for a `ResumePosition`.
+ *
+ * @private
+ */
+ResumePosition.prototype.options_ = mergeOptions(ModalDialog.prototype.options_, {
+  temporary: false,
+  fillAlways: true,
+  prompt: true,
+  startThreshold: 10,
+  endThreshold: 10,
+  limit: 50,
+  key: 'vjs-resume-positions'
+});
+
+Component.registerComponent('ResumePosition', ResumePosition);
+export default ResumePosition;
@@ -0,0 +1,58 @@
+/**
+ * @file retry-button.js
+ */
+import Button from './button';
+import Component from './component';
+
+/**
+ * The `RetryButton` is a `{@link Button}` that loads the sources of the player
+ * again with {@link Player#retry} when it gets clicked. Its text is shown,
+ * rather than only read out like the text of other buttons.
+ *
+ * @extends Button
+ */
+class RetryButton extends Button {
+
+  /**
+   * Creates an instance of this class.
+   *
+   * @param  {Player} player
+   *         The `Player` that this class should be attached to.
+   *
+   * @param  {Object} [options]
+   *         The key/value store of player options.
+   */
+  constructor(player, options) {
+    super(player, options);
+    this.controlText('Retry');
+  }
+
+  /**
+   * Builds the default DOM `className`.
+   *
+   * @return {string}
+   *         The DOM `className` for this object.
+   */
+  buildCSSClass() {
+    return `vjs-error-retry ${super.buildCSSClass()}`;
+  }
+
+  /**
+   * This gets called when a `RetryButton` gets clicked. See
+   * {@link ClickableComponent#handleClick} for more information on when this will be
+   * triggered
+   *
+   * @param {EventTarget~Event} event
+   *        The `keydown`, `tap`, or `click` event that caused this function to be
+   *        called.
+   *
+   * @listens tap
+   * @listens click
+   */
+  handleClick(event) {
+    this.player_.retry();
+  }
+}
+
+Component.registerComponent('RetryButton', RetryButton);
+export default RetryButton;
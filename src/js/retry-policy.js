@@ -0,0 +1,280 @@
+/**
+ * @file retry-policy.js
+ */
+import * as Fn from './utils/fn.js';
+import mergeOptions from './utils/merge-options.js';
+import {silencePromise} from './utils/promise';
+import {titleCaseEquals} from './utils/to-title-case.js';
+
+/**
+ * Recovers from media errors before they are shown: the source that failed is
+ * loaded again after a growing delay, then the next source of
+ * {@link Player#currentSources} is tried, and then the sources are tried with
+ * the next tech of the `techOrder`. Playback continues from where it stopped.
+ * The error is only shown once nothing is left to try. Use the `retryOnError`
+ * option of the player to turn this on.
+ */
+class RetryPolicy {
+
+  /**
+   * Create an instance of this class.
+   *
+   * @param {Player} player
+   *        The `Player` whose errors should be recovered from.
+   *
+   * @param {Object} [options]
+   *        The key/value store of retry options.
+   *
+   * @param {number} [options.retries=2]
+   *        How many times a source that failed is loaded again before the next
+   *        source is tried.
+   *
+   * @param {number} [options.delay=1000]
+   *        The number of milliseconds to wait before the first retry.
+   *
+   * @param {number} [options.backoff=2]
+   *        What the delay is multiplied by for every further retry.
+   *
+   * @param {number[]} [options.codes=[2, 4]]
+   *        The codes of the {@link MediaError}s to recover from. By default
+   *        these are `MEDIA_ERR_NETWORK` and `MEDIA_ERR_SRC_NOT_SUPPORTED`.
+   */
+  constructor(player, options) {
+    this.player_ = player;
+    this.options_ = mergeOptions(this.options_, options);
+
+    this.reset();
+
+    this.handleLoadStart_ = Fn.bind(this, this.handleLoadStart_);
+    this.handleLoadedMetadata_ = Fn.bind(this, this.handleLoadedMetadata_);
+
+    player.on('loadstart', this.handleLoadStart_);
+    player.on('loadedmetadata', this.handleLoadedMetadata_);
+  }
+
+  /**
+   * Stop recovering from errors.
+   */
+  dispose() {
+    this.reset();
+
+    this.player_.off('loadstart', this.handleLoadStart_);
+    this.player_.off('loadedmetadata', this.handleLoadedMetadata_);
+
+    this.player_ = null;
+  }
+
+  /**
+   * Forget the sources and techs that were tried, and cancel a retry that is
+   * waiting. This is called when the player is reset or loads other media.
+   */
+  reset() {
+    if (this.player_) {
+      this.player_.clearTimeout(this.retryTimeout_);
+    }
+
+    this.sources_ = null;
+    this.attempts_ = 0;
+    this.failedTechs_ = [];
+    this.resume_ = null;
+    this.loading_ = false;
+  }
+
+  /**
+   * Whether a tech can still be used to play the sources. Techs that failed
+   * to play all of them are skipped by {@link Player#selectSource}.
+   *
+   * @param {string} techName
+   *        The name of the tech.
+   *
+   * @return {boolean}
+   *         Whether the tech can be used.
+   */
+  canUseTech(techName) {
+    return !this.failedTechs_.some((name) => titleCaseEquals(name, techName));
+  }
+
+  /**
+   * Handle an error of the tech by retrying the source, or falling back to
+   * another source or tech.
+   *
+   * @fires Player#retry
+   * @fires Player#sourcefallback
+   *
+   * @param {MediaError} error
+   *        The error of the tech.
+   *
+   * @return {boolean}
+   *         Whether the error is being recovered from. If not, the player
+   *         should show it.
+   */
+  handleError(error) {
+    const player = this.player_;
+
+    if (!error || this.options_.codes.indexOf(error.code) === -1) {
+      return false;
+    }
+
+    if (!this.sources_) {
+      this.sources_ = player.currentSources();
+    }
+
+    const sources = this.sources_;
+    let index = -1;
+
+    sources.some((source, i) => {
+      if (source.src === player.currentSrc()) {
+        index = i;
+        return true;
+      }
+    });
+
+    if (index === -1) {
+      return false;
+    }
+
+    // Keep where playback was when the source first failed, as the sources
+    // that are tried after it may fail before they load
+    if (!this.resume_) {
+      this.resume_ = {
+        time: player.currentTime(),
+        paused: player.paused()
+      };
+    }
+
+    if (this.attempts_ < this.options_.retries) {
+      const delay = this.options_.delay * Math.pow(this.options_.backoff, this.attempts_);
+
+      this.attempts_++;
+
+      /**
+       * Fired when a source that failed is going to be loaded again.
+       *
+       * @event Player#retry
+       * @type {EventTarget~Event}
+       * @property {Tech~SourceObject} source
+       *           The source that is loaded again.
+       * @property {number} attempt
+       *           The number of the retry, starting at 1.
+       * @property {number} delay
+       *           The number of milliseconds until the source is loaded.
+       */
+      player.trigger({type: 'retry', source: sources[index], attempt: this.attempts_, delay});
+
+      this.retryTimeout_ = player.setTimeout(() => {
+        this.load_(sources.slice(index));
+      }, delay);
+
+      return true;
+    }
+
+    // Move on to the next source that can be played, or else to the next
+    // tech that can play any of the sources
+    let remaining = sources.slice(index + 1);
+    let next = remaining.length && player.selectSource(remaining);
+
+    if (!next) {
+      this.failedTechs_.push(player.techName_);
+      remaining = sources;
+      next = player.selectSource(remaining);
+    }
+
+    if (!next) {
+      this.reset();
+      return false;
+    }
+
+    this.attempts_ = 0;
+
+    /**
+     * Fired when the player falls back to another source or tech after a
+     * source failed.
+     *
+     * @event Player#sourcefallback
+     * @type {EventTarget~Event}
+     * @property {Tech~SourceObject} source
+     *           The source that is loaded next.
+     * @property {string} tech
+     *           The name of the tech that is going to play it.
+     */
+    player.trigger({type: 'sourcefallback', source: next.source, tech: next.tech});
+
+    this.load_(remaining);
+
+    return true;
+  }
+
+  /**
+   * Load sources on the player.
+   *
+   * @param {Tech~SourceObject[]} sources
+   *        The sources to load.
+   *
+   * @private
+   */
+  load_(sources) {
+    this.player_.clearTimeout(this.retryTimeout_);
+    this.loading_ = true;
+    this.player_.src(sources);
+  }
+
+  /**
+   * Start over when the player loads other media.
+   *
+   * @listens Player#loadstart
+   * @private
+   */
+  handleLoadStart_() {
+    if (this.loading_) {
+      this.loading_ = false;
+      return;
+    }
+
+    this.reset();
+  }
+
+  /**
+   * Start over once a source loaded, so that a later error can retry every
+   * source and tech again, and continue playback from where it stopped if
+   * the source loaded after an error.
+   *
+   * @listens Player#loadedmetadata
+   * @private
+   */
+  handleLoadedMetadata_() {
+    const resume = this.resume_;
+    const loading = this.loading_;
+
+    // A load that has not started yet still has to be told apart from
+    // other media on its `loadstart`
+    this.reset();
+    this.loading_ = loading;
+
+    if (!resume) {
+      return;
+    }
+
+    if (resume.time) {
+      this.player_.currentTime(resume.time);
+    }
+
+    if (!resume.paused) {
+      silencePromise(this.player_.play());
+    }
+  }
+}
+
+/**
+ * Default options for `RetryPolicy`
+ *
+ * @type {Object}
+ * @private
+ */
+RetryPolicy.prototype.options_ = {
+  retries: 2,
+  delay: 1000,
+  backoff: 2,
+  codes: [2, 4]
+};
+
+export default RetryPolicy;
@@ -301,7 +301,7 @@ class Slider extends Component {
    * @listens focus
    */
   handleFocus() {
-    this.on(this.bar.el_.ownerDocument, 'keydown', this.handleKeyPress);
+    this.on('keydown', this.handleKeyPress);
   }
 
   /**
@@ -315,14 +315,24 @@ class Slider extends Component {
    * @listens keydown
    */
   handleKeyPress(event) {
+    const spatialNavigation = this.player_.spatialNavigation && this.player_.spatialNavigation();
+
+    // In spatial navigation, the arrow keys across the slider move the focus
+    // away from it, so the player has to handle them
+    if (spatialNavigation && (this.vertical() ? event.which === 37 || event.which === 39 : event.which === 38 || event.which === 40)) {
+      return;
+    }
+
     // Left and Down Arrows
     if (event.which === 37 || event.which === 40) {
       event.preventDefault();
+      event.stopPropagation();
       this.stepBack();
 
     // Up and Right Arrows
     } else if (event.which === 38 || event.which === 39) {
       event.preventDefault();
+      event.stopPropagation();
       this.stepForward();
     }
   }
@@ -337,7 +347,7 @@ class Slider extends Component {
    */
 
   handleBlur() {
-    this.off(this.bar.el_.ownerDocument, 'keydown', this.handleKeyPress);
+    this.off('keydown', this.handleKeyPress);
   }
 
   /**
@@ -0,0 +1,370 @@
+/**
+ * @file spatial-navigation.js
+ */
+import ClickableComponent from './clickable-component.js';
+import MenuButton from './menu/menu-button.js';
+import ModalDialog from './modal-dialog.js';
+import Slider from './slider/slider.js';
+import * as Dom from './utils/dom.js';
+import mergeOptions from './utils/merge-options.js';
+
+/**
+ * The directions of the arrow keys, by key code.
+ *
+ * @type {Object}
+ * @private
+ */
+const ARROW_KEYS = {
+  37: 'left',
+  38: 'up',
+  39: 'right',
+  40: 'down'
+};
+
+/**
+ * Get the components in a tree of components, depth first.
+ *
+ * @param {Component} component
+ *        The root of the tree.
+ *
+ * @param {Component[]} [components=[]]
+ *        The array to add the components to.
+ *
+ * @return {Component[]}
+ *         The components in the tree, including the root.
+ */
+const getTree = (component, components = []) => {
+  components.push(component);
+  (component.children() || []).forEach((child) => {
+    // Skip the media element and other children that are not components
+    if (child && typeof child.children === 'function') {
+      getTree(child, components);
+    }
+  });
+
+  return components;
+};
+
+/**
+ * Get the center of a rectangle.
+ *
+ * @param {Object} rect
+ *        A rectangle from {@link module:dom.getBoundingClientRect}.
+ *
+ * @return {Object}
+ *         The `x` and `y` of the center.
+ */
+const getCenter = (rect) => ({
+  x: rect.left + rect.width / 2,
+  y: rect.top + rect.height / 2
+});
+
+/**
+ * Lets viewers move between the controls of the player with the arrow keys of
+ * a remote control or D-pad, activate them with OK or Enter, and go back with
+ * the Back key, for smart TVs and other devices without a pointer or a Tab
+ * key. Pressing an arrow key moves the focus to the nearest visible control
+ * in that direction. Use the `spatialNavigation` option of the player to turn
+ * this on, and {@link Player#spatialNavigation} to add other focusable
+ * components.
+ *
+ * Menus keep handling the arrow keys themselves while they are open, and
+ * sliders only handle the arrow keys along their direction, so the other
+ * arrow keys move the focus away from them.
+ */
+class SpatialNavigation {
+
+  /**
+   * Create an instance of this class.
+   *
+   * @param {Player} player
+   *        The `Player` to navigate.
+   *
+   * @param {Object} [options]
+   *        The key/value store of spatial navigation options.
+   *
+   * @param {number[]} [options.backKeys=[8, 27, 461, 10009]]
+   *        The key codes of the Back key. By default these are Backspace,
+   *        Escape and the Back keys of common TV platforms.
+   */
+  constructor(player, options) {
+    this.player_ = player;
+    this.options_ = mergeOptions(this.options_, options);
+
+    /**
+     * Focusable components that were added with {@link SpatialNavigation#add}.
+     *
+     * @type {Component[]}
+     * @private
+     */
+    this.added_ = [];
+  }
+
+  /**
+   * Stop navigating.
+   */
+  dispose() {
+    this.player_ = null;
+    this.added_ = null;
+  }
+
+  /**
+   * Add a component that can be navigated to, like a component of an app
+   * that is not a {@link ClickableComponent} or {@link Slider}, or one that
+   * is outside of the player.
+   *
+   * @param {Component} component
+   *        The component to add.
+   */
+  add(component) {
+    if (this.added_.indexOf(component) === -1) {
+      this.added_.push(component);
+    }
+  }
+
+  /**
+   * Remove a component that was added with {@link SpatialNavigation#add}.
+   *
+   * @param {Component} component
+   *        The component to remove.
+   */
+  remove(component) {
+    const index = this.added_.indexOf(component);
+
+    if (index !== -1) {
+      this.added_.splice(index, 1);
+    }
+  }
+
+  /**
+   * Get the components that can currently be navigated to: the visible and
+   * focusable components of the open {@link ModalDialog}, or of the player and
+   * the added components if no modal is open.
+   *
+   * @return {Component[]}
+   *         The components that can be navigated to.
+   */
+  getComponents() {
+    const modal = this.getOpenModal_();
+    const components = modal ?
+      getTree(modal) :
+      getTree(this.player_).concat(this.added_.filter((component) => component.el()));
+
+    return components.filter((component) => this.isFocusable_(component));
+  }
+
+  /**
+   * Get the navigable component that currently has the focus.
+   *
+   * @return {Component|undefined}
+   *         The focused component, if there is one.
+   */
+  getCurrentComponent() {
+    const activeEl = this.player_.el().ownerDocument.activeElement;
+
+    return this.getComponents().filter((component) => component.el() === activeEl)[0];
+  }
+
+  /**
+   * Move the focus to the nearest component in a direction from the focused
+   * component, or to the first component if none is focused.
+   *
+   * @param {string} direction
+   *        `'left'`, `'right'`, `'up'` or `'down'`.
+   *
+   * @return {Component|undefined}
+   *         The component that was focused, if any.
+   */
+  move(direction) {
+    const components = this.getComponents();
+    const current = this.getCurrentComponent();
+    let best;
+
+    if (!current) {
+      best = components[0];
+    } else {
+      const from = Dom.getBoundingClientRect(current.el());
+      let bestDistance = Infinity;
+
+      components.forEach((component) => {
+        if (component === current) {
+          return;
+        }
+
+        const distance = this.getDistance_(from, Dom.getBoundingClientRect(component.el()), direction);
+
+        if (distance < bestDistance) {
+          best = component;
+          bestDistance = distance;
+        }
+      });
+    }
+
+    if (best) {
+      best.focus();
+    }
+
+    return best;
+  }
+
+  /**
+   * Close the innermost open menu, or else the open {@link ModalDialog}, and
+   * move the focus back to what opened it.
+   *
+   * @return {boolean}
+   *         Whether a menu or a modal was closed.
+   */
+  back() {
+    const menuButton = getTree(this.player_).filter((component) => {
+      return component instanceof MenuButton && component.buttonPressed_;
+    }).pop();
+
+    if (menuButton) {
+      menuButton.unpressButton();
+      menuButton.focus();
+      return true;
+    }
+
+    const modal = this.getOpenModal_();
+
+    if (modal && modal.closeable()) {
+      modal.close();
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Handle a `keydown` event on the player: the arrow keys move the focus and
+   * the Back key closes menus and modals. This is called by the player before
+   * its hotkeys.
+   *
+   * @param {EventTarget~Event} event
+   *        The `keydown` event.
+   *
+   * @return {boolean}
+   *         Whether the key was handled.
+   */
+  handleKeyDown(event) {
+    const target = event.target;
+    const tagName = target && target.tagName ? target.tagName.toLowerCase() : '';
+
+    // Leave the keys of form elements, like the selects of the text track
+    // settings, to the elements
+    if (tagName === 'select' || tagName === 'textarea' || tagName === 'input' || target && target.isContentEditable) {
+      return false;
+    }
+
+    const direction = ARROW_KEYS[event.which];
+
+    if (direction) {
+      event.preventDefault();
+      this.move(direction);
+      return true;
+    }
+
+    if (this.options_.backKeys.indexOf(event.which) !== -1 && this.back()) {
+      event.preventDefault();
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Get the open {@link ModalDialog} of the player, if there is one.
+   *
+   * @return {ModalDialog|undefined}
+   *         The open modal.
+   *
+   * @private
+   */
+  getOpenModal_() {
+    return getTree(this.player_).filter((component) => {
+      return component instanceof ModalDialog && component.opened();
+    }).pop();
+  }
+
+  /**
+   * Whether a component can be navigated to. It has to be visible and take
+   * the focus with the Tab key. {@link ClickableComponent}s and
+   * {@link Slider}s can be navigated to, and so can any component that was
+   * added with {@link SpatialNavigation#add}.
+   *
+   * @param {Component} component
+   *        The component to check.
+   *
+   * @return {boolean}
+   *         Whether the component can be navigated to.
+   *
+   * @private
+   */
+  isFocusable_(component) {
+    const el = component.el();
+
+    if (!el || el.disabled || el.tabIndex < 0) {
+      return false;
+    }
+
+    if (!(component instanceof ClickableComponent || component instanceof Slider || this.added_.indexOf(component) !== -1)) {
+      return false;
+    }
+
+    const rect = Dom.getBoundingClientRect(el);
+
+    return !!rect && rect.width > 0 && rect.height > 0;
+  }
+
+  /**
+   * Get how far a rectangle is from another in a direction. The distance
+   * across the direction counts double, so that components that are in line
+   * are preferred.
+   *
+   * @param {Object} from
+   *        The rectangle of the focused component.
+   *
+   * @param {Object} to
+   *        The rectangle of the other component.
+   *
+   * @param {string} direction
+   *        `'left'`, `'right'`, `'up'` or `'down'`.
+   *
+   * @return {number}
+   *         The distance, or Infinity if the other component is not in the
+   *         direction.
+   *
+   * @private
+   */
+  getDistance_(from, to, direction) {
+    const fromCenter = getCenter(from);
+    const toCenter = getCenter(to);
+    const dx = toCenter.x - fromCenter.x;
+    const dy = toCenter.y - fromCenter.y;
+    const distances = {
+      left: {along: -dx, across: dy, inDirection: to.right <= from.left + 1},
+      right: {along: dx, across: dy, inDirection: to.left >= from.right - 1},
+      up: {along: -dy, across: dx, inDirection: to.bottom <= from.top + 1},
+      down: {along: dy, across: dx, inDirection: to.top >= from.bottom - 1}
+    };
+    const {along, across, inDirection} = distances[direction];
+
+    if (!inDirection || along <= 0) {
+      return Infinity;
+    }
+
+    return along + 2 * Math.abs(across);
+  }
+}
+
+/**
+ * Default options for `SpatialNavigation`
+ *
+ * @type {Object}
+ * @private
+ */
+SpatialNavigation.prototype.options_ = {
+  backKeys: [8, 27, 461, 10009]
+};
+
+export default SpatialNavigation;
@@ -0,0 +1,264 @@
+/**
+ * @file stall-watchdog.js
+ */
+import * as Fn from './utils/fn.js';
+import MediaError from './media-error.js';
+import mergeOptions from './utils/merge-options.js';
+import {bufferedAhead, nextBufferedStart} from './utils/buffer.js';
+
+/**
+ * Get the start and end of every buffered range, for the details of an error.
+ *
+ * @param {TimeRange} buffered
+ *        The buffered time ranges.
+ *
+ * @return {Array[]}
+ *         An array with the start and end of every range.
+ */
+const getRanges = (buffered) => {
+  const ranges = [];
+
+  for (let i = 0; buffered && i < buffered.length; i++) {
+    ranges.push([buffered.start(i), buffered.end(i)]);
+  }
+
+  return ranges;
+};
+
+/**
+ * Notices when playback is stuck: the current time does not advance although
+ * the media is not paused. After a while, it tries to recover by skipping a
+ * small gap in the buffered ranges, or by seeking to the current time again
+ * when there is buffered data that is not played. If playback is still stuck
+ * after the timeout, an error with the {@link MediaError.MEDIA_ERR_STALLED}
+ * code and details about the stall is shown. Use the `stallWatchdog` option
+ * of the player to turn this on.
+ */
+class StallWatchdog {
+
+  /**
+   * Create an instance of this class.
+   *
+   * @param {Player} player
+   *        The `Player` to watch.
+   *
+   * @param {Object} [options]
+   *        The key/value store of watchdog options.
+   *
+   * @param {number} [options.interval=500]
+   *        How often the current time is checked, in milliseconds.
+   *
+   * @param {number} [options.recoveryDelay=2000]
+   *        How long playback has to be stuck before every attempt to recover,
+   *        in milliseconds.
+   *
+   * @param {number} [options.maxGap=1]
+   *        The longest gap in the buffered ranges that is skipped, in seconds.
+   *
+   * @param {number} [options.timeout=15000]
+   *        How long playback can be stuck before the error is shown, in
+   *        milliseconds.
+   */
+  constructor(player, options) {
+    this.player_ = player;
+    this.options_ = mergeOptions(this.options_, options);
+
+    this.reset_();
+
+    this.start = Fn.bind(this, this.start);
+    this.stop = Fn.bind(this, this.stop);
+    this.check = Fn.bind(this, this.check);
+
+    player.on('play', this.start);
+    player.on(['pause', 'ended', 'error', 'playerreset'], this.stop);
+  }
+
+  /**
+   * Stop watching the player.
+   */
+  dispose() {
+    this.stop();
+
+    this.player_.off('play', this.start);
+    this.player_.off(['pause', 'ended', 'error', 'playerreset'], this.stop);
+
+    this.player_ = null;
+  }
+
+  /**
+   * Start checking that playback advances. This is called when the player
+   * plays.
+   *
+   * @listens Player#play
+   */
+  start() {
+    if (this.interval_) {
+      return;
+    }
+
+    this.reset_();
+    this.interval_ = this.player_.setInterval(this.check, this.options_.interval);
+  }
+
+  /**
+   * Stop checking. This is called when playback pauses, ends or fails.
+   *
+   * @listens Player#pause
+   * @listens Player#ended
+   * @listens Player#error
+   * @listens Player#playerreset
+   */
+  stop() {
+    this.player_.clearInterval(this.interval_);
+    this.interval_ = null;
+    this.reset_();
+  }
+
+  /**
+   * Check whether the current time advanced since the last check, and try to
+   * recover or show the error if it has not for too long.
+   *
+   * @fires Player#stallrecovery
+   * @fires Player#stallrecovered
+   */
+  check() {
+    const player = this.player_;
+    const time = player.currentTime();
+    const now = Date.now();
+
+    if (player.paused() || time !== this.lastTime_) {
+      if (this.stalledSince_ !== null && !player.paused()) {
+        /**
+         * Fired when playback advances again after it was stuck.
+         *
+         * @event Player#stallrecovered
+         * @type {EventTarget~Event}
+         */
+        player.trigger('stallrecovered');
+      }
+
+      this.reset_();
+      this.lastTime_ = time;
+      return;
+    }
+
+    if (this.stalledSince_ === null) {
+      this.stalledSince_ = now;
+      return;
+    }
+
+    const stalledFor = now - this.stalledSince_;
+
+    if (stalledFor >= this.options_.timeout) {
+      this.fail_(time, stalledFor);
+      return;
+    }
+
+    // Try to recover once every `recoveryDelay`, but not while the player is
+    // still seeking from the last attempt
+    if (stalledFor >= this.options_.recoveryDelay * (this.attempts_ + 1) && !player.seeking()) {
+      this.recover_(time);
+    }
+  }
+
+  /**
+   * Try to get playback going again: skip a small gap when the current time is
+   * not buffered, or seek to the current time when data is buffered ahead of
+   * it. Nothing can be done while no data is buffered ahead.
+   *
+   * @param {number} time
+   *        The time playback is stuck at.
+   *
+   * @private
+   */
+  recover_(time) {
+    const player = this.player_;
+    const buffered = player.buffered();
+    const ahead = bufferedAhead(buffered, time);
+    const next = nextBufferedStart(buffered, time);
+    let to;
+
+    if (!ahead && next !== null && next - time <= this.options_.maxGap) {
+      to = next;
+    } else if (ahead > 0) {
+      to = time;
+    } else {
+      return;
+    }
+
+    this.attempts_++;
+
+    /**
+     * Fired when playback is stuck and the watchdog tries to recover.
+     *
+     * @event Player#stallrecovery
+     * @type {EventTarget~Event}
+     * @property {string} action
+     *           `'skipgap'` if a gap in the buffered ranges is skipped, or
+     *           `'reseek'` if the player seeks to the current time again.
+     * @property {number} from
+     *           The time playback is stuck at.
+     * @property {number} to
+     *           The time the player seeks to.
+     */
+    player.trigger({type: 'stallrecovery', action: to === time ? 'reseek' : 'skipgap', from: time, to});
+
+    player.currentTime(to);
+  }
+
+  /**
+   * Show the error for playback that could not be recovered, with details
+   * about the stall.
+   *
+   * @param {number} time
+   *        The time playback is stuck at.
+   *
+   * @param {number} stalledFor
+   *        How long playback has been stuck, in milliseconds.
+   *
+   * @private
+   */
+  fail_(time, stalledFor) {
+    const player = this.player_;
+    const buffered = player.buffered();
+    const details = {
+      currentTime: time,
+      stalledFor,
+      buffered: getRanges(buffered),
+      bufferedAhead: bufferedAhead(buffered, time),
+      readyState: player.readyState(),
+      networkState: player.networkState(),
+      recoveryAttempts: this.attempts_
+    };
+
+    this.stop();
+
+    player.error({code: MediaError.MEDIA_ERR_STALLED, details});
+  }
+
+  /**
+   * Forget about the current stall.
+   *
+   * @private
+   */
+  reset_() {
+    this.lastTime_ = null;
+    this.stalledSince_ = null;
+    this.attempts_ = 0;
+  }
+}
+
+/**
+ * Default options for `StallWatchdog`
+ *
+ * @type {Object}
+ * @private
+ */
+StallWatchdog.prototype.options_ = {
+  interval: 500,
+  recoveryDelay: 2000,
+  maxGap: 1,
+  timeout: 15000
+};
+
+export default StallWatchdog;
@@ -659,6 +659,18 @@ class Html5 extends Tech {
     this.el_.webkitExitFullScreen();
   }
 
+  /**
+   * Request that the `HTML5` Tech enter Picture-in-Picture.
+   *
+   * @see [Spec]{@link https://wicg.github.io/picture-in-picture}
+   *
+   * @return {Promise}
+   *         A promise with a Picture-in-Picture window.
+   */
+  requestPictureInPicture() {
+    return this.el_.requestPictureInPicture();
+  }
+
   /**
    * A getter/setter for the `Html5` Tech's source object.
    * > Note: Please use {@link Html5#setSource}
@@ -1064,6 +1076,19 @@ Html5.supportsNativeAudioTracks = function() {
   return !!(Html5.TEST_VID && Html5.TEST_VID.audioTracks);
 };
 
+/**
+ * Check to see if Picture-in-Picture is supported by this browser/device.
+ *
+ * @return {boolean}
+ *        - True if Picture-in-Picture is supported.
+ *        - False otherwise
+ */
+Html5.supportsPictureInPicture = function() {
+  return !!(document.pictureInPictureEnabled &&
+    Html5.TEST_VID &&
+    typeof Html5.TEST_VID.requestPictureInPicture === 'function');
+};
+
 /**
  * An array of events available on the Html5 tech.
  *
@@ -1093,7 +1118,9 @@ Html5.Events = [
   'pause',
   'ratechange',
   'resize',
-  'volumechange'
+  'volumechange',
+  'enterpictureinpicture',
+  'leavepictureinpicture'
 ];
 
 /**
@@ -1123,6 +1150,14 @@ Html5.prototype.featuresMuteControl = Html5.canMuteVolume();
  */
 Html5.prototype.featuresPlaybackRate = Html5.canControlPlaybackRate();
 
+/**
+ * Boolean indicating whether the `HTML5` tech currently supports Picture-in-Picture.
+ *
+ * @type {boolean}
+ * @default {@link Html5.supportsPictureInPicture}
+ */
+Html5.prototype.featuresPictureInPicture = Html5.supportsPictureInPicture();
+
 /**
  * Boolean indicating whether the `Tech` supports the `sourceset` event.
  *
@@ -4,6 +4,8 @@
  */
 import { assign } from '../utils/obj.js';
 import toTitleCase from '../utils/to-title-case.js';
+import { isPromise } from '../utils/promise.js';
+import log from '../utils/log.js';
 
 const middlewares = {};
 const middlewareInstances = {};
@@ -96,6 +98,78 @@ export function setTech(middleware, tech) {
   middleware.forEach((mw) => mw.setTech && mw.setTech(tech));
 }
 
+/**
+ * Enumeration of allowed getters where the keys are method names.
+ *
+ * @type {Object}
+ */
+export const allowedGetters = {
+  buffered: 1,
+  currentTime: 1,
+  duration: 1,
+  seekable: 1,
+  played: 1,
+  paused: 1,
+  ended: 1
+};
+
+/**
+ * Enumeration of allowed setters where the keys are method names.
+ *
+ * @type {Object}
+ */
+export const allowedSetters = {
+  setCurrentTime: 1
+};
+
+/**
+ * Enumeration of allowed mediators where the keys are method names.
+ *
+ * @type {Object}
+ */
+export const allowedMediators = {
+  play: 1,
+  pause: 1,
+  setCurrentTime: 1
+};
+
+/**
+ * Allow middleware to change what a method of the tech returns to the player,
+ * like the {@link module:middleware.allowedGetters|allowed getters}. Use this
+ * for getters that are not allowed by default, or for custom tech methods.
+ *
+ * @param {string} method
+ *        The name of the method of the tech.
+ */
+export function allowGetter(method) {
+  allowedGetters[method] = 1;
+}
+
+/**
+ * Allow middleware to change the value that the player passes to a method of
+ * the tech, like the {@link module:middleware.allowedSetters|allowed setters}.
+ * Use this for setters that are not allowed by default, or for custom tech
+ * methods.
+ *
+ * @param {string} method
+ *        The name of the method of the tech.
+ */
+export function allowSetter(method) {
+  allowedSetters[method] = 1;
+}
+
+/**
+ * Allow middleware to mediate a method of the tech, like the
+ * {@link module:middleware.allowedMediators|allowed mediators}. Use this for
+ * custom tech methods that middleware should be able to delay or terminate.
+ *
+ * @param {string} method
+ *        The name of the method of the tech.
+ */
+export function allowMediator(method) {
+  allowedMediators[method] = 1;
+}
+
 /**
  * Calls a getter on the tech first, through each middleware
  * from right to left to the player.
@@ -146,6 +220,19 @@ export function set(middleware, tech, method, arg) {
  * Then, call the passed in method on the tech and return the result unchanged
  * back to the player, through middleware, this time from right to left.
  *
+ * A `call` method can return a `Promise` to make the mediation asynchronous.
+ * The middleware after it are called with the value the `Promise` resolves
+ * to, and the tech is only called once all of them are done. A `Promise` that
+ * resolves to the {@link module:middleware.TERMINATOR|TERMINATOR}, or that is
+ * rejected, terminates the mediation. So does the tech being disposed in the
+ * meantime, as when another tech is loaded or the player is disposed. Errors
+ * of the tech are logged, as nothing waits for the `Promise` to handle them.
+ *
+ * If the method is also an allowed setter, the setters of the middleware are
+ * called after the mediation, instead of the method on the tech directly. As
+ * the `method` of the middleware is then the setter, the result is reported to
+ * the `mediated` version of the method instead, like `mediatedSetCurrentTime`.
+ *
  * @param  {Object[]} middleware
  *         An array of middleware instances.
  *
@@ -158,53 +245,80 @@ export function set(middleware, tech, method, arg) {
  * @param  {Mixed} arg
  *         The value to set on the tech.
  *
- * @return {Mixed}
+ * @return {Mixed|Promise}
  *         The return value of the `method` of the `tech`, regardless of the
- *         return values of middlewares.
+ *         return values of middlewares. If a middleware made the mediation
+ *         asynchronous, a `Promise` that resolves to it.
  */
 export function mediate(middleware, tech, method, arg = null) {
   const callMethod = 'call' + toTitleCase(method);
-  const middlewareValue = middleware.reduce(middlewareIterator(callMethod), arg);
-  const terminated = middlewareValue === TERMINATOR;
-  const returnValue = terminated ? null : tech[method](middlewareValue);
+  const middlewareValue = callMiddleware(middleware, callMethod, arg);
+  const isSetter = method in allowedSetters;
+  const resultMethod = isSetter ? 'mediated' + toTitleCase(method) : method;
+
+  const finish = (value) => {
+    const terminated = value === TERMINATOR;
+    let returnValue = null;
+
+    if (!terminated) {
+      returnValue = isSetter ? set(middleware, tech, method, value) : tech[method](value);
+    }
+
+    executeRight(middleware, resultMethod, returnValue, terminated);
+
+    return returnValue;
+  };
+
+  if (isPromise(middlewareValue)) {
+    // The player disposes the tech when it loads another tech or is disposed
+    // itself, after which the tech can no longer be called
+    const finishUnlessDisposed = (value) => finish(tech.isDisposed() ? TERMINATOR : value);
 
-  executeRight(middleware, method, returnValue, terminated);
+    return middlewareValue.then(finishUnlessDisposed, () => finish(TERMINATOR)).catch((error) => {
+      log.error(error);
+      return null;
+    });
+  }
 
-  return returnValue;
+  return finish(middlewareValue);
 }
 
 /**
- * Enumeration of allowed getters where the keys are method names.
+ * Call a method on each middleware from left to right, passing along the
+ * value returned by the last one. When a middleware returns a `Promise`, the
+ * rest of the middleware are called once it resolves.
  *
- * @type {Object}
- */
-export const allowedGetters = {
-  buffered: 1,
-  currentTime: 1,
-  duration: 1,
-  seekable: 1,
-  played: 1,
-  paused: 1
-};
-
-/**
- * Enumeration of allowed setters where the keys are method names.
+ * @param  {Object[]} mws
+ *         An array of middleware instances.
  *
- * @type {Object}
- */
-export const allowedSetters = {
-  setCurrentTime: 1
-};
-
-/**
- * Enumeration of allowed mediators where the keys are method names.
+ * @param  {string} method
+ *         A method name.
  *
- * @type {Object}
+ * @param  {Mixed} value
+ *         The value to pass to the first middleware.
+ *
+ * @param  {number} [index=0]
+ *         The index of the first middleware to call.
+ *
+ * @return {Mixed|Promise}
+ *         The value returned by the last middleware, or a `Promise` that
+ *         resolves to it.
+ *
+ * @private
  */
-export const allowedMediators = {
-  play: 1,
-  pause: 1
-};
+function callMiddleware(mws, method, value, index = 0) {
+  const iterator = middlewareIterator(method);
+
+  for (let i = index; i < mws.length; i++) {
+    if (isPromise(value)) {
+      return value.then((resolved) => callMiddleware(mws, method, resolved, i));
+    }
+
+    value = iterator(value, mws[i]);
+  }
+
+  return value;
+}
 
 function middlewareIterator(method) {
   return (value, mw) => {
@@ -13,6 +13,7 @@ import window from 'global/window';
 import document from 'global/document';
 import {isPlain} from '../utils/obj';
 import * as TRACK_TYPES from '../tracks/track-types';
+import QualityLevelList from '../tracks/quality-level-list';
 import toTitleCase from '../utils/to-title-case';
 import vtt from 'videojs-vtt.js';
 
@@ -29,6 +30,14 @@ import vtt from 'videojs-vtt.js';
  *
  * @property {string} type
  *           The mime type of the source
+ *
+ * @property {number} [startTime]
+ *           Where to start playing the source, in seconds. The player then
+ *           plays it as if it started there.
+ *
+ * @property {number} [endTime]
+ *           Where to stop playing the source, in seconds. The player then
+ *           plays it as if it ended there.
  */
 
 /**
@@ -115,6 +124,10 @@ class Tech extends Component {
       }
     });
 
+    if (options && options.qualityLevels) {
+      this.qualityLevels_ = options.qualityLevels;
+    }
+
     // Manually track progress in cases where the browser/flash player doesn't report it.
     if (!this.featuresProgressEvents) {
       this.manualProgressOn();
@@ -357,7 +370,8 @@ class Tech extends Component {
 
   /**
    * Turn off all event polyfills, clear the `Tech`s {@link AudioTrackList},
-   * {@link VideoTrackList}, and {@link TextTrackList}, and dispose of this Tech.
+   * {@link VideoTrackList}, {@link TextTrackList}, and {@link QualityLevelList},
+   * and dispose of this Tech.
    *
    * @fires Component#dispose
    */
@@ -365,6 +379,7 @@ class Tech extends Component {
 
     // clear out all tracks because we can't reuse them between techs
     this.clearTracks(TRACK_TYPES.NORMAL.names);
+    this.clearQualityLevels();
 
     // Turn off any manual progress or timeupdate tracking
     if (this.manualProgress) {
@@ -406,6 +421,32 @@ class Tech extends Component {
     });
   }
 
+  /**
+   * Get the {@link QualityLevelList} that techs and source handlers add the
+   * renditions of adaptive media to.
+   *
+   * @return {QualityLevelList}
+   *         The current quality level list.
+   */
+  qualityLevels() {
+    this.qualityLevels_ = this.qualityLevels_ || new QualityLevelList();
+    return this.qualityLevels_;
+  }
+
+  /**
+   * Clear out the {@link QualityLevelList}.
+   *
+   * > Note: Techs without source handlers should call this between sources.
+   */
+  clearQualityLevels() {
+    const list = this.qualityLevels();
+    let i = list.length;
+
+    while (i--) {
+      list.removeQualityLevel(list[i]);
+    }
+  }
+
   /**
    * Remove any TextTracks added via addRemoteTextTrack that are
    * flagged for automatic garbage collection
@@ -764,6 +805,28 @@ class Tech extends Component {
     return {};
   }
 
+  /**
+   * Attempt to create a floating video window always on top of other windows
+   * so that users may continue consuming media while they interact with other
+   * content sites, or applications on their device.
+   *
+   * @see [Spec]{@link https://wicg.github.io/picture-in-picture}
+   *
+   * @return {Promise|undefined}
+   *         A promise that rejects, as the base `Tech` does not support
+   *         Picture-in-Picture, if the browser supports Promises. Undefined
+   *         otherwise.
+   *
+   * @abstract
+   */
+  requestPictureInPicture() {
+    const PromiseClass = this.options_.Promise || window.Promise;
+
+    if (PromiseClass) {
+      return PromiseClass.reject();
+    }
+  }
+
   /**
    * A method to set a poster from a `Tech`.
    *
@@ -1025,6 +1088,15 @@ Tech.prototype.featuresMuteControl = true;
  */
 Tech.prototype.featuresFullscreenResize = false;
 
+/**
+ * Boolean indicating whether the `Tech` supports Picture-in-Picture through
+ * {@link Tech#requestPictureInPicture}.
+ *
+ * @type {boolean}
+ * @default
+ */
+Tech.prototype.featuresPictureInPicture = false;
+
 /**
  * Boolean indicating whether the `Tech` supports changing the speed at which the video
  * plays. Examples:
@@ -1275,6 +1347,7 @@ Tech.withSourceHandlers = function(_Tech) {
     // than clear all of our current tracks
     if (this.currentSource_) {
       this.clearTracks(['audio', 'video']);
+      this.clearQualityLevels();
       this.currentSource_ = null;
     }
 
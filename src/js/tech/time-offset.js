@@ -0,0 +1,265 @@
+/**
+ * @file time-offset.js
+ */
+import * as Fn from '../utils/fn.js';
+import { createTimeRanges } from '../utils/time-ranges.js';
+
+/**
+ * A middleware that plays a part of a source as if it were a clip of its own.
+ * It is used for sources with a `startTime` or an `endTime`, in seconds:
+ *
+ * `{src: 'http://ex.com/video.mp4', type: 'video/mp4', startTime: 600, endTime: 1500}`
+ *
+ * The current time, duration, seekable and buffered ranges of the tech are
+ * moved by the `startTime` and cut at the `endTime`, so that the player and
+ * its controls see a timeline from 0 to the length of the clip. Seeking is
+ * moved the other way, and kept within the clip. Playback starts at the
+ * `startTime`, and `ended` is triggered once the `endTime` is reached.
+ */
+class TimeOffset {
+
+  /**
+   * Create an instance of this class.
+   */
+  constructor() {
+    this.tech_ = null;
+    this.reset_();
+
+    this.handleLoadedMetadata_ = Fn.bind(this, this.handleLoadedMetadata_);
+    this.handleTimeUpdate_ = Fn.bind(this, this.handleTimeUpdate_);
+  }
+
+  /**
+   * Use this middleware for sources with a `startTime` or an `endTime`, and
+   * reject the others.
+   *
+   * @param {Tech~SourceObject} src
+   *        The source object.
+   *
+   * @param {Function} next
+   *        The function to call with the result.
+   */
+  setSource(src, next) {
+    this.reset_();
+
+    const hasStart = typeof src.startTime === 'number' && src.startTime > 0;
+    const hasEnd = typeof src.endTime === 'number' && src.endTime > (hasStart ? src.startTime : 0);
+
+    if (!hasStart && !hasEnd) {
+      next(new Error('The source is not clipped'));
+      return;
+    }
+
+    this.active_ = true;
+    this.start_ = hasStart ? src.startTime : 0;
+    this.end_ = hasEnd ? src.endTime : Infinity;
+
+    next(null, src);
+  }
+
+  /**
+   * Listen to the tech that plays the source.
+   *
+   * @param {Tech} tech
+   *        The tech.
+   */
+  setTech(tech) {
+    if (tech === this.tech_) {
+      return;
+    }
+
+    if (this.tech_) {
+      this.tech_.off('loadedmetadata', this.handleLoadedMetadata_);
+      this.tech_.off('timeupdate', this.handleTimeUpdate_);
+    }
+
+    this.tech_ = tech;
+    tech.on('loadedmetadata', this.handleLoadedMetadata_);
+    tech.on('timeupdate', this.handleTimeUpdate_);
+  }
+
+  /**
+   * Get the current time within the clip.
+   *
+   * @param {number} time
+   *        The current time of the tech.
+   *
+   * @return {number}
+   *         The current time of the clip.
+   */
+  currentTime(time) {
+    if (!this.active_) {
+      return time;
+    }
+
+    return Math.min(Math.max(time - this.start_, 0), this.end_ - this.start_);
+  }
+
+  /**
+   * Get the length of the clip.
+   *
+   * @param {number} duration
+   *        The duration of the tech.
+   *
+   * @return {number}
+   *         The duration of the clip.
+   */
+  duration(duration) {
+    if (!this.active_ || isNaN(duration)) {
+      return duration;
+    }
+
+    return Math.max(Math.min(duration, this.end_) - this.start_, 0);
+  }
+
+  /**
+   * Get the seekable ranges within the clip.
+   *
+   * @param {TimeRange} seekable
+   *        The seekable ranges of the tech.
+   *
+   * @return {TimeRange}
+   *         The seekable ranges of the clip.
+   */
+  seekable(seekable) {
+    return this.clipRanges_(seekable);
+  }
+
+  /**
+   * Get the buffered ranges within the clip.
+   *
+   * @param {TimeRange} buffered
+   *        The buffered ranges of the tech.
+   *
+   * @return {TimeRange}
+   *         The buffered ranges of the clip.
+   */
+  buffered(buffered) {
+    return this.clipRanges_(buffered);
+  }
+
+  /**
+   * Get whether the clip ended.
+   *
+   * @param {boolean} ended
+   *        Whether the tech ended.
+   *
+   * @return {boolean}
+   *         Whether the clip ended.
+   */
+  ended(ended) {
+    return ended || this.ended_;
+  }
+
+  /**
+   * Move a time within the clip to the time of the tech.
+   *
+   * @param {number} time
+   *        The time to seek to within the clip.
+   *
+   * @return {number}
+   *         The time to seek to on the tech.
+   */
+  setCurrentTime(time) {
+    if (!this.active_) {
+      return time;
+    }
+
+    this.ended_ = false;
+
+    return Math.min(Math.max(time, 0), this.end_ - this.start_) + this.start_;
+  }
+
+  /**
+   * Start the clip over when it is played after it ended.
+   */
+  callPlay() {
+    if (this.active_ && this.ended_) {
+      this.ended_ = false;
+      this.tech_.setCurrentTime(this.start_);
+    }
+  }
+
+  /**
+   * Move time ranges of the tech into the clip, leaving out what is outside
+   * of it.
+   *
+   * @param {TimeRange} ranges
+   *        The time ranges of the tech.
+   *
+   * @return {TimeRange}
+   *         The time ranges of the clip.
+   *
+   * @private
+   */
+  clipRanges_(ranges) {
+    if (!this.active_ || !ranges) {
+      return ranges;
+    }
+
+    const clipped = [];
+
+    for (let i = 0; i < ranges.length; i++) {
+      const start = Math.max(ranges.start(i), this.start_);
+      const end = Math.min(ranges.end(i), this.end_);
+
+      if (end > start) {
+        clipped.push([start - this.start_, end - this.start_]);
+      }
+    }
+
+    return createTimeRanges(clipped);
+  }
+
+  /**
+   * Seek to the start of the clip once the media can be seeked.
+   *
+   * @listens Tech#loadedmetadata
+   * @private
+   */
+  handleLoadedMetadata_() {
+    if (this.active_ && this.start_ && this.tech_.currentTime() < this.start_) {
+      this.tech_.setCurrentTime(this.start_);
+    }
+  }
+
+  /**
+   * Trigger `ended` once playback reaches the end of the clip. The player
+   * then pauses the tech, or loops back to the start of the clip.
+   *
+   * @listens Tech#timeupdate
+   * @fires Tech#ended
+   * @private
+   */
+  handleTimeUpdate_() {
+    if (!this.active_ || this.ended_ || this.tech_.currentTime() < this.end_) {
+      return;
+    }
+
+    this.ended_ = true;
+    this.tech_.trigger('ended');
+  }
+
+  /**
+   * Stop clipping, for sources without a `startTime` or an `endTime`.
+   *
+   * @private
+   */
+  reset_() {
+    this.active_ = false;
+    this.ended_ = false;
+    this.start_ = 0;
+    this.end_ = Infinity;
+  }
+}
+
+/**
+ * Create the time offset middleware for a player. It is registered for all
+ * sources with {@link module:middleware.use}.
+ *
+ * @return {TimeOffset}
+ *         The middleware.
+ */
+const timeOffset = () => new TimeOffset();
+
+export default timeOffset;
@@ -0,0 +1,128 @@
+/**
+ * @file title-bar.js
+ */
+import Component from './component';
+import * as Dom from './utils/dom.js';
+
+/**
+ * Displays the title and the description of the media, from the
+ * {@link Player~MediaObject|MediaObject} that was loaded with
+ * {@link Player#loadMedia} or from {@link TitleBar#update}. It is hidden while
+ * there is neither, and fades out with the control bar while the user is
+ * inactive.
+ *
+ * @extends Component
+ */
+class TitleBar extends Component {
+
+  /**
+   * Creates an instance of this class.
+   *
+   * @param {Player} player
+   *        The `Player` that this class should be attached to.
+   *
+   * @param {Object} [options]
+   *        The key/value store of player options.
+   */
+  constructor(player, options) {
+    super(player, options);
+
+    this.updateFromMedia();
+    this.on(player, ['loadmedia', 'playerreset'], this.updateFromMedia);
+  }
+
+  /**
+   * Create the `TitleBar`'s DOM element
+   *
+   * @return {Element}
+   *         The element that was created.
+   */
+  createEl() {
+    this.els_ = {
+      title: Dom.createEl('div', {
+        className: 'vjs-title-bar-title'
+      }),
+      description: Dom.createEl('div', {
+        className: 'vjs-title-bar-description'
+      })
+    };
+
+    // Changes of the media are announced to screen readers
+    return Dom.createEl('div', {
+      className: 'vjs-title-bar'
+    }, {
+      'aria-live': 'polite',
+      'aria-atomic': 'true'
+    }, [this.els_.title, this.els_.description]);
+  }
+
+  /**
+   * Dispose of the `TitleBar` and all child components.
+   */
+  dispose() {
+    this.els_ = null;
+
+    super.dispose();
+  }
+
+  /**
+   * Update the title and the description from {@link Player#getMedia}.
+   *
+   * @param {EventTarget~Event} [event]
+   *        The event that caused this function to run.
+   *
+   * @listens Player#loadmedia
+   * @listens Player#playerreset
+   */
+  updateFromMedia(event) {
+    const media = this.player_.getMedia();
+
+    this.update({
+      title: media.title || '',
+      description: media.description || ''
+    });
+  }
+
+  /**
+   * Update the text of the `TitleBar`, and hide it if there is none.
+   *
+   * @param {Object} [options]
+   *        The text to show.
+   *
+   * @param {string} [options.title]
+   *        The title of the media. The current title is kept if it is not a
+   *        string.
+   *
+   * @param {string} [options.description]
+   *        The description of the media. The current description is kept if
+   *        it is not a string.
+   */
+  update(options = {}) {
+    let empty = true;
+
+    Object.keys(this.els_).forEach((key) => {
+      const el = this.els_[key];
+      const value = options[key];
+
+      if (typeof value === 'string') {
+        Dom.textContent(el, value);
+      }
+
+      if (el.textContent) {
+        Dom.removeClass(el, 'vjs-hidden');
+        empty = false;
+      } else {
+        Dom.addClass(el, 'vjs-hidden');
+      }
+    });
+
+    if (empty) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+}
+
+Component.registerComponent('TitleBar', TitleBar);
+export default TitleBar;
@@ -0,0 +1,223 @@
+/**
+ * @file quality-level-list.js
+ */
+import EventTarget from '../event-target';
+import QualityLevel from './quality-level';
+
+/**
+ * The current list of {@link QualityLevel}s of adaptive media. Techs and
+ * source handlers add a `QualityLevel` for every rendition they can switch
+ * between, only switch to the levels that are enabled and report the level
+ * that is currently playing with {@link QualityLevelList#setSelectedIndex}.
+ *
+ * @extends EventTarget
+ */
+class QualityLevelList extends EventTarget {
+
+  /**
+   * Create an instance of this class.
+   */
+  constructor() {
+    super();
+
+    this.levels_ = [];
+    this.selectedIndex_ = -1;
+
+    /**
+     * @memberof QualityLevelList
+     * @member {number} length
+     *         The current number of `QualityLevel`s in this QualityLevelList.
+     * @instance
+     */
+    Object.defineProperty(this, 'length', {
+      get() {
+        return this.levels_.length;
+      }
+    });
+
+    /**
+     * @member {number} QualityLevelList#selectedIndex
+     *         The index of the {@link QualityLevel} that is currently playing,
+     *         or -1 if it is not known.
+     */
+    Object.defineProperty(this, 'selectedIndex', {
+      get() {
+        return this.selectedIndex_;
+      },
+      set() {}
+    });
+
+    this.handleEnabledChange_ = () => {
+      this.trigger('change');
+    };
+  }
+
+  /**
+   * Add a {@link QualityLevel} to the `QualityLevelList`.
+   *
+   * @param {QualityLevel|Object} representation
+   *        The `QualityLevel` to add, or the options to create it with.
+   *
+   * @return {QualityLevel}
+   *         The `QualityLevel` that was added, or the `QualityLevel` that was
+   *         already in the list with the same id.
+   *
+   * @fires QualityLevelList#addqualitylevel
+   */
+  addQualityLevel(representation) {
+    let qualityLevel = representation.id !== undefined ?
+      this.getQualityLevelById(representation.id) :
+      null;
+
+    // Do not add duplicate levels
+    if (qualityLevel) {
+      return qualityLevel;
+    }
+
+    qualityLevel = representation instanceof QualityLevel ?
+      representation :
+      new QualityLevel(representation);
+
+    const index = this.levels_.length;
+
+    if (!('' + index in this)) {
+      Object.defineProperty(this, index, {
+        get() {
+          return this.levels_[index];
+        }
+      });
+    }
+
+    this.levels_.push(qualityLevel);
+    qualityLevel.addEventListener('enabledchange', this.handleEnabledChange_);
+
+    /**
+     * Triggered when a quality level is added to a quality level list.
+     *
+     * @event QualityLevelList#addqualitylevel
+     * @type {EventTarget~Event}
+     * @property {QualityLevel} qualityLevel
+     *           A reference to quality level that was added.
+     */
+    this.trigger({
+      qualityLevel,
+      type: 'addqualitylevel'
+    });
+
+    return qualityLevel;
+  }
+
+  /**
+   * Remove a {@link QualityLevel} from the `QualityLevelList`.
+   *
+   * @param {QualityLevel} qualityLevel
+   *        The `QualityLevel` to remove from the list.
+   *
+   * @return {QualityLevel|null}
+   *         The `QualityLevel` that was removed, or null if it was not in the
+   *         list.
+   *
+   * @fires QualityLevelList#removequalitylevel
+   */
+  removeQualityLevel(qualityLevel) {
+    const index = this.levels_.indexOf(qualityLevel);
+
+    if (index === -1) {
+      return null;
+    }
+
+    this.levels_.splice(index, 1);
+    qualityLevel.removeEventListener('enabledchange', this.handleEnabledChange_);
+
+    if (index === this.selectedIndex_) {
+      this.selectedIndex_ = -1;
+    } else if (index < this.selectedIndex_) {
+      this.selectedIndex_--;
+    }
+
+    /**
+     * Triggered when a quality level is removed from a quality level list.
+     *
+     * @event QualityLevelList#removequalitylevel
+     * @type {EventTarget~Event}
+     * @property {QualityLevel} qualityLevel
+     *           A reference to quality level that was removed.
+     */
+    this.trigger({
+      qualityLevel,
+      type: 'removequalitylevel'
+    });
+
+    return qualityLevel;
+  }
+
+  /**
+   * Get a {@link QualityLevel} from the `QualityLevelList` by its id.
+   *
+   * @param {string} id
+   *        The id of the `QualityLevel` to get.
+   *
+   * @return {QualityLevel|null}
+   *         The `QualityLevel` with the id, or null if there is none.
+   */
+  getQualityLevelById(id) {
+    for (let i = 0; i < this.length; i++) {
+      if (this[i].id === id) {
+        return this[i];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Report which {@link QualityLevel} is currently playing. This is meant to
+   * be called by techs and source handlers; to choose the levels they may
+   * switch to, set `enabled` on the levels instead.
+   *
+   * @param {number} index
+   *        The index of the `QualityLevel` that is currently playing, or -1
+   *        if it is not known.
+   *
+   * @fires QualityLevelList#change
+   */
+  setSelectedIndex(index) {
+    if (typeof index !== 'number' || index < -1 || index >= this.length) {
+      return;
+    }
+
+    if (index === this.selectedIndex_) {
+      return;
+    }
+
+    this.selectedIndex_ = index;
+    this.trigger('change');
+  }
+}
+
+/**
+ * Triggered when a different quality level starts playing, or when a quality
+ * level is enabled or disabled.
+ *
+ * @event QualityLevelList#change
+ * @type {EventTarget~Event}
+ */
+
+/**
+ * Events that can be called with on + eventName. See {@link EventHandler}.
+ *
+ * @property {Object} QualityLevelList#allowedEvents_
+ * @private
+ */
+QualityLevelList.prototype.allowedEvents_ = {
+  change: 'change',
+  addqualitylevel: 'addqualitylevel',
+  removequalitylevel: 'removequalitylevel'
+};
+
+// emulate attribute EventHandler support to allow for feature detection
+for (const event in QualityLevelList.prototype.allowedEvents_) {
+  QualityLevelList.prototype['on' + event] = null;
+}
+
+export default QualityLevelList;
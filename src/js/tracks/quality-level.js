@@ -0,0 +1,110 @@
+/**
+ * @file quality-level.js
+ */
+import EventTarget from '../event-target';
+import * as Guid from '../utils/guid.js';
+
+/**
+ * A single rendition of adaptive media, such as one of the variants of an HLS
+ * or DASH stream, that a tech or source handler can switch between.
+ *
+ * @extends EventTarget
+ */
+class QualityLevel extends EventTarget {
+
+  /**
+   * Create an instance of this class.
+   *
+   * @param {Object} representation
+   *        The rendition that this `QualityLevel` represents.
+   *
+   * @param {string} [representation.id='vjs_quality_level_' + Guid.newGUID()]
+   *        A unique id for this QualityLevel.
+   *
+   * @param {string} [representation.label='']
+   *        The menu label for this QualityLevel.
+   *
+   * @param {number} [representation.width]
+   *        The width of the rendition in pixels.
+   *
+   * @param {number} [representation.height]
+   *        The height of the rendition in pixels.
+   *
+   * @param {number} [representation.bitrate]
+   *        The bitrate of the rendition in bits per second.
+   *
+   * @param {number} [representation.frameRate]
+   *        The frame rate of the rendition in frames per second.
+   *
+   * @param {Function} [representation.enabled]
+   *        A function that returns whether the rendition is enabled when it is
+   *        called without arguments and enables or disables the rendition when
+   *        it is called with a boolean. Without it, the enabled state is only
+   *        kept on the `QualityLevel`.
+   */
+  constructor(representation = {}) {
+    super();
+
+    let enabled = true;
+    const enabledFn = typeof representation.enabled === 'function' ?
+      representation.enabled :
+      function(value) {
+        if (value !== undefined) {
+          enabled = value;
+        }
+        return enabled;
+      };
+
+    const props = {
+      id: representation.id || 'vjs_quality_level_' + Guid.newGUID(),
+      label: representation.label || '',
+      width: representation.width,
+      height: representation.height,
+      bitrate: representation.bitrate,
+      frameRate: representation.frameRate
+    };
+
+    for (const key in props) {
+      Object.defineProperty(this, key, {
+        get() {
+          return props[key];
+        },
+        set() {}
+      });
+    }
+
+    /**
+     * @memberof QualityLevel
+     * @member {boolean} enabled
+     *         Whether the tech or source handler may switch to this
+     *         `QualityLevel`. When setting this will fire
+     *         {@link QualityLevel#enabledchange} if the state of enabled changed.
+     * @instance
+     *
+     * @fires QualityLevel#enabledchange
+     */
+    Object.defineProperty(this, 'enabled', {
+      get() {
+        return !!enabledFn();
+      },
+      set(newEnabled) {
+        // an invalid or unchanged value
+        if (typeof newEnabled !== 'boolean' || newEnabled === this.enabled) {
+          return;
+        }
+        enabledFn(newEnabled);
+
+        /**
+         * An event that fires when enabled changes on this quality level. This
+         * allows the QualityLevelList that holds this level to act accordingly.
+         *
+         * @event QualityLevel#enabledchange
+         * @type {EventTarget~Event}
+         */
+        this.trigger('enabledchange');
+      }
+    });
+  }
+}
+
+export default QualityLevel;
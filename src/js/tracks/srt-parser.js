@@ -0,0 +1,152 @@
+/**
+ * @file srt-parser.js
+ */
+import {createCue} from './text-track-formats.js';
+
+/**
+ * Matches the timing line of a SubRip cue, for example
+ * `00:00:01,000 --> 00:00:04,500`.
+ *
+ * @private
+ */
+const TIMING_REGEX = /^\s*(\d+):(\d{1,2}):(\d{1,2})[,.](\d{1,3})\s*-->\s*(\d+):(\d{1,2}):(\d{1,2})[,.](\d{1,3})/;
+
+/**
+ * Formatting tags that have the same meaning in WebVTT cue text.
+ *
+ * @private
+ */
+const SUPPORTED_TAGS = ['b', 'i', 'u'];
+
+/**
+ * Convert the parts of a SubRip timestamp to seconds.
+ *
+ * @param {string} hours
+ *        The hours of the timestamp.
+ *
+ * @param {string} minutes
+ *        The minutes of the timestamp.
+ *
+ * @param {string} seconds
+ *        The seconds of the timestamp.
+ *
+ * @param {string} milliseconds
+ *        The fraction of a second of the timestamp.
+ *
+ * @return {number}
+ *         The timestamp in seconds.
+ *
+ * @private
+ */
+const toSeconds = (hours, minutes, seconds, milliseconds) => {
+  // a fraction like ",5" means 500 milliseconds
+  while (milliseconds.length < 3) {
+    milliseconds += '0';
+  }
+
+  return (parseInt(hours, 10) * 3600) +
+    (parseInt(minutes, 10) * 60) +
+    parseInt(seconds, 10) +
+    (parseInt(milliseconds, 10) / 1000);
+};
+
+/**
+ * Apply an `{\anN}` alignment override to a cue.
+ *
+ * @param {TextTrack~Cue} cue
+ *        The cue to align.
+ *
+ * @param {number} alignment
+ *        The alignment from 1 to 9, laid out like the keys of a numpad.
+ *
+ * @private
+ */
+const applyAlignment = (cue, alignment) => {
+  // 7, 8 and 9 are at the top and 4, 5 and 6 in the middle of the video
+  if (alignment >= 7) {
+    cue.line = 0;
+  } else if (alignment >= 4) {
+    cue.snapToLines = false;
+    cue.line = 50;
+  }
+
+  // 1, 4 and 7 are on the left and 3, 6 and 9 on the right of the video
+  if (alignment % 3 === 1) {
+    cue.align = 'left';
+  } else if (alignment % 3 === 0) {
+    cue.align = 'right';
+  }
+};
+
+/**
+ * Parse the contents of a SubRip (`.srt`) file into cues.
+ *
+ * The bold, italic and underline tags of SubRip are kept as WebVTT cue text
+ * markup and `{\anN}` alignment overrides are applied to the cue. Other tags,
+ * such as `<font>`, are removed.
+ *
+ * @param {string} content
+ *        The contents of the SubRip file.
+ *
+ * @return {TextTrack~Cue[]}
+ *         The parsed cues.
+ */
+const parseSrt = function(content) {
+  const cues = [];
+  const blocks = content
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/);
+
+  blocks.forEach((block) => {
+    const lines = block.split('\n');
+
+    // the timing line usually follows the counter of the cue
+    let timingIndex = 0;
+
+    while (timingIndex < lines.length && lines[timingIndex].indexOf('-->') === -1) {
+      timingIndex++;
+    }
+
+    const timing = TIMING_REGEX.exec(lines[timingIndex] || '');
+
+    if (!timing) {
+      return;
+    }
+
+    let alignment;
+    const text = lines.slice(timingIndex + 1).join('\n')
+      .replace(/\{\\an(\d)\}/g, (match, an) => {
+        alignment = parseInt(an, 10);
+        return '';
+      })
+      // remove any other override tags
+      .replace(/\{\\[^}]*\}/g, '')
+      .replace(/<(\/?)([a-z]+)[^>]*>/gi, (match, slash, tag) => {
+        tag = tag.toLowerCase();
+
+        return SUPPORTED_TAGS.indexOf(tag) !== -1 ? `<${slash}${tag}>` : '';
+      })
+      .trim();
+
+    if (!text) {
+      return;
+    }
+
+    const cue = createCue(
+      toSeconds(timing[1], timing[2], timing[3], timing[4]),
+      toSeconds(timing[5], timing[6], timing[7], timing[8]),
+      text
+    );
+
+    if (alignment) {
+      applyAlignment(cue, alignment);
+    }
+
+    cues.push(cue);
+  });
+
+  return cues;
+};
+
+export default parseSrt;
@@ -0,0 +1,111 @@
+/**
+ * @file text-track-formats.js
+ * @module text-track-formats
+ */
+import window from 'global/window';
+import {getMimetype} from '../utils/mimetypes';
+
+const formats = {};
+
+/**
+ * The MIME type of the format that is used when the format of a text track
+ * cannot be determined.
+ *
+ * @type {string}
+ */
+export const DEFAULT_FORMAT = 'text/vtt';
+
+/**
+ * A function that parses the contents of a text track file into cues.
+ *
+ * @callback TextTrackFormatParser
+ * @param {string} content
+ *        The contents of the text track file.
+ *
+ * @param {TextTrack} track
+ *        The track the cues are for. Parsers must not add the cues to it
+ *        themselves.
+ *
+ * @return {TextTrack~Cue[]}
+ *         The parsed cues. These should be created with {@link module:text-track-formats.createCue|createCue}
+ *         so that they can be rendered like WebVTT cues.
+ */
+
+/**
+ * Register a parser for a text track format.
+ *
+ * @param {string} type
+ *        The MIME type of the format, for example `"application/x-subrip"`.
+ *
+ * @param {TextTrackFormatParser} parser
+ *        The function that parses files of this format. It replaces any
+ *        parser that was registered for the same type before.
+ */
+export function registerFormat(type, parser) {
+  formats[type.toLowerCase()] = parser;
+}
+
+/**
+ * Get the parser registered for a text track format.
+ *
+ * @param {string} type
+ *        The MIME type of the format.
+ *
+ * @return {TextTrackFormatParser|undefined}
+ *         The parser or `undefined` if there is none for this type.
+ */
+export function getFormat(type) {
+  if (type) {
+    return formats[type.toLowerCase()];
+  }
+}
+
+/**
+ * Find the parser for a text track file. The MIME type of the response is
+ * tried first, then the MIME type that matches the extension of the file and
+ * finally, WebVTT.
+ *
+ * @param {string} [src]
+ *        The URL of the text track file.
+ *
+ * @param {string} [contentType]
+ *        The `Content-Type` of the response, which may include parameters
+ *        such as the charset.
+ *
+ * @return {TextTrackFormatParser|undefined}
+ *         The parser to use or `undefined` if none was found.
+ */
+export function findFormat(src, contentType) {
+  const responseType = (contentType || '').split(';')[0].trim();
+
+  return getFormat(responseType) ||
+    getFormat(getMimetype(src)) ||
+    getFormat(DEFAULT_FORMAT);
+}
+
+/**
+ * Create a cue that can be added to a {@link TextTrack} and rendered like the
+ * cues of a WebVTT file.
+ *
+ * @param {number} startTime
+ *        The start time of the cue, in seconds.
+ *
+ * @param {number} endTime
+ *        The end time of the cue, in seconds.
+ *
+ * @param {string} text
+ *        The text of the cue, which may include WebVTT cue text markup.
+ *
+ * @return {TextTrack~Cue}
+ *         A `VTTCue`, or a plain object with the same timing and text
+ *         properties if `VTTCue` is not available.
+ */
+export function createCue(startTime, endTime, text) {
+  const Cue = (window.vttjs && window.vttjs.VTTCue) || window.VTTCue;
+
+  if (typeof Cue === 'function') {
+    return new Cue(startTime, endTime, text);
+  }
+
+  return {startTime, endTime, text};
+}
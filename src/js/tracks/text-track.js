@@ -10,6 +10,9 @@ import Track from './track.js';
 import { isCrossOrigin } from '../utils/url.js';
 import XHR from 'xhr';
 import merge from '../utils/merge-options';
+import {registerFormat, findFormat} from './text-track-formats.js';
+import parseSrt from './srt-parser.js';
+import parseTtml from './ttml-parser.js';
 
 /**
  * Takes a webvtt file contents and parses it into cues
@@ -18,33 +21,30 @@ import merge from '../utils/merge-options';
  *        webVTT file contents
  *
  * @param {TextTrack} track
- *        TextTrack to add cues to. Cues come from the srcContent.
+ *        TextTrack the cues are for. Parsing errors are logged with its src.
+ *
+ * @return {TextTrack~Cue[]}
+ *         The parsed cues.
  *
  * @private
  */
-const parseCues = function(srcContent, track) {
+const parseWebVTT = function(srcContent, track) {
   const parser = new window.WebVTT.Parser(
     window,
     window.vttjs,
     window.WebVTT.StringDecoder()
   );
+  const cues = [];
   const errors = [];
 
   parser.oncue = function(cue) {
-    track.addCue(cue);
+    cues.push(cue);
   };
 
   parser.onparsingerror = function(error) {
     errors.push(error);
   };
 
-  parser.onflush = function() {
-    track.trigger({
-      type: 'loadeddata',
-      target: track
-    });
-  };
-
   parser.parse(srcContent);
   if (errors.length > 0) {
     if (window.console && window.console.groupCollapsed) {
@@ -57,6 +57,43 @@ const parseCues = function(srcContent, track) {
   }
 
   parser.flush();
+
+  return cues;
+};
+
+registerFormat('text/vtt', parseWebVTT);
+registerFormat('application/x-subrip', parseSrt);
+registerFormat('application/ttml+xml', parseTtml);
+
+/**
+ * Takes the contents of a text track file and parses it into cues, using the
+ * parser registered for its format.
+ *
+ * @param {string} srcContent
+ *        The text track file contents.
+ *
+ * @param {TextTrack} track
+ *        TextTrack to add cues to. Cues come from the srcContent.
+ *
+ * @param {string} [contentType]
+ *        The `Content-Type` of the response the contents came from.
+ *
+ * @private
+ */
+const parseCues = function(srcContent, track, contentType) {
+  const parser = findFormat(track.src, contentType);
+
+  if (!parser) {
+    log.error(`No parser was found for the text track ${track.src}`);
+    return;
+  }
+
+  parser(srcContent, track).forEach((cue) => track.addCue(cue));
+
+  track.trigger({
+    type: 'loadeddata',
+    target: track
+  });
 };
 
 /**
@@ -87,11 +124,13 @@ const loadTrack = function(src, track) {
 
     track.loaded_ = true;
 
+    const contentType = response.headers && response.headers['content-type'];
+
     // Make sure that vttjs has loaded, otherwise, wait till it finished loading
     // NOTE: this is only used for the alt/video.novtt.js build
     if (typeof window.WebVTT !== 'function') {
       if (track.tech_) {
-        const loadHandler = () => parseCues(responseBody, track);
+        const loadHandler = () => parseCues(responseBody, track, contentType);
 
         track.tech_.on('vttjsloaded', loadHandler);
         track.tech_.on('vttjserror', () => {
@@ -101,7 +140,7 @@ const loadTrack = function(src, track) {
 
       }
     } else {
-      parseCues(responseBody, track);
+      parseCues(responseBody, track, contentType);
     }
 
   }));
@@ -334,6 +373,8 @@ class TextTrack extends Track {
    *
    * @param {TextTrack~Cue} cue
    *        The cue to add to our internal list
+   *
+   * @fires TextTrack#addcue
    */
   addCue(originalCue) {
     let cue = originalCue;
@@ -362,6 +403,17 @@ class TextTrack extends Track {
 
     this.cues_.push(cue);
     this.cues.setCues_(this.cues_);
+
+    /**
+     * Fired when a cue was added to the `TextTrack`. This is not a standard
+     * event, so only emulated tracks fire it.
+     *
+     * @event TextTrack#addcue
+     * @type {EventTarget~Event}
+     * @property {TextTrack~Cue} cue
+     *           The cue that was added.
+     */
+    this.trigger({type: 'addcue', cue});
   }
 
   /**
@@ -369,6 +421,8 @@ class TextTrack extends Track {
    *
    * @param {TextTrack~Cue} removeCue
    *        The cue to remove from our internal list
+   *
+   * @fires TextTrack#removecue
    */
   removeCue(removeCue) {
     let i = this.cues_.length;
@@ -379,6 +433,17 @@ class TextTrack extends Track {
       if (cue === removeCue || (cue.originalCue_ && cue.originalCue_ === removeCue)) {
         this.cues_.splice(i, 1);
         this.cues.setCues_(this.cues_);
+
+        /**
+         * Fired when a cue was removed from the `TextTrack`. This is not a
+         * standard event, so only emulated tracks fire it.
+         *
+         * @event TextTrack#removecue
+         * @type {EventTarget~Event}
+         * @property {TextTrack~Cue} cue
+         *           The cue that was removed.
+         */
+        this.trigger({type: 'removecue', cue});
         break;
       }
     }
@@ -387,9 +452,13 @@ class TextTrack extends Track {
 
 /**
  * cuechange - One or more cues in the track have become active or stopped being active.
+ * addcue - A cue was added to the track.
+ * removecue - A cue was removed from the track.
  */
 TextTrack.prototype.allowedEvents_ = {
-  cuechange: 'cuechange'
+  cuechange: 'cuechange',
+  addcue: 'addcue',
+  removecue: 'removecue'
 };
 
 export default TextTrack;
@@ -0,0 +1,465 @@
+/**
+ * @file ttml-parser.js
+ */
+import window from 'global/window';
+import {createCue} from './text-track-formats.js';
+import {assign} from '../utils/obj';
+
+/**
+ * Matches a clock time expression, for example `00:00:01.500` or, with
+ * frames, `00:00:01:12`.
+ *
+ * @private
+ */
+const CLOCK_TIME_REGEX = /^(\d{2,}):(\d{2}):(\d{2}(?:\.\d+)?)(?::(\d+(?:\.\d+)?))?$/;
+
+/**
+ * Matches an offset time expression, for example `1.5s` or `90f`.
+ *
+ * @private
+ */
+const OFFSET_TIME_REGEX = /^(\d+(?:\.\d+)?)(h|ms|m|s|f|t)$/;
+
+/**
+ * Matches a pair of percentages, as used by `tts:origin` and `tts:extent`.
+ *
+ * @private
+ */
+const PERCENTAGES_REGEX = /^\s*(\d+(?:\.\d+)?)%\s+(\d+(?:\.\d+)?)%\s*$/;
+
+/**
+ * Get the child elements of an element by their local name, ignoring
+ * namespaces so that documents with any TTML namespace can be parsed.
+ *
+ * @param {Element} el
+ *        The parent element.
+ *
+ * @param {string} [localName]
+ *        The local name of the children. All child elements are returned
+ *        without it.
+ *
+ * @return {Element[]}
+ *         The matching child elements.
+ *
+ * @private
+ */
+const getChildren = (el, localName) => {
+  return Array.prototype.filter.call(el.childNodes, (node) => {
+    return node.nodeType === 1 && (!localName || node.localName === localName);
+  });
+};
+
+/**
+ * Get the value of an attribute by its local name, ignoring its prefix.
+ *
+ * @param {Element} el
+ *        The element.
+ *
+ * @param {string} localName
+ *        The local name of the attribute.
+ *
+ * @return {string|null}
+ *         The value of the attribute or null if the element doesn't have it.
+ *
+ * @private
+ */
+const getAttribute = (el, localName) => {
+  for (let i = 0; i < el.attributes.length; i++) {
+    if (el.attributes[i].localName === localName) {
+      return el.attributes[i].value;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Get the `tts` styling attributes of an element.
+ *
+ * @param {Element} el
+ *        The element.
+ *
+ * @return {Object}
+ *         The values of the attributes keyed by their local name.
+ *
+ * @private
+ */
+const getStyleAttributes = (el) => {
+  const attributes = {};
+
+  for (let i = 0; i < el.attributes.length; i++) {
+    const attribute = el.attributes[i];
+
+    if (attribute.prefix === 'tts' || (/#styling$/).test(attribute.namespaceURI)) {
+      attributes[attribute.localName] = attribute.value;
+    }
+  }
+
+  return attributes;
+};
+
+/**
+ * Escape text so that it can be used as WebVTT cue text.
+ *
+ * @param {string} text
+ *        The text to escape.
+ *
+ * @return {string}
+ *         The escaped text.
+ *
+ * @private
+ */
+const escapeText = (text) => {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+};
+
+/**
+ * Parses the timing, styling and region information of a TTML document.
+ *
+ * @private
+ */
+class TtmlDocument {
+
+  /**
+   * Create an instance of this class.
+   *
+   * @param {Element} tt
+   *        The root `<tt>` element of the document.
+   */
+  constructor(tt) {
+    this.frameRate = parseFloat(getAttribute(tt, 'frameRate')) || 30;
+    this.tickRate = parseFloat(getAttribute(tt, 'tickRate')) || 1;
+    this.styles = {};
+    this.regions = {};
+
+    const head = getChildren(tt, 'head')[0];
+
+    if (!head) {
+      return;
+    }
+
+    getChildren(head, 'styling').forEach((styling) => {
+      getChildren(styling, 'style').forEach((style) => {
+        this.styles[getAttribute(style, 'id')] = style;
+      });
+    });
+
+    getChildren(head, 'layout').forEach((layout) => {
+      getChildren(layout, 'region').forEach((region) => {
+        this.regions[getAttribute(region, 'id')] = region;
+      });
+    });
+  }
+
+  /**
+   * Convert a time expression to seconds.
+   *
+   * @param {string|null} expression
+   *        The time expression.
+   *
+   * @return {number|null}
+   *         The time in seconds or null if there is no valid time expression.
+   */
+  parseTime(expression) {
+    const value = (expression || '').trim();
+    let match = CLOCK_TIME_REGEX.exec(value);
+
+    if (match) {
+      return (parseInt(match[1], 10) * 3600) +
+        (parseInt(match[2], 10) * 60) +
+        parseFloat(match[3]) +
+        (match[4] ? parseFloat(match[4]) / this.frameRate : 0);
+    }
+
+    match = OFFSET_TIME_REGEX.exec(value);
+
+    if (match) {
+      const count = parseFloat(match[1]);
+
+      switch (match[2]) {
+      case 'h':
+        return count * 3600;
+      case 'm':
+        return count * 60;
+      case 's':
+        return count;
+      case 'ms':
+        return count / 1000;
+      case 'f':
+        return count / this.frameRate;
+      case 't':
+        return count / this.tickRate;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the styling of an element from the styles it references and its own
+   * styling attributes, which take precedence.
+   *
+   * @param {Element} el
+   *        The element.
+   *
+   * @param {Object} [inherited={}]
+   *        The styling inherited from the ancestors of the element.
+   *
+   * @param {Element[]} [seen=[]]
+   *        The style elements that are already being resolved.
+   *
+   * @return {Object}
+   *         The styling attributes keyed by their local name.
+   */
+  getStyle(el, inherited = {}, seen = []) {
+    const style = assign({}, inherited);
+    const ids = (getAttribute(el, 'style') || '').split(/\s+/);
+
+    ids.forEach((id) => {
+      const styleEl = this.styles[id];
+
+      // styles can reference other styles but must not loop
+      if (styleEl && seen.indexOf(styleEl) === -1) {
+        assign(style, this.getStyle(styleEl, {}, seen.concat(styleEl)));
+      }
+    });
+
+    return assign(style, getStyleAttributes(el));
+  }
+
+  /**
+   * Get the styling of a region, including the styles nested inside it.
+   *
+   * @param {string|null} id
+   *        The id of the region.
+   *
+   * @return {Object|null}
+   *         The styling attributes of the region or null if there is no such
+   *         region.
+   */
+  getRegionStyle(id) {
+    const region = this.regions[id];
+
+    if (!region) {
+      return null;
+    }
+
+    const style = this.getStyle(region);
+
+    getChildren(region, 'style').forEach((styleEl) => {
+      assign(style, this.getStyle(styleEl));
+    });
+
+    return style;
+  }
+}
+
+/**
+ * Wrap cue text in the tags for its italic, bold and underline styling.
+ *
+ * @param {Object} style
+ *        The styling attributes of the text.
+ *
+ * @param {string} text
+ *        The cue text.
+ *
+ * @return {string}
+ *         The wrapped cue text.
+ *
+ * @private
+ */
+const applyTextStyle = (style, text) => {
+  if (style.fontStyle === 'italic' || style.fontStyle === 'oblique') {
+    text = `<i>${text}</i>`;
+  }
+
+  if (style.fontWeight === 'bold') {
+    text = `<b>${text}</b>`;
+  }
+
+  if ((/(^|\s)underline(\s|$)/).test(style.textDecoration || '')) {
+    text = `<u>${text}</u>`;
+  }
+
+  return text;
+};
+
+/**
+ * Convert the contents of an element to WebVTT cue text, turning the italic,
+ * bold and underline styling of spans into the matching cue text tags.
+ *
+ * @param {TtmlDocument} doc
+ *        The document the element belongs to.
+ *
+ * @param {Element} el
+ *        The element.
+ *
+ * @return {string}
+ *         The cue text.
+ *
+ * @private
+ */
+const getCueText = (doc, el) => {
+  return Array.prototype.map.call(el.childNodes, (node) => {
+    if (node.nodeType === 3) {
+      return escapeText(node.nodeValue.replace(/\s+/g, ' '));
+    }
+
+    if (node.nodeType !== 1) {
+      return '';
+    }
+
+    if (node.localName === 'br') {
+      return '\n';
+    }
+
+    const text = getCueText(doc, node);
+
+    return node.localName === 'span' ? applyTextStyle(doc.getStyle(node), text) : text;
+  }).join('');
+};
+
+/**
+ * Position a cue within its region. Regions are only supported when their
+ * origin and extent are given as percentages of the video.
+ *
+ * @param {TextTrack~Cue} cue
+ *        The cue to position.
+ *
+ * @param {Object} region
+ *        The styling attributes of the region.
+ *
+ * @param {string} [align]
+ *        The text alignment of the cue.
+ *
+ * @private
+ */
+const applyRegion = (cue, region, align) => {
+  const origin = PERCENTAGES_REGEX.exec(region.origin || '');
+  const extent = PERCENTAGES_REGEX.exec(region.extent || '');
+
+  if (!origin || !extent) {
+    return;
+  }
+
+  const x = parseFloat(origin[1]);
+  const y = parseFloat(origin[2]);
+  const width = parseFloat(extent[1]);
+  const height = parseFloat(extent[2]);
+
+  cue.snapToLines = false;
+  cue.size = Math.min(width, 100);
+
+  if (region.displayAlign === 'after') {
+    cue.line = y + height;
+    cue.lineAlign = 'end';
+  } else if (region.displayAlign === 'center') {
+    cue.line = y + (height / 2);
+    cue.lineAlign = 'middle';
+  } else {
+    cue.line = y;
+  }
+
+  if (align === 'left' || align === 'start') {
+    cue.position = x;
+  } else if (align === 'right' || align === 'end') {
+    cue.position = Math.min(x + width, 100);
+  } else {
+    cue.position = Math.min(x + (width / 2), 100);
+  }
+};
+
+/**
+ * Parse the contents of a TTML (or DFXP) file into cues.
+ *
+ * Each `<p>` element becomes a cue. The italic, bold and underline styling of
+ * the text is kept as WebVTT cue text markup, and the text alignment and the
+ * region of a paragraph set the alignment and position of its cue.
+ *
+ * @param {string} content
+ *        The contents of the TTML file.
+ *
+ * @return {TextTrack~Cue[]}
+ *         The parsed cues.
+ */
+const parseTtml = function(content) {
+  const cues = [];
+
+  if (typeof window.DOMParser !== 'function') {
+    return cues;
+  }
+
+  const tt = new window.DOMParser().parseFromString(content, 'application/xml').documentElement;
+
+  // Parsing errors result in a document without a tt element
+  if (!tt || tt.localName !== 'tt') {
+    return cues;
+  }
+
+  const doc = new TtmlDocument(tt);
+
+  const addCues = (el, context) => {
+    const begin = doc.parseTime(getAttribute(el, 'begin'));
+    const end = doc.parseTime(getAttribute(el, 'end'));
+    const dur = doc.parseTime(getAttribute(el, 'dur'));
+    const startTime = context.startTime + (begin || 0);
+    let endTime = context.endTime;
+
+    if (end !== null) {
+      endTime = Math.min(context.startTime + end, endTime);
+    } else if (dur !== null) {
+      endTime = Math.min(startTime + dur, endTime);
+    }
+
+    const style = doc.getStyle(el, context.style);
+    const region = getAttribute(el, 'region') || context.region;
+
+    if (el.localName !== 'p') {
+      getChildren(el).forEach((child) => {
+        addCues(child, {startTime, endTime, style, region});
+      });
+      return;
+    }
+
+    const text = applyTextStyle(style, getCueText(doc, el)
+      .split('\n')
+      .map((line) => line.trim())
+      .join('\n')
+      .trim());
+
+    // cues without an end would never go away
+    if (!text || !isFinite(endTime) || endTime <= startTime) {
+      return;
+    }
+
+    const cue = createCue(startTime, endTime, text);
+    const regionStyle = doc.getRegionStyle(region);
+    const align = style.textAlign || (regionStyle && regionStyle.textAlign);
+
+    if (align === 'left' || align === 'right' || align === 'start' || align === 'end') {
+      cue.align = align;
+    }
+
+    if (regionStyle) {
+      applyRegion(cue, regionStyle, align);
+    }
+
+    cues.push(cue);
+  };
+
+  getChildren(tt, 'body').forEach((body) => {
+    addCues(body, {
+      startTime: 0,
+      endTime: Infinity,
+      style: {},
+      region: getAttribute(tt, 'region')
+    });
+  });
+
+  return cues;
+};
+
+export default parseTtml;
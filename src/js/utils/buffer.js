@@ -43,3 +43,62 @@ export function bufferedPercent(buffered, duration) {
 
   return bufferedDuration / duration;
 }
+
+/**
+ * Compute how many seconds are buffered ahead of a time, in the buffered range
+ * that the time is in.
+ *
+ * @param {TimeRange} buffered
+ *        The current `TimeRange` object representing buffered time ranges
+ *
+ * @param {number} time
+ *        The time to look ahead from, usually the current time.
+ *
+ * @return {number}
+ *         The seconds buffered ahead of the time, or 0 if the time is not
+ *         buffered.
+ */
+export function bufferedAhead(buffered, time) {
+  if (!buffered) {
+    return 0;
+  }
+
+  for (let i = 0; i < buffered.length; i++) {
+    if (buffered.start(i) <= time && time < buffered.end(i)) {
+      return buffered.end(i) - time;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Find where the next buffered range after a time starts. If the time is not
+ * buffered, this is where playback can continue by skipping the gap.
+ *
+ * @param {TimeRange} buffered
+ *        The current `TimeRange` object representing buffered time ranges
+ *
+ * @param {number} time
+ *        The time to look ahead from, usually the current time.
+ *
+ * @return {number|null}
+ *         The start of the next buffered range, or null if there is none.
+ */
+export function nextBufferedStart(buffered, time) {
+  let next = null;
+
+  if (!buffered) {
+    return next;
+  }
+
+  for (let i = 0; i < buffered.length; i++) {
+    const start = buffered.start(i);
+
+    if (start > time && (next === null || start < next)) {
+      next = start;
+    }
+  }
+
+  return next;
+}
@@ -23,7 +23,11 @@ export const MimetypesKind = {
   gif: 'image/gif',
   png: 'image/png',
   svg: 'image/svg+xml',
-  webp: 'image/webp'
+  webp: 'image/webp',
+  vtt: 'text/vtt',
+  srt: 'application/x-subrip',
+  ttml: 'application/ttml+xml',
+  dfxp: 'application/ttml+xml'
 };
 
 /**
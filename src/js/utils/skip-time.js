@@ -0,0 +1,26 @@
+/**
+ * @file skip-time.js
+ * @module skip-time
+ */
+
+/**
+ * Get the number of seconds to skip by in a direction from the `skipButtons`
+ * option of the control bar.
+ *
+ * @param {Object} [playerOptions]
+ *        The options of the player.
+ *
+ * @param {string} direction
+ *        Either `'forward'` or `'backward'`.
+ *
+ * @return {number}
+ *         The number of seconds to skip by, or 0 if it is not set.
+ */
+function skipTime(playerOptions, direction) {
+  const controlBar = playerOptions && playerOptions.controlBar;
+  const seconds = controlBar && controlBar.skipButtons && controlBar.skipButtons[direction];
+
+  return typeof seconds === 'number' && seconds > 0 ? seconds : 0;
+}
+
+export default skipTime;
@@ -0,0 +1,94 @@
+/**
+ * @file storage.js
+ * @module storage
+ */
+import window from 'global/window';
+import log from './log.js';
+
+/**
+ * Get `window.localStorage`, which some browsers do not allow access to, for
+ * example when cookies are blocked.
+ *
+ * @return {Storage|null}
+ *         The local storage or null if it is not available.
+ */
+export function getLocalStorage() {
+  try {
+    return window.localStorage || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Read a JSON value from a `Storage`.
+ *
+ * @param  {Storage|null} storage
+ *         The storage to read from. Any object with the `getItem` method of
+ *         `Storage` can be used.
+ *
+ * @param  {string} key
+ *         The key the value is stored under.
+ *
+ * @return {Mixed}
+ *         The parsed value, or undefined if there is no storage or the stored
+ *         value is not valid JSON.
+ */
+export function getJSON(storage, key) {
+  if (!storage) {
+    return;
+  }
+
+  try {
+    return JSON.parse(storage.getItem(key));
+  } catch (err) {
+    log.warn(err);
+  }
+}
+
+/**
+ * Write a value as JSON to a `Storage`.
+ *
+ * @param {Storage|null} storage
+ *        The storage to write to. Any object with the `setItem` method of
+ *        `Storage` can be used.
+ *
+ * @param {string} key
+ *        The key to store the value under.
+ *
+ * @param {Mixed} value
+ *        The value to store.
+ */
+export function setJSON(storage, key, value) {
+  if (!storage) {
+    return;
+  }
+
+  try {
+    storage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    log.warn(err);
+  }
+}
+
+/**
+ * Remove a value from a `Storage`.
+ *
+ * @param {Storage|null} storage
+ *        The storage to remove the value from. Any object with the
+ *        `removeItem` method of `Storage` can be used.
+ *
+ * @param {string} key
+ *        The key the value is stored under.
+ */
+export function removeItem(storage, key) {
+  if (!storage) {
+    return;
+  }
+
+  try {
+    storage.removeItem(key);
+  } catch (err) {
+    log.warn(err);
+  }
+}
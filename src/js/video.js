@@ -15,8 +15,10 @@ import Plugin from './plugin';
 import mergeOptions from './utils/merge-options.js';
 import * as Fn from './utils/fn.js';
 import TextTrack from './tracks/text-track.js';
+import { registerFormat as registerTextTrackFormat, getFormat as getTextTrackFormat, createCue } from './tracks/text-track-formats.js';
 import AudioTrack from './tracks/audio-track.js';
 import VideoTrack from './tracks/video-track.js';
+import MediaError from './media-error.js';
 
 import { createTimeRanges } from './utils/time-ranges.js';
 import formatTime, { setFormatTime, resetFormatTime } from './utils/format-time.js';
@@ -31,7 +33,8 @@ import xhr from 'xhr';
 
 // Include the built-in techs
 import Tech from './tech/tech.js';
-import { use as middlewareUse, TERMINATOR } from './tech/middleware.js';
+import { use as middlewareUse, TERMINATOR, allowGetter, allowSetter, allowMediator } from './tech/middleware.js';
+import timeOffset from './tech/time-offset.js';
 
 /**
  * Normalize an `id` value by trimming off a leading `#`
@@ -93,6 +96,8 @@ const normalizeId = (id) => id.indexOf('#') === 0 ? id.slice(1) : id;
  * @borrows module:format-time.formatTime as formatTime
  * @borrows module:format-time.resetFormatTime as resetFormatTime
  * @borrows module:format-time.setFormatTime as setFormatTime
+ * @borrows MediaError as MediaError
+ * @borrows MediaError.registerError as registerError
  * @borrows module:merge-options.mergeOptions as mergeOptions
  * @borrows module:middleware.use as use
  * @borrows Player.players as players
@@ -104,6 +109,9 @@ const normalizeId = (id) => id.indexOf('#') === 0 ? id.slice(1) : id;
  * @borrows Tech.getTech as getTech
  * @borrows Tech.registerTech as registerTech
  * @borrows TextTrack as TextTrack
+ * @borrows module:text-track-formats.registerFormat as registerTextTrackFormat
+ * @borrows module:text-track-formats.getFormat as getTextTrackFormat
+ * @borrows module:text-track-formats.createCue as createTextTrackCue
  * @borrows module:time-ranges.createTimeRanges as createTimeRange
  * @borrows module:time-ranges.createTimeRanges as createTimeRanges
  * @borrows module:url.isCrossOrigin as isCrossOrigin
@@ -417,6 +425,14 @@ Object.defineProperty(videojs.middleware, 'TERMINATOR', {
   enumerable: true
 });
 
+// Let middleware intercept more methods of the tech
+videojs.middleware.allowGetter = allowGetter;
+videojs.middleware.allowSetter = allowSetter;
+videojs.middleware.allowMediator = allowMediator;
+
+// Clip sources that have a `startTime` or an `endTime`
+middlewareUse('*', timeOffset);
+
 /**
  * A reference to the {@link module:browser|browser utility module} as an object.
  *
@@ -520,8 +536,13 @@ videojs.trigger = Events.trigger;
 videojs.xhr = xhr;
 
 videojs.TextTrack = TextTrack;
+videojs.registerTextTrackFormat = registerTextTrackFormat;
+videojs.getTextTrackFormat = getTextTrackFormat;
+videojs.createTextTrackCue = createCue;
 videojs.AudioTrack = AudioTrack;
 videojs.VideoTrack = VideoTrack;
+videojs.MediaError = MediaError;
+videojs.registerError = MediaError.registerError;
 
 [
   'isEl',
@@ -343,9 +343,13 @@ QUnit.test('should dispose of component and children', function(assert) {
     bubbles = event.bubbles;
   });
 
+  assert.notOk(comp.isDisposed(), 'component is not disposed yet');
+
   comp.dispose();
 
   assert.ok(hasDisposed, 'component fired dispose event');
+  assert.ok(comp.isDisposed(), 'component is disposed');
+  assert.ok(child.isDisposed(), 'child is disposed');
   assert.ok(bubbles === false, 'dispose event does not bubble');
   assert.ok(!comp.children(), 'component children were deleted');
   assert.ok(!comp.el(), 'component element was deleted');
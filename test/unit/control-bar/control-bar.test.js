@@ -0,0 +1,124 @@
+/* eslint-env qunit */
+import TestHelpers from '../test-helpers.js';
+import Component from '../../../src/js/component.js';
+import sinon from 'sinon';
+
+const childNames = (controlBar) => controlBar.children().map((child) => child.name());
+
+QUnit.module('ControlBar', {
+  beforeEach() {
+    this.clock = sinon.useFakeTimers();
+    this.currentWidth = 1000;
+    this.player = TestHelpers.makePlayer({
+      controlBar: {
+        children: ['playToggle', 'volumePanel', 'progressControl', 'fullscreenToggle'],
+        layouts: {
+          small: ['playToggle', 'progressControl', 'fullscreenToggle'],
+          tiny: ['fullscreenToggle', {name: 'remainingTimeDisplay'}, 'playToggle']
+        }
+      }
+    });
+    this.player.currentWidth = () => this.currentWidth;
+    this.controlBar = this.player.controlBar;
+  },
+  afterEach() {
+    this.player.dispose();
+    this.clock.restore();
+  }
+});
+
+QUnit.test('layouts are only used by responsive players', function(assert) {
+  this.currentWidth = 400;
+  this.player.trigger('playerresize');
+
+  assert.deepEqual(
+    childNames(this.controlBar),
+    ['PlayToggle', 'VolumePanel', 'ProgressControl', 'FullscreenToggle'],
+    'the default children are shown'
+  );
+});
+
+QUnit.test('applies the layout of the current breakpoint', function(assert) {
+  const playToggle = this.controlBar.getChild('playToggle');
+  const volumePanel = this.controlBar.getChild('volumePanel');
+
+  this.player.responsive(true);
+  this.currentWidth = 400;
+  this.player.trigger('playerresize');
+
+  assert.deepEqual(
+    childNames(this.controlBar),
+    ['PlayToggle', 'ProgressControl', 'FullscreenToggle'],
+    'the small layout is shown'
+  );
+  assert.notOk(this.controlBar.el().contains(volumePanel.el()), 'the removed child is not in the DOM');
+  assert.ok(volumePanel.el(), 'the removed child is not disposed');
+
+  this.currentWidth = 200;
+  this.player.trigger('playerresize');
+
+  assert.deepEqual(
+    childNames(this.controlBar),
+    ['FullscreenToggle', 'RemainingTimeDisplay', 'PlayToggle'],
+    'the tiny layout is shown, creating missing children'
+  );
+  assert.strictEqual(this.controlBar.getChild('playToggle'), playToggle, 'children that stay are not recreated');
+  assert.strictEqual(this.controlBar.el().lastChild, playToggle.el(), 'children are reordered in the DOM');
+
+  this.currentWidth = 1000;
+  this.player.trigger('playerresize');
+
+  assert.deepEqual(
+    childNames(this.controlBar),
+    ['PlayToggle', 'VolumePanel', 'ProgressControl', 'FullscreenToggle'],
+    'the default children are shown without a layout'
+  );
+  assert.strictEqual(this.controlBar.getChild('volumePanel'), volumePanel, 'removed children are reused');
+});
+
+QUnit.test('children added by other code stay behind the child they follow', function(assert) {
+  const Spacer = Component.getComponent('CustomControlSpacer');
+  const custom = this.controlBar.addChild(new Spacer(this.player, {name: 'CustomSpacer'}), {}, 1);
+
+  this.player.responsive(true);
+  this.currentWidth = 200;
+  this.player.trigger('playerresize');
+
+  assert.deepEqual(
+    childNames(this.controlBar),
+    ['FullscreenToggle', 'RemainingTimeDisplay', 'PlayToggle', 'CustomSpacer'],
+    'the custom child follows the play toggle'
+  );
+  assert.strictEqual(this.controlBar.el().lastChild, custom.el(), 'the DOM follows the order');
+});
+
+QUnit.test('disposes children that are not part of the current layout', function(assert) {
+  const volumePanel = this.controlBar.getChild('volumePanel');
+
+  this.player.responsive(true);
+  this.currentWidth = 400;
+  this.player.trigger('playerresize');
+  this.player.removeChild(this.controlBar);
+  this.controlBar.dispose();
+
+  assert.notOk(volumePanel.el(), 'the removed child was disposed');
+});
+
+QUnit.test('does not change the options of a layout', function(assert) {
+  const child = {name: 'remainingTimeDisplay'};
+  const player = TestHelpers.makePlayer({
+    responsive: true,
+    controlBar: {
+      children: ['playToggle'],
+      layouts: {tiny: [child, 'playToggle']}
+    }
+  });
+
+  player.currentWidth = () => 200;
+  player.trigger('playerresize');
+
+  assert.ok(player.controlBar.getChild('remainingTimeDisplay'), 'the child of the layout is created');
+  assert.deepEqual(child, {name: 'remainingTimeDisplay'}, 'the options of the layout are the same');
+
+  player.dispose();
+});
@@ -0,0 +1,94 @@
+/* eslint-env qunit */
+import TestHelpers from '../test-helpers.js';
+import Button from '../../../src/js/button.js';
+import Component from '../../../src/js/component.js';
+import sinon from 'sinon';
+
+Component.registerComponent('LowButton', class extends Button {});
+Component.registerComponent('HighButton', class extends Button {});
+
+const names = (components) => components.map((component) => component.name());
+const childNames = (component) => names(component.children());
+
+QUnit.module('OverflowMenuButton', {
+  beforeEach() {
+    this.clock = sinon.useFakeTimers();
+    this.player = TestHelpers.makePlayer({
+      controlBar: {
+        children: ['playToggle', 'highButton', 'lowButton', 'overflowMenuButton', 'fullscreenToggle'],
+        overflowMenuButton: {
+          priorities: {
+            lowButton: 1,
+            highButton: 2
+          }
+        }
+      }
+    });
+    this.controlBar = this.player.controlBar;
+    this.button = this.controlBar.getChild('OverflowMenuButton');
+
+    // every visible control is 40px wide
+    this.width = 200;
+    Object.defineProperty(this.controlBar.el(), 'clientWidth', {
+      get: () => this.width
+    });
+    Object.defineProperty(this.controlBar.el(), 'scrollWidth', {
+      get: () => this.controlBar.children().filter((child) => !child.hasClass('vjs-hidden')).length * 40
+    });
+  },
+  afterEach() {
+    this.player.dispose();
+    this.clock.restore();
+  }
+});
+
+QUnit.test('is hidden while all controls fit', function(assert) {
+  this.player.trigger('playerresize');
+
+  assert.ok(this.button.hasClass('vjs-hidden'), 'the button is hidden');
+  assert.deepEqual(names(this.button.overflowedControls()), [], 'no controls were moved');
+});
+
+QUnit.test('moves controls into the menu by priority and back', function(assert) {
+  const low = this.controlBar.getChild('LowButton');
+
+  // the button takes as much room as one control, so two have to be moved
+  this.width = 150;
+  this.player.trigger('playerresize');
+
+  assert.notOk(this.button.hasClass('vjs-hidden'), 'the button is shown');
+  assert.deepEqual(names(this.button.overflowedControls()), ['LowButton', 'HighButton'], 'the controls were moved, lowest priority first');
+  assert.ok(this.button.menu.el().contains(low.el()), 'the control is in the menu');
+  assert.deepEqual(
+    childNames(this.controlBar),
+    ['PlayToggle', 'OverflowMenuButton', 'FullscreenToggle'],
+    'the controls were removed from the control bar'
+  );
+
+  this.width = 80;
+  this.player.trigger('playerresize');
+
+  assert.deepEqual(names(this.button.overflowedControls()), ['LowButton', 'HighButton'], 'controls without a priority stay');
+
+  this.width = 200;
+  this.player.trigger('playerresize');
+
+  assert.ok(this.button.hasClass('vjs-hidden'), 'the button is hidden again');
+  assert.deepEqual(
+    childNames(this.controlBar),
+    ['PlayToggle', 'HighButton', 'LowButton', 'OverflowMenuButton', 'FullscreenToggle'],
+    'the controls are back in their places'
+  );
+  assert.strictEqual(this.controlBar.el().children[2], low.el(), 'the DOM is restored as well');
+});
+
+QUnit.test('hidden controls and controls without a priority are not moved', function(assert) {
+  this.controlBar.getChild('LowButton').hide();
+  this.button.options_.priorities.highButton = false;
+
+  this.width = 120;
+  this.player.trigger('playerresize');
+
+  assert.deepEqual(names(this.button.overflowedControls()), [], 'no controls were moved');
+  assert.ok(this.button.hasClass('vjs-hidden'), 'the button stays hidden');
+});
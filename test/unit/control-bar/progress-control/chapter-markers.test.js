@@ -0,0 +1,184 @@
+/* eslint-env qunit */
+import sinon from 'sinon';
+import TestHelpers from '../../test-helpers.js';
+
+QUnit.module('ChapterMarkers', {
+  beforeEach(assert) {
+    this.clock = sinon.useFakeTimers();
+    this.player = TestHelpers.makePlayer();
+    this.player.duration(40);
+    this.chapterMarkers = this.player.controlBar.progressControl.seekBar.chapterMarkers;
+  },
+  afterEach(assert) {
+    this.player.dispose();
+    this.clock.restore();
+  }
+});
+
+const addChapters = (track) => {
+  track.addCue({
+    startTime: 0,
+    endTime: 10,
+    text: 'Chapter 1'
+  });
+  track.addCue({
+    startTime: 10,
+    endTime: 30,
+    text: 'Chapter 2'
+  });
+  track.addCue({
+    startTime: 30,
+    endTime: 40,
+    text: 'Chapter 3'
+  });
+};
+
+QUnit.test('is hidden without a chapters track', function(assert) {
+  assert.ok(this.chapterMarkers.hasClass('vjs-hidden'), 'markers are hidden');
+  assert.strictEqual(this.chapterMarkers.$$('.vjs-chapter-marker').length, 0, 'no markers were drawn');
+});
+
+QUnit.test('draws a marker at the start of each chapter', function(assert) {
+  const track = this.player.addTextTrack('chapters', 'Chapters', 'en');
+
+  addChapters(track);
+  this.chapterMarkers.update();
+
+  const markers = this.chapterMarkers.$$('.vjs-chapter-marker');
+
+  assert.notOk(this.chapterMarkers.hasClass('vjs-hidden'), 'markers are shown');
+  assert.strictEqual(markers.length, 2, 'no marker was drawn at the start of the media');
+  assert.strictEqual(markers[0].style.left, '25%', 'the first marker is at 25%');
+  assert.strictEqual(markers[1].style.left, '75%', 'the second marker is at 75%');
+});
+
+QUnit.test('redraws markers when the duration changes', function(assert) {
+  const track = this.player.addTextTrack('chapters', 'Chapters', 'en');
+
+  addChapters(track);
+  this.chapterMarkers.update();
+
+  this.player.duration(80);
+
+  const markers = this.chapterMarkers.$$('.vjs-chapter-marker');
+
+  assert.strictEqual(markers[0].style.left, '12.5%', 'the first marker moved');
+  assert.strictEqual(markers[1].style.left, '37.5%', 'the second marker moved');
+});
+
+QUnit.test('switches to the last chapters track when tracks are added or removed', function(assert) {
+  const first = this.player.addTextTrack('chapters', 'First', 'en');
+  const second = this.player.addTextTrack('chapters', 'Second', 'en');
+
+  addChapters(first);
+  this.chapterMarkers.update();
+
+  assert.strictEqual(this.chapterMarkers.track_, second, 'the last chapters track is used');
+  assert.strictEqual(this.chapterMarkers.$$('.vjs-chapter-marker').length, 0, 'no markers for a track without cues');
+
+  this.player.textTracks().removeTrack(second);
+
+  assert.strictEqual(this.chapterMarkers.track_, first, 'the remaining chapters track is used');
+  assert.strictEqual(this.chapterMarkers.$$('.vjs-chapter-marker').length, 2, 'markers were drawn');
+});
+
+QUnit.test('getChapterAt returns the chapter cue for a time', function(assert) {
+  const track = this.player.addTextTrack('chapters', 'Chapters', 'en');
+
+  addChapters(track);
+  this.chapterMarkers.update();
+
+  assert.strictEqual(this.chapterMarkers.getChapterAt(5).text, 'Chapter 1', 'found the first chapter');
+  assert.strictEqual(this.chapterMarkers.getChapterAt(10).text, 'Chapter 2', 'found the second chapter at its start');
+  assert.strictEqual(this.chapterMarkers.getChapterAt(45), null, 'no chapter after the end');
+});
+
+QUnit.test('the progress control passes the hovered chapter title to the mouse time display', function(assert) {
+  const progressControl = this.player.controlBar.progressControl;
+  const mouseTimeDisplay = progressControl.seekBar.mouseTimeDisplay;
+  const update = sinon.stub(mouseTimeDisplay, 'update');
+
+  sinon.stub(this.chapterMarkers, 'getChapterAt').returns({text: 'Chapter 1'});
+
+  // let the throttled mousemove handler run
+  this.clock.tick(30);
+  progressControl.handleMouseMove({pageX: 0, pageY: 0});
+
+  assert.ok(update.calledOnce, 'the mouse time display was updated');
+  assert.strictEqual(update.firstCall.args[2], 'Chapter 1', 'with the chapter title');
+});
+
+QUnit.test('the time tooltip shows the chapter title next to the time', function(assert) {
+  const timeTooltip = this.player.controlBar.progressControl.seekBar.playProgressBar.timeTooltip;
+
+  // PlayProgressBar has no TimeTooltip on mobile devices
+  if (!timeTooltip) {
+    assert.expect(0);
+    return;
+  }
+
+  timeTooltip.update({left: 0, right: 100, width: 100}, 0.5, '0:20', 'Chapter 2');
+
+  const chapterEl = timeTooltip.el().querySelector('.vjs-time-tooltip-chapter');
+
+  assert.ok(chapterEl, 'the chapter title was added');
+  assert.strictEqual(chapterEl.textContent, 'Chapter 2', 'with the chapter title');
+  assert.strictEqual(timeTooltip.el().textContent, '0:20Chapter 2', 'after the time');
+
+  timeTooltip.update({left: 0, right: 100, width: 100}, 0.5, '0:20');
+
+  assert.notOk(timeTooltip.el().querySelector('.vjs-time-tooltip-chapter'), 'the chapter title was removed');
+});
+
+QUnit.test('the time tooltip is kept within the player with the chapter title', function(assert) {
+  const timeTooltip = this.player.controlBar.progressControl.seekBar.playProgressBar.timeTooltip;
+
+  // PlayProgressBar has no TimeTooltip on mobile devices
+  if (!timeTooltip) {
+    assert.expect(0);
+    return;
+  }
+
+  this.player.el().getBoundingClientRect = () => ({left: 0, right: 300, width: 300});
+  timeTooltip.el().getBoundingClientRect = () => {
+    const width = timeTooltip.el().querySelector('.vjs-time-tooltip-chapter') ? 120 : 40;
+
+    return {left: 0, right: width, width};
+  };
+
+  timeTooltip.update({left: 0, right: 300, width: 300}, 0, '0:00', 'A long chapter title');
+
+  assert.strictEqual(timeTooltip.el().style.right, '-120px', 'the tooltip was measured with the chapter title');
+});
+
+QUnit.test('redraws markers when chapters are added to or removed from the track', function(assert) {
+  const track = this.player.addTextTrack('chapters', 'Chapters', 'en');
+
+  addChapters(track);
+
+  const cue = {
+    startTime: 35,
+    endTime: 40,
+    text: 'Chapter 4'
+  };
+
+  track.addCue(cue);
+
+  let markers = this.chapterMarkers.$$('.vjs-chapter-marker');
+
+  assert.strictEqual(markers.length, 3, 'a marker was drawn for the new chapter');
+  assert.strictEqual(markers[2].style.left, '87.5%', 'at the start of the new chapter');
+
+  // moving a chapter keeps the number of cues
+  track.removeCue(cue);
+  track.addCue({
+    startTime: 20,
+    endTime: 30,
+    text: 'Chapter 4'
+  });
+
+  markers = this.chapterMarkers.$$('.vjs-chapter-marker');
+
+  assert.strictEqual(markers.length, 3, 'the marker of the removed chapter was removed');
+  assert.strictEqual(markers[2].style.left, '50%', 'a marker was drawn for the moved chapter');
+});
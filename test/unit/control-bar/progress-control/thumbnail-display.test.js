@@ -0,0 +1,132 @@
+/* eslint-env qunit */
+import sinon from 'sinon';
+import TestHelpers from '../../test-helpers.js';
+
+QUnit.module('ThumbnailDisplay', {
+  beforeEach(assert) {
+    this.clock = sinon.useFakeTimers();
+    this.player = TestHelpers.makePlayer();
+    this.player.duration(20);
+    this.thumbnailDisplay = this.player.controlBar.progressControl.seekBar.mouseTimeDisplay.thumbnailDisplay;
+    this.seekBarRect = {left: 0, right: 100, width: 100};
+  },
+  afterEach(assert) {
+    this.player.dispose();
+    this.clock.restore();
+  }
+});
+
+const addThumbnails = (track) => {
+  track.addCue({
+    startTime: 0,
+    endTime: 10,
+    text: 'http://example.com/sprite.jpg#xywh=0,0,160,90'
+  });
+  track.addCue({
+    startTime: 10,
+    endTime: 20,
+    text: 'http://example.com/sprite.jpg#xywh=160,0,160,90'
+  });
+};
+
+QUnit.test('is hidden without a thumbnails track', function(assert) {
+  this.thumbnailDisplay.update(this.seekBarRect, 0.5, 10);
+
+  assert.ok(this.thumbnailDisplay.hasClass('vjs-hidden'), 'the thumbnail is hidden');
+});
+
+QUnit.test('uses the last metadata track labelled "thumbnails"', function(assert) {
+  this.player.addTextTrack('metadata', 'ads', 'en');
+  this.player.addTextTrack('metadata', 'thumbnails', 'en');
+
+  const track = this.player.addTextTrack('metadata', 'Thumbnails', 'en');
+
+  this.player.addTextTrack('chapters', 'thumbnails', 'en');
+
+  assert.strictEqual(this.thumbnailDisplay.track_, track, 'the thumbnails track was picked up');
+  assert.strictEqual(track.mode, 'hidden', 'the track was enabled so its cues are available');
+});
+
+QUnit.test('getThumbnailAt parses media fragments', function(assert) {
+  const track = this.player.addTextTrack('metadata', 'thumbnails', 'en');
+
+  addThumbnails(track);
+  track.addCue({
+    startTime: 20,
+    endTime: 30,
+    text: 'http://example.com/poster.jpg'
+  });
+
+  assert.deepEqual(this.thumbnailDisplay.getThumbnailAt(12), {
+    url: 'http://example.com/sprite.jpg',
+    x: 160,
+    y: 0,
+    width: 160,
+    height: 90
+  }, 'parsed the region of the sprite');
+  assert.deepEqual(this.thumbnailDisplay.getThumbnailAt(25), {
+    url: 'http://example.com/poster.jpg'
+  }, 'an image without a region is used whole');
+  assert.strictEqual(this.thumbnailDisplay.getThumbnailAt(35), null, 'no thumbnail after the last cue');
+});
+
+QUnit.test('relative image urls are resolved against the track url', function(assert) {
+  const track = this.player.addTextTrack('metadata', 'thumbnails', 'en');
+
+  track.src = 'http://example.com/thumbs/thumbnails.vtt';
+  track.addCue({
+    startTime: 0,
+    endTime: 10,
+    text: 'sprite.jpg#xywh=0,0,160,90'
+  });
+
+  assert.strictEqual(this.thumbnailDisplay.getThumbnailAt(5).url, 'http://example.com/thumbs/sprite.jpg', 'the url was resolved');
+});
+
+QUnit.test('update shows the sprite region for a time', function(assert) {
+  const track = this.player.addTextTrack('metadata', 'thumbnails', 'en');
+  const style = this.thumbnailDisplay.el().style;
+
+  addThumbnails(track);
+
+  this.thumbnailDisplay.update(this.seekBarRect, 0.75, 15);
+
+  assert.notOk(this.thumbnailDisplay.hasClass('vjs-hidden'), 'the thumbnail is shown');
+  assert.ok(style.backgroundImage.indexOf('http://example.com/sprite.jpg') !== -1, 'the sprite is the background');
+  assert.strictEqual(style.backgroundPosition, '-160px 0px', 'the region is selected');
+  assert.strictEqual(style.width, '160px', 'the width is set');
+  assert.strictEqual(style.height, '90px', 'the height is set');
+
+  this.player.duration(40);
+  this.thumbnailDisplay.update(this.seekBarRect, 0.75, 30);
+
+  assert.ok(this.thumbnailDisplay.hasClass('vjs-hidden'), 'the thumbnail is hidden without a cue');
+});
+
+QUnit.test('the mouse time display updates the thumbnail', function(assert) {
+  const mouseTimeDisplay = this.player.controlBar.progressControl.seekBar.mouseTimeDisplay;
+  const update = sinon.spy(this.thumbnailDisplay, 'update');
+
+  // run the animation frame callback of the time tooltip right away
+  sinon.stub(mouseTimeDisplay.timeTooltip, 'updateTime', (seekBarRect, seekBarPoint, time, cb) => cb());
+
+  // let the throttled update run
+  this.clock.tick(30);
+  mouseTimeDisplay.update(this.seekBarRect, 0.5);
+
+  assert.ok(update.calledOnce, 'the thumbnail was updated');
+  assert.deepEqual(update.firstCall.args, [this.seekBarRect, 0.5, 10], 'for the time at the point');
+});
+
+QUnit.test('touch scrubbing updates the mouse time display', function(assert) {
+  const progressControl = this.player.controlBar.progressControl;
+  const handleMouseMove = sinon.stub(progressControl, 'handleMouseMove');
+
+  sinon.stub(progressControl.seekBar, 'handleMouseMove');
+
+  progressControl.handleMouseSeek({type: 'touchmove'});
+  assert.ok(handleMouseMove.calledOnce, 'the mouse time display is updated on touchmove');
+
+  progressControl.handleMouseSeek({type: 'mousemove'});
+  assert.ok(handleMouseMove.calledOnce, 'mousemove is already handled');
+});
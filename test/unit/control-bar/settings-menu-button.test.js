@@ -0,0 +1,74 @@
+/* eslint-env qunit */
+import TestHelpers from '../test-helpers.js';
+import AudioTrack from '../../../src/js/tracks/audio-track.js';
+import * as Events from '../../../src/js/utils/events.js';
+
+const labels = (menu) => menu.children().map((item) => item.options_.label);
+
+QUnit.module('SettingsMenuButton', {
+  beforeEach() {
+    this.player = TestHelpers.makePlayer({
+      playbackRates: [1, 2],
+      controlBar: {
+        children: ['settingsMenuButton']
+      }
+    });
+    this.button = this.player.controlBar.getChild('SettingsMenuButton');
+  },
+  afterEach() {
+    this.player.dispose();
+  }
+});
+
+QUnit.test('only shows sections with more than one option', function(assert) {
+  assert.notOk(this.button.hasClass('vjs-hidden'), 'the button is shown');
+  assert.deepEqual(labels(this.button.menu), ['Playback Rate'], 'only the playback rate section is shown');
+
+  this.player.audioTracks().addTrack(new AudioTrack({label: 'English', enabled: true}));
+  assert.deepEqual(labels(this.button.menu), ['Playback Rate'], 'a single audio track is not a choice');
+
+  this.player.audioTracks().addTrack(new AudioTrack({label: 'French'}));
+  assert.deepEqual(labels(this.button.menu), ['Audio Track', 'Playback Rate'], 'the audio track section is shown');
+
+  this.player.qualityLevels().addQualityLevel({height: 720});
+  this.player.qualityLevels().addQualityLevel({height: 360});
+  assert.deepEqual(labels(this.button.menu), ['Audio Track', 'Playback Rate', 'Quality'], 'the quality section is shown');
+});
+
+QUnit.test('is hidden without any sections to show', function(assert) {
+  this.player.tech_.featuresPlaybackRate = false;
+  this.player.trigger('loadstart');
+
+  assert.ok(this.button.hasClass('vjs-hidden'), 'the button is hidden');
+});
+
+QUnit.test('opens the panel of a section and goes back to the top when closed', function(assert) {
+  const menu = this.button.menu;
+
+  this.button.pressButton();
+  Events.trigger(menu.children()[0].el(), 'click');
+
+  assert.deepEqual(labels(menu), ['Playback Rate', '2x', '1x'], 'the panel has the items of the section');
+  assert.ok(this.button.buttonPressed_, 'opening a panel keeps the menu open');
+
+  Events.trigger(menu.children()[1].el(), 'click');
+
+  assert.strictEqual(this.player.playbackRate(), 2, 'the item of the section works');
+  assert.notOk(this.button.buttonPressed_, 'choosing an item closes the menu');
+  assert.deepEqual(labels(menu), ['Playback Rate'], 'the menu is back at the top');
+});
+
+QUnit.test('counts the text tracks of a section and creates its items when opened', function(assert) {
+  this.player.addTextTrack('captions', 'English', 'en');
+  assert.deepEqual(labels(this.button.menu), ['Captions', 'Playback Rate'], 'the captions section is shown');
+
+  this.player.addTextTrack('descriptions', 'English', 'en');
+  assert.deepEqual(labels(this.button.menu), ['Captions', 'Descriptions', 'Playback Rate'], 'the descriptions section is shown');
+
+  const menu = this.button.menu;
+
+  this.button.pressButton();
+  Events.trigger(menu.children()[1].el(), 'click');
+
+  assert.deepEqual(labels(menu), ['Descriptions', 'descriptions off', 'English'], 'the panel has the items of the section');
+});
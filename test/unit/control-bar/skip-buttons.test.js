@@ -0,0 +1,102 @@
+/* eslint-env qunit */
+import TestHelpers from '../test-helpers.js';
+import sinon from 'sinon';
+import log from '../../../src/js/utils/log.js';
+
+QUnit.module('SkipButtons', {
+  beforeEach() {
+    this.player = TestHelpers.makePlayer({
+      controlBar: {
+        skipButtons: {
+          forward: 10,
+          backward: 30
+        }
+      }
+    });
+    this.forward = this.player.controlBar.getChild('SkipForward');
+    this.backward = this.player.controlBar.getChild('SkipBackward');
+
+    this.time = 50;
+    sinon.stub(this.player, 'duration').returns(100);
+    TestHelpers.stubCurrentTime(this.player, this);
+  },
+  afterEach() {
+    this.player.dispose();
+  }
+});
+
+QUnit.test('are hidden without the skipButtons option', function(assert) {
+  const player = TestHelpers.makePlayer();
+
+  assert.ok(player.controlBar.getChild('SkipForward').hasClass('vjs-hidden'), 'skip forward is hidden');
+  assert.ok(player.controlBar.getChild('SkipBackward').hasClass('vjs-hidden'), 'skip backward is hidden');
+
+  player.dispose();
+});
+
+QUnit.test('show the number of seconds they skip by', function(assert) {
+  assert.notOk(this.forward.hasClass('vjs-hidden'), 'skip forward is shown');
+  assert.ok(this.forward.hasClass('vjs-skip-forward-10'), 'skip forward has a class for its step');
+  assert.strictEqual(this.forward.el().querySelector('.vjs-skip-time').textContent, '10', 'skip forward shows its step');
+  assert.strictEqual(this.forward.controlText(), 'Skip forward 10 seconds', 'skip forward has a label');
+  assert.ok(this.backward.hasClass('vjs-skip-backward-30'), 'skip backward has a class for its step');
+  assert.strictEqual(this.backward.controlText(), 'Skip backward 30 seconds', 'skip backward has a label');
+});
+
+QUnit.test('skip within the duration', function(assert) {
+  this.forward.handleClick();
+  assert.strictEqual(this.player.currentTime(), 60, 'skipped forward');
+
+  this.backward.handleClick();
+  this.backward.handleClick();
+  assert.strictEqual(this.player.currentTime(), 0, 'skipped backward to the start');
+
+  this.time = 95;
+  this.forward.handleClick();
+  assert.strictEqual(this.player.currentTime(), 100, 'skipped forward to the end');
+});
+
+QUnit.test('the seek bar steps by the same number of seconds', function(assert) {
+  const seekBar = this.player.controlBar.progressControl.seekBar;
+
+  seekBar.stepForward();
+  assert.strictEqual(this.player.currentTime(), 60, 'stepped forward');
+
+  seekBar.stepBack();
+  assert.strictEqual(this.player.currentTime(), 30, 'stepped back');
+});
+
+QUnit.test('are hidden during live playback that cannot be seeked', function(assert) {
+  const liveTracker = this.player.liveTracker;
+
+  liveTracker.isLive = () => true;
+  liveTracker.isDvr = () => false;
+  liveTracker.trigger('dvrchange');
+
+  assert.ok(this.forward.hasClass('vjs-hidden'), 'skip forward is hidden');
+  assert.ok(this.backward.hasClass('vjs-hidden'), 'skip backward is hidden');
+
+  liveTracker.isDvr = () => true;
+  liveTracker.trigger('dvrchange');
+
+  assert.notOk(this.forward.hasClass('vjs-hidden'), 'skip forward is shown with a seekable window');
+});
+
+QUnit.test('stop listening to the live tracker when the player is disposed', function(assert) {
+  const player = TestHelpers.makePlayer({
+    controlBar: {
+      skipButtons: {
+        forward: 10
+      }
+    }
+  });
+
+  // disposing the live tracker leaves the DVR window, which fires dvrchange
+  player.liveTracker.isDvr_ = true;
+  sinon.spy(log, 'error');
+  player.dispose();
+
+  assert.strictEqual(log.error.callCount, 0, 'the disposed buttons were not updated');
+
+  log.error.restore();
+});
@@ -0,0 +1,40 @@
+/* eslint-env qunit */
+import TestHelpers from '../../test-helpers.js';
+import {createTimeRanges} from '../../../../src/js/utils/time-ranges.js';
+import sinon from 'sinon';
+
+QUnit.module('LiveTimeDisplay', {
+  beforeEach() {
+    this.clock = sinon.useFakeTimers();
+    this.player = TestHelpers.makePlayer({liveui: true});
+    this.display = this.player.controlBar.liveTimeDisplay;
+    this.liveTracker = this.player.liveTracker;
+
+    this.player.seekable = () => createTimeRanges(0, 600);
+    this.player.duration(Infinity);
+  },
+  afterEach() {
+    this.player.dispose();
+    this.clock.restore();
+  }
+});
+
+QUnit.test('is a child of the control bar', function(assert) {
+  assert.ok(this.display, 'the control bar has a live time display');
+  assert.ok(this.display.hasClass('vjs-at-live-edge'), 'it starts at the live edge');
+});
+
+QUnit.test('shows how far behind the live edge the player is', function(assert) {
+  this.liveTracker.behindLiveEdge = () => true;
+  this.player.currentTime = () => 558;
+  this.liveTracker.trigger('liveedgechange');
+  this.clock.tick(30);
+
+  assert.notOk(this.display.hasClass('vjs-at-live-edge'), 'it is behind the live edge');
+  assert.equal(this.display.formattedTime_, '00:42', 'the time behind the live edge is shown');
+
+  this.liveTracker.behindLiveEdge = () => false;
+  this.liveTracker.trigger('liveedgechange');
+
+  assert.ok(this.display.hasClass('vjs-at-live-edge'), 'it is at the live edge again');
+});
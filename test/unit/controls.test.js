@@ -6,6 +6,7 @@ import PlayToggle from '../../src/js/control-bar/play-toggle.js';
 import PlaybackRateMenuButton from '../../src/js/control-bar/playback-rate-menu/playback-rate-menu-button.js';
 import Slider from '../../src/js/slider/slider.js';
 import FullscreenToggle from '../../src/js/control-bar/fullscreen-toggle.js';
+import PictureInPictureToggle from '../../src/js/control-bar/picture-in-picture-toggle.js';
 import ControlBar from '../../src/js/control-bar/control-bar.js';
 import TestHelpers from './test-helpers.js';
 import document from 'global/document';
@@ -158,6 +159,41 @@ QUnit.test('Fullscreen control text should be correct when fullscreenchange is t
   player.dispose();
 });
 
+QUnit.test('Picture-in-Picture control text should be correct when enterpictureinpicture and leavepictureinpicture are triggered', function(assert) {
+  const player = TestHelpers.makePlayer();
+  const pictureInPictureToggle = new PictureInPictureToggle(player);
+
+  player.isInPictureInPicture(true);
+  player.trigger('enterpictureinpicture');
+  assert.equal(pictureInPictureToggle.controlText(), 'Exit Picture-in-Picture', 'Control Text is correct while switching to Picture-in-Picture mode');
+
+  player.isInPictureInPicture(false);
+  player.trigger('leavepictureinpicture');
+  assert.equal(pictureInPictureToggle.controlText(), 'Picture-in-Picture', 'Control Text is correct while switching back to normal mode');
+
+  player.dispose();
+});
+
+QUnit.test('Picture-in-Picture control should hide when the tech does not support it', function(assert) {
+  const player = TestHelpers.makePlayer();
+
+  player.tech_.featuresPictureInPicture = false;
+
+  const pictureInPictureToggle = new PictureInPictureToggle(player);
+
+  assert.ok(pictureInPictureToggle.hasClass('vjs-hidden'), 'control is hidden');
+
+  player.tech_.featuresPictureInPicture = true;
+  player.trigger('loadstart');
+  assert.notOk(pictureInPictureToggle.hasClass('vjs-hidden'), 'control is shown once the tech supports it');
+
+  player.isAudio(true);
+  player.trigger('loadstart');
+  assert.ok(pictureInPictureToggle.hasClass('vjs-hidden'), 'control is hidden for audio players');
+
+  player.dispose();
+});
+
 QUnit.test('Clicking MuteToggle when volume is above 0 should toggle muted property and not change volume', function(assert) {
   const player = TestHelpers.makePlayer({ techOrder: ['html5'] });
   const muteToggle = new MuteToggle(player);
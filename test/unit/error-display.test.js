@@ -0,0 +1,108 @@
+/* eslint-env qunit */
+import TestHelpers from './test-helpers.js';
+import sinon from 'sinon';
+import Button from '../../src/js/button.js';
+
+QUnit.module('ErrorDisplay', {
+  beforeEach() {
+    this.player = TestHelpers.makePlayer();
+    this.player.src({src: 'http://example.com/video.mp4', type: 'video/mp4'});
+    this.errorDisplay = this.player.errorDisplay;
+    this.text = (className) => {
+      const el = this.errorDisplay.contentEl().querySelector(`.${className}`);
+
+      return el && el.textContent;
+    };
+  },
+  afterEach() {
+    this.player.dispose();
+  }
+});
+
+QUnit.test('shows the headline, message, help and code of the error', function(assert) {
+  this.player.error(2);
+
+  assert.strictEqual(this.text('vjs-error-headline'), 'Network Error', 'the headline is shown');
+  assert.strictEqual(this.text('vjs-error-message'), 'A network error caused the media download to fail part-way.', 'the message is shown');
+  assert.strictEqual(this.text('vjs-error-help'), 'Check your connection and try again.', 'the help is shown');
+  assert.strictEqual(this.text('vjs-error-code'), 'Error code: 2', 'the code is shown');
+});
+
+QUnit.test('custom errors only show their message', function(assert) {
+  this.player.error('Something went wrong.');
+
+  assert.strictEqual(this.text('vjs-error-headline'), null, 'there is no headline');
+  assert.strictEqual(this.text('vjs-error-message'), 'Something went wrong.', 'the message is shown');
+  assert.strictEqual(this.text('vjs-error-code'), null, 'there is no code');
+  assert.strictEqual(this.text('vjs-error-retry'), null, 'there is no retry button');
+});
+
+QUnit.test('recoverable errors can be retried', function(assert) {
+  sinon.stub(this.player, 'retry');
+
+  this.player.error(3);
+  assert.strictEqual(this.text('vjs-error-retry'), null, 'there is no retry button for errors that are not recoverable');
+
+  this.player.error(null);
+  this.player.error(2);
+
+  const retryEl = this.errorDisplay.contentEl().querySelector('.vjs-error-retry');
+  const retryButton = this.errorDisplay.getChild('RetryButton');
+
+  assert.strictEqual(retryEl.textContent, 'Retry', 'there is a retry button');
+  assert.ok(retryButton instanceof Button, 'the retry button is a button component');
+  assert.strictEqual(retryButton.el(), retryEl, 'the retry button component is shown');
+
+  retryEl.click();
+
+  assert.ok(this.player.retry.calledOnce, 'the player retried');
+});
+
+QUnit.test('retry clears the error and loads the sources again', function(assert) {
+  const sources = this.player.currentSources();
+
+  this.player.error(2);
+
+  sinon.spy(this.player, 'src');
+  sinon.stub(this.player, 'play');
+  this.player.retry();
+
+  assert.strictEqual(this.player.error(), null, 'the error was cleared');
+  assert.notOk(this.errorDisplay.opened(), 'the error display was closed');
+  assert.deepEqual(this.player.src.firstCall.args[0], sources, 'the sources were loaded again');
+  assert.ok(this.player.play.calledOnce, 'playback started again');
+});
+
+QUnit.test('retry only continues from where playback stopped in the retried sources', function(assert) {
+  const seeks = [];
+
+  sinon.stub(this.player, 'play');
+  sinon.stub(this.player, 'currentTime', (time) => {
+    if (time === undefined) {
+      return 30;
+    }
+    seeks.push(time);
+  });
+
+  this.player.error(2);
+  this.player.retry();
+  this.player.trigger('loadstart');
+  this.player.trigger('loadedmetadata');
+  assert.deepEqual(seeks, [30], 'the retried sources continue from where playback stopped');
+
+  this.player.trigger('loadedmetadata');
+  assert.deepEqual(seeks, [30], 'they only do so once');
+
+  this.player.error(2);
+  this.player.retry();
+  this.player.error(2);
+  this.player.trigger('loadedmetadata');
+  assert.deepEqual(seeks, [30], 'sources that fail again give up on it');
+
+  this.player.error(null);
+  this.player.retry();
+  this.player.src({src: 'http://example.com/other.mp4', type: 'video/mp4'});
+  this.player.trigger('loadstart');
+  this.player.trigger('loadedmetadata');
+  assert.deepEqual(seeks, [30], 'other media does not continue from there');
+});
@@ -0,0 +1,125 @@
+/* eslint-env qunit */
+import TestHelpers from './test-helpers.js';
+import sinon from 'sinon';
+
+QUnit.module('GestureLayer', {
+  beforeEach() {
+    this.clock = sinon.useFakeTimers();
+    this.player = TestHelpers.makePlayer({
+      controls: true,
+      gestureLayer: true
+    });
+    this.clock.tick(1);
+
+    // the player is 300x150 at the top left of the page
+    Object.defineProperty(this.player.el(), 'offsetWidth', {value: 300});
+    Object.defineProperty(this.player.el(), 'offsetHeight', {value: 150});
+
+    this.time = 50;
+    sinon.stub(this.player, 'duration').returns(100);
+    TestHelpers.stubCurrentTime(this.player, this);
+
+    this.touch = (type, pageX, pageY) => {
+      const touches = type === 'touchend' ? [] : [{pageX, pageY}];
+
+      this.player.tech_.trigger({type, touches, changedTouches: [{pageX, pageY}]});
+    };
+    this.tap = (pageX) => {
+      this.touch('touchstart', pageX, 75);
+      this.touch('touchend', pageX, 75);
+    };
+  },
+  afterEach() {
+    this.player.dispose();
+    this.clock.restore();
+  }
+});
+
+QUnit.test('is only added with the gestureLayer option', function(assert) {
+  const player = TestHelpers.makePlayer();
+
+  assert.notOk(player.getChild('GestureLayer'), 'there is no gesture layer by default');
+  assert.notOk(player.hasClass('vjs-gestures'), 'the player has no gestures class');
+  assert.ok(this.player.getChild('GestureLayer'), 'the gesture layer was added');
+  assert.ok(this.player.hasClass('vjs-gestures'), 'the player has the gestures class');
+
+  player.dispose();
+});
+
+QUnit.test('double taps on the sides seek', function(assert) {
+  const userActive = this.player.userActive();
+
+  this.tap(280);
+  this.clock.tick(100);
+  this.tap(280);
+
+  assert.strictEqual(this.time, 60, 'a double tap on the right seeks forward');
+  assert.ok(this.player.el().querySelector('.vjs-gesture-ripple-forward.vjs-gesture-ripple-showing'), 'the ripple is shown');
+
+  this.clock.tick(100);
+  this.tap(280);
+
+  assert.strictEqual(this.time, 70, 'another tap seeks again');
+  assert.strictEqual(this.player.el().querySelector('.vjs-gesture-ripple-forward').textContent, '20 seconds', 'the ripple adds up the seconds');
+
+  this.clock.tick(1000);
+  this.tap(20);
+  this.clock.tick(100);
+  this.tap(20);
+
+  assert.strictEqual(this.time, 60, 'a double tap on the left seeks backward');
+  assert.strictEqual(this.player.userActive(), userActive, 'double taps do not toggle the controls');
+});
+
+QUnit.test('single taps still toggle the controls', function(assert) {
+  const userActive = this.player.userActive();
+
+  this.tap(280);
+  assert.strictEqual(this.player.userActive(), userActive, 'a tap on the side waits for a second tap');
+
+  this.clock.tick(300);
+  assert.strictEqual(this.player.userActive(), !userActive, 'the controls were toggled');
+  assert.strictEqual(this.time, 50, 'did not seek');
+
+  this.tap(150);
+  assert.strictEqual(this.player.userActive(), userActive, 'a tap in the middle toggles the controls at once');
+});
+
+QUnit.test('horizontal swipes scrub with a preview', function(assert) {
+  const preview = this.player.el().querySelector('.vjs-gesture-preview');
+
+  this.touch('touchstart', 100, 75);
+  this.touch('touchmove', 250, 80);
+
+  assert.strictEqual(preview.textContent, '1:20', 'the preview shows the time');
+  assert.strictEqual(this.time, 50, 'did not seek yet');
+
+  this.touch('touchend', 250, 80);
+
+  assert.strictEqual(this.time, 80, 'seeked to the time in the preview');
+});
+
+QUnit.test('vertical swipes change the volume', function(assert) {
+  this.player.volume(0.5);
+
+  this.touch('touchstart', 150, 100);
+  this.touch('touchmove', 155, 70);
+
+  assert.strictEqual(this.player.volume(), 0.7, 'swiping up turned the volume up');
+  this.touch('touchend', 155, 70);
+
+  this.touch('touchstart', 150, 30);
+  this.touch('touchmove', 155, 150);
+
+  assert.strictEqual(this.player.volume(), 0, 'swiping down turned the volume down');
+  assert.ok(this.player.muted(), 'the player is muted');
+  this.touch('touchend', 155, 150);
+
+  this.player.tech_.featuresVolumeControl = false;
+  this.player.muted(false);
+  this.player.volume(0.5);
+  this.touch('touchstart', 150, 100);
+  this.touch('touchmove', 155, 70);
+
+  assert.strictEqual(this.player.volume(), 0.5, 'the volume is not changed if the tech does not allow it');
+});
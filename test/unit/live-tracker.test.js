@@ -194,4 +194,171 @@ QUnit.module('LiveTracker', () => {
     assert.strictEqual(this.liveTracker.seekableEnd(), Infinity, 'seekableEnd is Infinity');
   });
 
+  QUnit.module('dvr', {
+    beforeEach() {
+      this.clock = sinon.useFakeTimers();
+
+      this.player = TestHelpers.makePlayer({liveui: true});
+      this.liveTracker = this.player.liveTracker;
+    },
+    afterEach() {
+      this.player.dispose();
+      this.clock.restore();
+    }
+  });
+
+  QUnit.test('uses the liveui when the seekable window is long enough', function(assert) {
+    let dvrChanges = 0;
+
+    this.liveTracker.on('dvrchange', () => {
+      dvrChanges++;
+    });
+
+    this.player.seekable = () => createTimeRanges(0, 20);
+    this.player.duration(Infinity);
+
+    assert.notOk(this.liveTracker.isDvr(), 'a 20s window is too short');
+    assert.notOk(this.player.hasClass('vjs-liveui'), 'the liveui is not used');
+
+    this.player.seekable = () => createTimeRanges(0, 40);
+    this.clock.tick(30);
+
+    assert.ok(this.liveTracker.isDvr(), 'a 40s window is long enough');
+    assert.ok(this.player.hasClass('vjs-liveui'), 'the liveui is used');
+    assert.equal(dvrChanges, 1, 'dvrchange was triggered');
+
+    this.player.duration(5);
+
+    assert.notOk(this.liveTracker.isDvr(), 'not dvr when not live');
+    assert.notOk(this.player.hasClass('vjs-liveui'), 'the liveui is not used');
+    assert.equal(dvrChanges, 2, 'dvrchange was triggered again');
+  });
+
+  QUnit.test('the threshold can be changed and the liveui class needs the liveui option', function(assert) {
+    this.player.dispose();
+    this.player = TestHelpers.makePlayer({liveTracker: {dvrThreshold: 10}});
+
+    this.player.seekable = () => createTimeRanges(0, 20);
+    this.player.duration(Infinity);
+
+    assert.ok(this.player.liveTracker.isDvr(), 'a 20s window is long enough');
+    assert.notOk(this.player.hasClass('vjs-liveui'), 'the liveui is not used without the option');
+  });
+
+  QUnit.test('triggers dvrwindowexit when currentTime falls out of the seekable window', function(assert) {
+    let exits = 0;
+
+    this.liveTracker.on('dvrwindowexit', () => {
+      exits++;
+    });
+
+    this.player.currentTime = () => 5;
+    this.player.seekable = () => createTimeRanges(0, 60);
+    this.player.duration(Infinity);
+    this.player.trigger('timeupdate');
+    this.clock.tick(30);
+
+    assert.notOk(this.liveTracker.outsideDvrWindow(), 'inside the window');
+
+    this.player.seekable = () => createTimeRanges(10, 70);
+    this.clock.tick(30);
+
+    assert.ok(this.liveTracker.outsideDvrWindow(), 'outside the window');
+    assert.equal(exits, 1, 'dvrwindowexit was triggered');
+
+    this.clock.tick(30);
+    assert.equal(exits, 1, 'dvrwindowexit is only triggered once');
+
+    this.player.currentTime = () => 20;
+    this.clock.tick(30);
+    assert.notOk(this.liveTracker.outsideDvrWindow(), 'back inside the window');
+  });
+
+  QUnit.module('latency', {
+    beforeEach() {
+      this.clock = sinon.useFakeTimers();
+
+      this.player = TestHelpers.makePlayer({liveTracker: {targetLatency: 10}});
+      this.liveTracker = this.player.liveTracker;
+
+      this.player.seekable = () => createTimeRanges(0, 100);
+      this.player.paused = () => false;
+      this.player.duration(Infinity);
+
+      this.setLatency = (latency) => {
+        this.player.currentTime = () => this.liveTracker.liveCurrentTime() - latency;
+        this.player.trigger('timeupdate');
+      };
+    },
+    afterEach() {
+      this.player.dispose();
+      this.clock.restore();
+    }
+  });
+
+  QUnit.test('reports the latency', function(assert) {
+    let latencyChanges = 0;
+
+    this.liveTracker.on('latencychange', () => {
+      latencyChanges++;
+    });
+
+    this.setLatency(12);
+    assert.equal(Math.round(this.liveTracker.latency()), 12, 'the latency is reported');
+    assert.equal(latencyChanges, 1, 'latencychange was triggered');
+
+    this.setLatency(12.01);
+    assert.equal(latencyChanges, 1, 'tiny changes are not reported');
+
+    this.player.duration(5);
+    assert.ok(isNaN(this.liveTracker.latency()), 'there is no latency when not live');
+  });
+
+  QUnit.test('nudges the playback rate towards the target latency', function(assert) {
+    this.setLatency(20);
+    assert.equal(this.player.playbackRate(), 1.05, 'playback speeds up, up to the maximum rate');
+
+    this.setLatency(9.8);
+    assert.equal(this.player.playbackRate(), 1, 'the rate is reset within the tolerance');
+
+    this.setLatency(12);
+    assert.equal(this.player.playbackRate(), 1.04, 'playback speeds up in proportion to the difference');
+
+    this.setLatency(9);
+    assert.equal(this.player.playbackRate(), 0.98, 'playback slows down when too close to the live edge');
+
+    this.setLatency(2);
+    assert.equal(this.player.playbackRate(), 0.95, 'playback slows down, down to the minimum rate');
+
+    this.player.duration(5);
+    assert.equal(this.player.playbackRate(), 1, 'the rate is reset when live tracking stops');
+  });
+
+  QUnit.test('does not correct while scrubbing or after a manual rate change', function(assert) {
+    this.player.scrubbing(true);
+    this.setLatency(20);
+    assert.equal(this.player.playbackRate(), 1, 'the rate is not changed while scrubbing');
+    this.player.scrubbing(false);
+
+    this.player.playbackRate(1.5);
+    this.setLatency(20);
+    assert.equal(this.player.playbackRate(), 1.5, 'the manual rate is kept');
+
+    this.player.playbackRate(1);
+    this.setLatency(20);
+    assert.equal(this.player.playbackRate(), 1.05, 'correction resumes at the normal rate');
+  });
+
+  QUnit.test('does nothing without a target latency', function(assert) {
+    this.player.dispose();
+    this.player = TestHelpers.makePlayer();
+    this.player.seekable = () => createTimeRanges(0, 100);
+    this.player.paused = () => false;
+    this.player.duration(Infinity);
+    this.liveTracker = this.player.liveTracker;
+
+    this.setLatency(20);
+    assert.equal(this.player.playbackRate(), 1, 'the rate was not changed');
+  });
+
 });
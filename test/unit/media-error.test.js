@@ -67,3 +67,48 @@ QUnit.test('can be constructed redundantly', function(assert) {
 
   assert.strictEqual(redundantMediaError, mediaError);
 });
+
+QUnit.test('gets the type and recoverability of its code', function(assert) {
+  const networkError = new MediaError(2);
+  const decodeError = new MediaError({code: 3});
+  const customError = new MediaError('hello, world');
+
+  assert.strictEqual(networkError.type, 'MEDIA_ERR_NETWORK', 'the type of a network error');
+  assert.strictEqual(networkError.recoverable, true, 'network errors are recoverable');
+  assert.strictEqual(decodeError.type, 'MEDIA_ERR_DECODE', 'the type of a decode error');
+  assert.strictEqual(decodeError.recoverable, false, 'decode errors are not recoverable');
+  assert.strictEqual(new MediaError(4).recoverable, false, 'unsupported sources are not recoverable');
+  assert.strictEqual(customError.type, 'MEDIA_ERR_CUSTOM', 'the type of a custom error');
+  assert.strictEqual(customError.details, null, 'there are no details by default');
+  assert.strictEqual(customError.metadata, null, 'there is no metadata by default');
+});
+
+QUnit.test('the fields of the definition can be overridden', function(assert) {
+  const details = {status: 404};
+  const metadata = {id: 'video-1'};
+  const mediaError = new MediaError({code: 2, recoverable: false, details, metadata});
+
+  assert.strictEqual(mediaError.type, 'MEDIA_ERR_NETWORK', 'the type comes from the definition');
+  assert.strictEqual(mediaError.recoverable, false, 'the given recoverability is kept');
+  assert.strictEqual(mediaError.details, details, 'the details are kept');
+  assert.strictEqual(mediaError.metadata, metadata, 'the metadata is kept');
+});
+
+QUnit.test('custom error codes can be registered', function(assert) {
+  MediaError.registerError(-100, {
+    type: 'MEDIA_ERR_TEST',
+    message: 'A test error happened.',
+    headline: 'Test Error',
+    recoverable: true
+  });
+
+  const mediaError = new MediaError(-100);
+
+  assert.strictEqual(MediaError.MEDIA_ERR_TEST, -100, 'the type was added to the class');
+  assert.strictEqual(mediaError.MEDIA_ERR_TEST, -100, 'the type was added to instances');
+  assert.strictEqual(mediaError.type, 'MEDIA_ERR_TEST', 'the error has the type');
+  assert.strictEqual(mediaError.message, 'A test error happened.', 'the error has the default message');
+  assert.strictEqual(mediaError.recoverable, true, 'the error is recoverable');
+  assert.strictEqual(MediaError.getErrorDefinition(-100).headline, 'Test Error', 'the definition can be read');
+  assert.strictEqual(MediaError.getErrorDefinition(-101), undefined, 'other codes have no definition');
+});
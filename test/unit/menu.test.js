@@ -1,6 +1,8 @@
 /* eslint-env qunit */
 import MenuButton from '../../src/js/menu/menu-button.js';
+import Menu from '../../src/js/menu/menu.js';
 import MenuItem from '../../src/js/menu/menu-item.js';
+import SubMenuItem from '../../src/js/menu/sub-menu-item.js';
 import TestHelpers from './test-helpers.js';
 import * as Events from '../../src/js/utils/events.js';
 
@@ -106,3 +108,68 @@ QUnit.test('should keep all the added menu items', function(assert) {
   assert.ok(menuButton.el().contains(menuItem1.el()), 'the menu button contains the DOM element of `menuItem1` after second update');
   assert.ok(menuButton.el().contains(menuItem2.el()), 'the menu button contains the DOM element of `menuItem2` after second update');
 });
+
+QUnit.module('Menu panels', {
+  beforeEach() {
+    this.player = TestHelpers.makePlayer();
+    this.menu = new Menu(this.player);
+    this.player.addChild(this.menu);
+
+    this.subMenuItem = new SubMenuItem(this.player, {
+      label: 'Speed',
+      createItems: () => [
+        new MenuItem(this.player, {label: '2x'}),
+        new MenuItem(this.player, {label: '1x'})
+      ]
+    });
+
+    this.menu.addItem(new MenuItem(this.player, {label: 'Other'}));
+    this.menu.addItem(this.subMenuItem);
+  },
+  afterEach() {
+    this.player.dispose();
+  }
+});
+
+const labels = (menu) => menu.children().map((item) => item.options_.label);
+
+QUnit.test('clicking a sub menu item opens its panel', function(assert) {
+  Events.trigger(this.subMenuItem.el(), 'click');
+
+  assert.deepEqual(labels(this.menu), ['Speed', '2x', '1x'], 'the panel replaced the items');
+  assert.ok(this.menu.children()[0].hasClass('vjs-back-menu-item'), 'the panel starts with a back item');
+  assert.strictEqual(this.menu.focusedChild_, 1, 'the first item of the panel is focused');
+  assert.notOk(this.menu.contentEl().contains(this.subMenuItem.el()), 'the sub menu item is removed from the DOM');
+
+  Events.trigger(this.menu.children()[0].el(), 'click');
+
+  assert.deepEqual(labels(this.menu), ['Other', 'Speed'], 'the back item restored the items');
+  assert.strictEqual(this.menu.focusedChild_, 1, 'the sub menu item is focused');
+});
+
+QUnit.test('Left and Right Arrows move between panels', function(assert) {
+  this.menu.focusedChild_ = 1;
+
+  this.menu.trigger({type: 'keydown', keyCode: 39});
+  assert.deepEqual(labels(this.menu), ['Speed', '2x', '1x'], 'Right Arrow opened the panel');
+
+  const panelItems = this.menu.children().slice();
+
+  this.menu.trigger({type: 'keydown', keyCode: 39});
+  assert.deepEqual(labels(this.menu), ['Speed', '2x', '1x'], 'Right Arrow does nothing on other items');
+
+  this.menu.trigger({type: 'keydown', keyCode: 37});
+  assert.deepEqual(labels(this.menu), ['Other', 'Speed'], 'Left Arrow went back');
+  assert.ok(panelItems.every((item) => !item.el()), 'the items of the panel were disposed');
+});
+
+QUnit.test('closeAllPanels goes back to the top-level items', function(assert) {
+  this.menu.openPanel(this.subMenuItem);
+  this.menu.openPanel(new SubMenuItem(this.player, {label: 'Nested'}));
+
+  assert.deepEqual(labels(this.menu), ['Nested'], 'a nested panel is open');
+
+  this.menu.closeAllPanels();
+
+  assert.deepEqual(labels(this.menu), ['Other', 'Speed'], 'the top-level items are back');
+});
@@ -105,3 +105,24 @@ QUnit.test('changing the player size triggers breakpoints', function(assert) {
   assert.strictEqual(this.player.currentBreakpoint(), 'huge', 'current breakpoint is correct');
   assert.strictEqual(this.player.currentBreakpointClass(), 'vjs-layout-huge', 'current breakpoint set');
 });
+
+QUnit.test('breakpointchange fires when the current breakpoint changes', function(assert) {
+  const spy = sinon.spy();
+  let currentWidth = 300;
+
+  this.player.on('breakpointchange', spy);
+  this.player.currentWidth = () => currentWidth;
+  this.player.responsive(true);
+  assert.strictEqual(spy.callCount, 1, 'fired for the initial breakpoint');
+
+  currentWidth = 310;
+  this.player.trigger('playerresize');
+  assert.strictEqual(spy.callCount, 1, 'not fired while the breakpoint stays the same');
+
+  currentWidth = 400;
+  this.player.trigger('playerresize');
+  assert.strictEqual(spy.callCount, 2, 'fired for a new breakpoint');
+
+  this.player.responsive(false);
+  assert.strictEqual(spy.callCount, 3, 'fired when the breakpoint is removed');
+});
@@ -1,5 +1,6 @@
 /* eslint-env qunit */
 import TestHelpers from './test-helpers';
+import sinon from 'sinon';
 
 QUnit.module('Player: loadMedia/getMedia', {
 
@@ -199,3 +200,15 @@ QUnit.test('reset discards the media object', function(assert) {
 
   assert.deepEqual(this.player.getMedia(), {src: [], textTracks: []}, 'any empty media object is returned');
 });
+
+QUnit.test('loadMedia triggers loadmedia', function(assert) {
+  const spy = sinon.spy();
+
+  this.player.on('loadmedia', spy);
+  this.player.loadMedia({
+    src: 'foo.mp4',
+    title: 'Foo'
+  });
+
+  assert.strictEqual(spy.callCount, 1, 'loadmedia was triggered');
+});
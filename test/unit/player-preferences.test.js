@@ -0,0 +1,138 @@
+/* eslint-env qunit */
+import TestHelpers from './test-helpers.js';
+import AudioTrack from '../../src/js/tracks/audio-track.js';
+import sinon from 'sinon';
+
+QUnit.module('Player: Preferences', {
+  beforeEach() {
+    this.clock = sinon.useFakeTimers();
+    this.items = {};
+    this.storage = TestHelpers.createStorage(this.items);
+  },
+  afterEach() {
+    if (this.player) {
+      this.player.dispose();
+    }
+    this.clock.restore();
+  },
+  makePlayer(options = {}) {
+    options.storage = this.storage;
+    this.player = TestHelpers.makePlayer({preferences: options});
+    return this.player;
+  },
+  stored() {
+    return JSON.parse(this.items['vjs-preferences'] || '{}');
+  }
+});
+
+QUnit.test('preferences are off by default', function(assert) {
+  this.player = TestHelpers.makePlayer();
+
+  assert.equal(this.player.preferences(), undefined, 'there are no preferences');
+});
+
+QUnit.test('restores the volume, muted state and playback rate after loadedmetadata', function(assert) {
+  this.items['vjs-preferences'] = JSON.stringify({volume: 0.3, muted: true, playbackRate: 1.5});
+
+  const player = this.makePlayer();
+
+  assert.notEqual(player.volume(), 0.3, 'the volume is not restored before loadedmetadata');
+
+  player.trigger('loadedmetadata');
+
+  assert.equal(player.volume(), 0.3, 'the volume was restored');
+  assert.ok(player.muted(), 'the muted state was restored');
+  assert.equal(player.playbackRate(), 1.5, 'the playback rate was restored');
+});
+
+QUnit.test('only restores the preferences that are turned on', function(assert) {
+  this.items['vjs-preferences'] = JSON.stringify({volume: 0.3, muted: true});
+
+  const player = this.makePlayer({volume: false});
+
+  player.volume(0.8);
+  player.trigger('loadedmetadata');
+
+  assert.equal(player.volume(), 0.8, 'the volume was not restored');
+  assert.ok(player.muted(), 'the muted state was restored');
+});
+
+QUnit.test('saves volume and playback rate changes once the preferences were restored', function(assert) {
+  const player = this.makePlayer();
+
+  player.volume(0.2);
+  player.trigger('volumechange');
+  assert.deepEqual(this.stored(), {}, 'changes before loadedmetadata are not saved');
+
+  player.trigger('loadedmetadata');
+
+  player.volume(0.6);
+  player.trigger('volumechange');
+  player.playbackRate(2);
+
+  assert.deepEqual(this.stored(), {volume: 0.6, muted: false, playbackRate: 2}, 'the changes were saved');
+
+  player.reset();
+  assert.equal(this.stored().volume, 0.6, 'resetting the player does not save its default volume');
+});
+
+QUnit.test('hands the text track preference to the player on loadstart and saves the chosen track', function(assert) {
+  const textTrack = {enabled: true, language: 'fr', kind: 'captions'};
+
+  this.items['vjs-preferences'] = JSON.stringify({textTrack});
+
+  const player = this.makePlayer();
+
+  player.trigger('loadstart');
+  assert.deepEqual(player.cache_.selectedLanguage, textTrack, 'the text track preference was restored');
+
+  player.cache_.selectedLanguage = {enabled: false};
+  player.textTracks().trigger('change');
+  this.clock.tick(1);
+
+  assert.deepEqual(this.stored().textTrack, {enabled: false}, 'the chosen text track was saved');
+});
+
+QUnit.test('restores and saves the audio track language', function(assert) {
+  this.items['vjs-preferences'] = JSON.stringify({audioTrack: {language: 'es'}});
+
+  const player = this.makePlayer();
+  const en = new AudioTrack({language: 'en', enabled: true});
+  const es = new AudioTrack({language: 'es'});
+
+  player.audioTracks().addTrack(en);
+  player.audioTracks().addTrack(es);
+
+  player.trigger('loadedmetadata');
+  assert.ok(es.enabled, 'the preferred audio track was enabled');
+  assert.notOk(en.enabled, 'the other audio track was disabled');
+
+  en.enabled = true;
+  assert.deepEqual(this.stored().audioTrack, {language: 'en'}, 'the enabled audio track was saved');
+});
+
+QUnit.test('player.preferences reads, changes and clears the stored preferences', function(assert) {
+  this.items['vjs-preferences'] = JSON.stringify({volume: 0.3});
+
+  const player = this.makePlayer();
+
+  assert.deepEqual(player.preferences(), {volume: 0.3}, 'the stored preferences are returned');
+
+  player.preferences({muted: true});
+  assert.deepEqual(player.preferences(), {volume: 0.3, muted: true}, 'the preferences were merged');
+
+  player.preferences(null);
+  assert.deepEqual(player.preferences(), {}, 'the preferences were cleared');
+  assert.notOk(this.items.hasOwnProperty('vjs-preferences'), 'the preferences were removed from the storage');
+});
+
+QUnit.test('uses the key option and ignores invalid stored values', function(assert) {
+  this.items['my-key'] = 'not json';
+
+  const player = this.makePlayer({key: 'my-key'});
+
+  assert.deepEqual(player.preferences(), {}, 'invalid values are ignored');
+
+  player.preferences({volume: 1});
+  assert.equal(this.items['my-key'], '{"volume":1}', 'the preferences were stored under the key');
+});
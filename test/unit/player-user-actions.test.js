@@ -0,0 +1,414 @@
+/* eslint-env qunit */
+import document from 'global/document';
+import sinon from 'sinon';
+import TestHelpers from './test-helpers';
+import FullscreenApi from '../../src/js/fullscreen-api.js';
+import * as Events from '../../src/js/utils/events.js';
+
+QUnit.module('Player: User Actions: Hotkeys', {
+
+  beforeEach() {
+    this.clock = sinon.useFakeTimers();
+    this.player = TestHelpers.makePlayer({});
+    this.player.duration(100);
+    this.player.volume(0.5);
+
+    // Make sure the document reports fullscreen as enabled, even if the
+    // browser running the tests does not have the fullscreen API or runs
+    // them in an iframe.
+    this.fullscreenEnabled = FullscreenApi.fullscreenEnabled;
+    FullscreenApi.fullscreenEnabled = 'fullscreenEnabledFake';
+    document.fullscreenEnabledFake = true;
+  },
+
+  afterEach() {
+    delete document.fullscreenEnabledFake;
+    FullscreenApi.fullscreenEnabled = this.fullscreenEnabled;
+    this.player.dispose();
+    this.clock.restore();
+  }
+});
+
+const mockKeyDownEvent = (which) => {
+  return {
+    preventDefault() {},
+    which
+  };
+};
+
+const defaultKeyTests = {
+  fullscreen(player, assert, positive) {
+    let fsCount = 0;
+    let exitFsCount = 0;
+
+    player.requestFullscreen = () => {
+      fsCount++;
+    };
+    player.exitFullscreen = () => {
+      exitFsCount++;
+    };
+
+    player.isFullscreen(false);
+    player.handleKeyPress(mockKeyDownEvent(70));
+    assert.strictEqual(fsCount, positive ? 1 : 0, 'has gone fullscreen');
+
+    player.isFullscreen(true);
+    player.handleKeyPress(mockKeyDownEvent(70));
+    assert.strictEqual(exitFsCount, positive ? 1 : 0, 'has exited fullscreen');
+  },
+
+  mute(player, assert, positive) {
+    player.muted(false);
+    player.handleKeyPress(mockKeyDownEvent(77));
+    assert.strictEqual(player.muted(), !!positive, 'has muted');
+
+    player.muted(true);
+    player.handleKeyPress(mockKeyDownEvent(77));
+    assert.strictEqual(player.muted(), !positive, 'has unmuted');
+  },
+
+  playPause(player, assert, positive) {
+    let pauses = 0;
+    let plays = 0;
+
+    player.paused = () => false;
+    player.pause = () => pauses++;
+    player.play = () => plays++;
+
+    player.handleKeyPress(mockKeyDownEvent(75));
+    assert.strictEqual(pauses, positive ? 1 : 0, 'has paused with "k"');
+
+    player.paused = () => true;
+    player.handleKeyPress(mockKeyDownEvent(75));
+    assert.strictEqual(plays, positive ? 1 : 0, 'has played with "k"');
+
+    player.paused = () => false;
+    player.handleKeyPress(mockKeyDownEvent(32));
+    assert.strictEqual(pauses, positive ? 2 : 0, 'has paused with space');
+
+    player.paused = () => true;
+    player.handleKeyPress(mockKeyDownEvent(32));
+    assert.strictEqual(plays, positive ? 2 : 0, 'has played with space');
+  }
+};
+
+QUnit.test('by default, hotkeys are disabled', function(assert) {
+  assert.expect(8);
+
+  defaultKeyTests.fullscreen(this.player, assert, false);
+  defaultKeyTests.mute(this.player, assert, false);
+  defaultKeyTests.playPause(this.player, assert, false);
+});
+
+QUnit.test('when userActions.hotkeys is true, hotkeys are enabled', function(assert) {
+  this.player.options_.userActions.hotkeys = true;
+
+  assert.expect(8);
+
+  defaultKeyTests.fullscreen(this.player, assert, true);
+  defaultKeyTests.mute(this.player, assert, true);
+  defaultKeyTests.playPause(this.player, assert, true);
+});
+
+QUnit.test('when userActions.hotkeys is an object, hotkeys are enabled', function(assert) {
+  this.player.options_.userActions.hotkeys = {};
+
+  assert.expect(8);
+
+  defaultKeyTests.fullscreen(this.player, assert, true);
+  defaultKeyTests.mute(this.player, assert, true);
+  defaultKeyTests.playPause(this.player, assert, true);
+});
+
+QUnit.test('hotkeys are handled when the player element receives a keydown event', function(assert) {
+  this.player.options_.userActions.hotkeys = true;
+  this.player.muted(false);
+
+  this.player.trigger({type: 'keydown', keyCode: 77});
+
+  assert.ok(this.player.muted(), 'has muted');
+});
+
+QUnit.test('fullscreen hotkey is ignored when the document does not allow fullscreen', function(assert) {
+  let fsCount = 0;
+
+  document.fullscreenEnabledFake = false;
+
+  this.player.options_.userActions.hotkeys = true;
+  this.player.requestFullscreen = () => {
+    fsCount++;
+  };
+
+  this.player.handleKeyPress(mockKeyDownEvent(70));
+
+  assert.strictEqual(fsCount, 0, 'has not gone fullscreen');
+});
+
+QUnit.test('arrow keys seek and change the volume', function(assert) {
+  this.player.options_.userActions.hotkeys = true;
+
+  this.player.currentTime(50);
+  this.player.handleKeyPress(mockKeyDownEvent(39));
+  assert.strictEqual(this.player.currentTime(), 55, 'right arrow seeks forward 5 seconds');
+
+  this.player.handleKeyPress(mockKeyDownEvent(37));
+  this.player.handleKeyPress(mockKeyDownEvent(37));
+  assert.strictEqual(this.player.currentTime(), 45, 'left arrow seeks back 5 seconds');
+
+  this.player.currentTime(2);
+  this.player.handleKeyPress(mockKeyDownEvent(37));
+  assert.strictEqual(this.player.currentTime(), 0, 'cannot seek before the start');
+
+  this.player.handleKeyPress(mockKeyDownEvent(38));
+  assert.strictEqual(this.player.volume(), 0.6, 'up arrow raises the volume');
+
+  this.player.handleKeyPress(mockKeyDownEvent(40));
+  this.player.handleKeyPress(mockKeyDownEvent(40));
+  assert.strictEqual(this.player.volume(), 0.4, 'down arrow lowers the volume');
+});
+
+QUnit.test('seekStep and volumeStep can be configured', function(assert) {
+  this.player.options_.userActions.hotkeys = {
+    seekStep: 10,
+    volumeStep: 0.25
+  };
+
+  this.player.currentTime(50);
+  this.player.handleKeyPress(mockKeyDownEvent(39));
+  assert.strictEqual(this.player.currentTime(), 60, 'seeked forward 10 seconds');
+
+  this.player.handleKeyPress(mockKeyDownEvent(38));
+  assert.strictEqual(this.player.volume(), 0.75, 'raised the volume by 0.25');
+});
+
+QUnit.test('number keys seek to a percentage of the duration', function(assert) {
+  this.player.options_.userActions.hotkeys = true;
+
+  this.player.handleKeyPress(mockKeyDownEvent(53));
+  assert.strictEqual(this.player.currentTime(), 50, '"5" seeks to 50%');
+
+  this.player.handleKeyPress(mockKeyDownEvent(96));
+  assert.strictEqual(this.player.currentTime(), 0, 'numpad "0" seeks to the start');
+});
+
+QUnit.test('default keys can be overridden', function(assert) {
+  let pauses = 0;
+
+  this.player.options_.userActions.hotkeys = {
+    playPauseKey: (event) => event.which === 80
+  };
+
+  this.player.paused = () => false;
+  this.player.pause = () => pauses++;
+
+  this.player.handleKeyPress(mockKeyDownEvent(32));
+  assert.strictEqual(pauses, 0, 'space no longer pauses');
+
+  this.player.handleKeyPress(mockKeyDownEvent(80));
+  assert.strictEqual(pauses, 1, '"p" pauses');
+});
+
+QUnit.test('custom keys extend the default keys', function(assert) {
+  const handler = sinon.spy();
+  const hotkeys = {
+    customKeys: {
+      restart: {
+        key: (event) => event.which === 82,
+        handler
+      }
+    }
+  };
+  const event = mockKeyDownEvent(82);
+
+  this.player.options_.userActions.hotkeys = hotkeys;
+  this.player.muted(false);
+
+  this.player.handleKeyPress(event);
+  assert.ok(handler.calledOnce, 'the custom key handler was called');
+  assert.ok(handler.calledWithExactly(this.player, hotkeys, event), 'with the player, options and event');
+
+  this.player.handleKeyPress(mockKeyDownEvent(77));
+  assert.ok(this.player.muted(), 'default keys still work');
+});
+
+QUnit.test('when userActions.hotkeys is a function, it replaces the default handling', function(assert) {
+  const hotkeys = sinon.spy();
+  const event = mockKeyDownEvent(77);
+
+  this.player.options_.userActions.hotkeys = hotkeys;
+  this.player.muted(false);
+
+  this.player.handleKeyPress(event);
+
+  assert.ok(hotkeys.calledOnce, 'the function was called');
+  assert.ok(hotkeys.calledOn(this.player), 'with the player as `this`');
+  assert.ok(hotkeys.calledWithExactly(event), 'with the keydown event');
+  assert.notOk(this.player.muted(), 'the default mute key was not handled');
+});
+
+QUnit.test('hotkeys are ignored for key combinations and text inputs', function(assert) {
+  const input = document.createElement('input');
+  const textarea = document.createElement('textarea');
+  const checkbox = document.createElement('input');
+
+  checkbox.type = 'checkbox';
+
+  this.player.options_.userActions.hotkeys = true;
+  this.player.muted(false);
+
+  this.player.handleKeyPress({which: 77, ctrlKey: true, preventDefault() {}});
+  assert.notOk(this.player.muted(), 'ignored with the ctrl key');
+
+  this.player.handleKeyPress({which: 77, target: input, preventDefault() {}});
+  assert.notOk(this.player.muted(), 'ignored in a text input');
+
+  this.player.handleKeyPress({which: 77, target: textarea, preventDefault() {}});
+  assert.notOk(this.player.muted(), 'ignored in a textarea');
+
+  this.player.handleKeyPress({which: 77, target: checkbox, preventDefault() {}});
+  assert.ok(this.player.muted(), 'handled in a checkbox');
+});
+
+QUnit.test('keys handled by a focused control do not reach the player', function(assert) {
+  const seekBar = this.player.controlBar.progressControl.seekBar;
+
+  this.player.options_.userActions.hotkeys = true;
+  this.player.currentTime(50);
+
+  sinon.spy(seekBar, 'stepForward');
+
+  seekBar.handleFocus();
+  Events.trigger(seekBar.el(), {type: 'keydown', keyCode: 39, bubbles: true});
+
+  assert.ok(seekBar.stepForward.calledOnce, 'the seek bar handled the key');
+  assert.strictEqual(this.player.currentTime(), 55, 'the seek bar stepped forward only once');
+
+  seekBar.handleBlur();
+  this.player.muted(false);
+  Events.trigger(seekBar.el(), {type: 'keydown', keyCode: 77, bubbles: true});
+
+  assert.ok(this.player.muted(), 'keys the seek bar does not handle reach the player');
+});
+
+QUnit.module('Player: User Actions: Click', {
+
+  beforeEach() {
+    this.clock = sinon.useFakeTimers();
+  },
+
+  afterEach() {
+    this.player.dispose();
+    this.clock.restore();
+  }
+});
+
+QUnit.test('by default, a click on the tech toggles play/pause', function(assert) {
+  let pauses = 0;
+  let plays = 0;
+
+  this.player = TestHelpers.makePlayer({controls: true});
+  this.player.paused = () => false;
+  this.player.pause = () => pauses++;
+  this.player.play = () => plays++;
+
+  this.player.tech_.trigger({type: 'mousedown', button: 0});
+  assert.strictEqual(pauses, 1, 'has paused');
+
+  this.player.paused = () => true;
+  this.player.tech_.trigger({type: 'mousedown', button: 0});
+  assert.strictEqual(plays, 1, 'has played');
+});
+
+QUnit.test('when userActions.click is false, a click on the tech does nothing', function(assert) {
+  let pauses = 0;
+
+  this.player = TestHelpers.makePlayer({
+    controls: true,
+    userActions: {
+      click: false
+    }
+  });
+  this.player.paused = () => false;
+  this.player.pause = () => pauses++;
+
+  this.player.tech_.trigger({type: 'mousedown', button: 0});
+  assert.strictEqual(pauses, 0, 'has not paused');
+});
+
+QUnit.test('when userActions.click is a function, it is called instead of toggling play/pause', function(assert) {
+  const click = sinon.spy();
+  let pauses = 0;
+
+  this.player = TestHelpers.makePlayer({
+    controls: true,
+    userActions: {
+      click
+    }
+  });
+  this.player.paused = () => false;
+  this.player.pause = () => pauses++;
+
+  this.player.tech_.trigger({type: 'mousedown', button: 0});
+
+  assert.ok(click.calledOnce, 'the function was called');
+  assert.ok(click.calledOn(this.player), 'with the player as `this`');
+  assert.strictEqual(click.firstCall.args[0].type, 'mousedown', 'with the event');
+  assert.strictEqual(pauses, 0, 'has not paused');
+});
+
+QUnit.module('Player: User Actions: Double Click', {
+
+  beforeEach() {
+    this.clock = sinon.useFakeTimers();
+  },
+
+  afterEach() {
+    this.player.dispose();
+    this.clock.restore();
+  }
+});
+
+QUnit.test('by default, a double-click on the tech toggles fullscreen', function(assert) {
+  let fsCount = 0;
+
+  this.player = TestHelpers.makePlayer({controls: true});
+  this.player.requestFullscreen = () => fsCount++;
+
+  this.player.tech_.trigger('dblclick');
+  assert.strictEqual(fsCount, 1, 'has gone fullscreen');
+});
+
+QUnit.test('when userActions.doubleClick is false, a double-click on the tech does nothing', function(assert) {
+  let fsCount = 0;
+
+  this.player = TestHelpers.makePlayer({
+    controls: true,
+    userActions: {
+      doubleClick: false
+    }
+  });
+  this.player.requestFullscreen = () => fsCount++;
+
+  this.player.tech_.trigger('dblclick');
+  assert.strictEqual(fsCount, 0, 'has not gone fullscreen');
+});
+
+QUnit.test('when userActions.doubleClick is a function, it is called instead of toggling fullscreen', function(assert) {
+  const doubleClick = sinon.spy();
+  let fsCount = 0;
+
+  this.player = TestHelpers.makePlayer({
+    controls: true,
+    userActions: {
+      doubleClick
+    }
+  });
+  this.player.requestFullscreen = () => fsCount++;
+
+  this.player.tech_.trigger('dblclick');
+
+  assert.ok(doubleClick.calledOnce, 'the function was called');
+  assert.ok(doubleClick.calledOn(this.player), 'with the player as `this`');
+  assert.strictEqual(doubleClick.firstCall.args[0].type, 'dblclick', 'with the event');
+  assert.strictEqual(fsCount, 0, 'has not gone fullscreen');
+});
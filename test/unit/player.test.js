@@ -14,6 +14,7 @@ import sinon from 'sinon';
 import window from 'global/window';
 import * as middleware from '../../src/js/tech/middleware.js';
 import * as Events from '../../src/js/utils/events.js';
+import {silencePromise} from '../../src/js/utils/promise';
 
 QUnit.module('Player', {
   beforeEach() {
@@ -1810,6 +1811,53 @@ QUnit.test('techCall runs through middleware if allowedSetter', function(assert)
   player.dispose();
 });
 
+QUnit.test('techCall runs through middleware mediators for seeking and pausing', function(assert) {
+  const seeks = [];
+  let pauses = 0;
+
+  videojs.use('video/foo', () => ({
+    callSetCurrentTime(ct) {
+      return ct > 20 ? middleware.TERMINATOR : ct;
+    },
+    setCurrentTime(ct) {
+      seeks.push(ct);
+      return ct;
+    },
+    callPause() {
+      return middleware.TERMINATOR;
+    },
+    pause() {
+      pauses++;
+    }
+  }));
+
+  const tag = TestHelpers.makeTag();
+  const fixture = document.getElementById('qunit-fixture');
+
+  fixture.appendChild(tag);
+
+  const player = videojs(tag, {
+    techOrder: ['techFaker']
+  });
+
+  player.middleware_ = [middleware.getMiddleware('video/foo')[0](player)];
+
+  this.clock.tick(1);
+
+  const techPause = sinon.spy(player.tech_, 'pause');
+
+  player.currentTime(10);
+  player.currentTime(30);
+  player.pause();
+
+  assert.deepEqual(seeks, [10], 'the seek past 20 seconds was terminated');
+  assert.equal(pauses, 1, 'the middleware learned that pause was terminated');
+  assert.ok(techPause.notCalled, 'the tech was not paused');
+
+  middleware.getMiddleware('video/foo').pop();
+  player.dispose();
+});
+
 QUnit.test('src selects tech based on middleware', function(assert) {
   const oldTechs = Tech.techs_;
   const oldDefaultTechOrder = Tech.defaultTechOrder_;
@@ -2142,3 +2190,152 @@ QUnit.test('controlBar behaviour with mouseenter and mouseleave events', functio
 
   player.dispose();
 });
+
+QUnit.test('should update the Picture-in-Picture state from tech events', function(assert) {
+  const player = TestHelpers.makePlayer();
+  const spy = sinon.spy();
+
+  player.on(['enterpictureinpicture', 'leavepictureinpicture'], spy);
+
+  assert.notOk(player.isInPictureInPicture(), 'not in Picture-in-Picture initially');
+
+  player.tech_.trigger('enterpictureinpicture');
+  assert.ok(player.isInPictureInPicture(), 'in Picture-in-Picture after the tech entered it');
+  assert.ok(player.hasClass('vjs-picture-in-picture'), 'has the Picture-in-Picture class');
+
+  player.tech_.trigger('leavepictureinpicture');
+  assert.notOk(player.isInPictureInPicture(), 'not in Picture-in-Picture after the tech left it');
+  assert.notOk(player.hasClass('vjs-picture-in-picture'), 'does not have the Picture-in-Picture class');
+
+  assert.equal(spy.callCount, 2, 'both events were retriggered on the player');
+
+  player.dispose();
+});
+
+QUnit.test('requestPictureInPicture should call the tech only when it is supported', function(assert) {
+  const player = TestHelpers.makePlayer();
+
+  player.tech_.requestPictureInPicture = sinon.spy();
+
+  player.tech_.featuresPictureInPicture = false;
+  silencePromise(player.requestPictureInPicture());
+  assert.notOk(player.tech_.requestPictureInPicture.called, 'the tech was not called');
+
+  player.tech_.featuresPictureInPicture = true;
+  player.requestPictureInPicture();
+  assert.ok(player.tech_.requestPictureInPicture.calledOnce, 'the tech was called');
+
+  player.dispose();
+});
+
+QUnit.test('exitPictureInPicture only exits when the video of the player is in Picture-in-Picture', function(assert) {
+  const player = TestHelpers.makePlayer();
+  const exitPictureInPicture = document.exitPictureInPicture;
+
+  document.exitPictureInPicture = sinon.spy();
+
+  Object.defineProperty(document, 'pictureInPictureElement', {
+    configurable: true,
+    value: document.createElement('video')
+  });
+  silencePromise(player.exitPictureInPicture());
+  assert.notOk(document.exitPictureInPicture.called, 'the video of another player stays in Picture-in-Picture');
+
+  Object.defineProperty(document, 'pictureInPictureElement', {
+    configurable: true,
+    value: player.tech_.el()
+  });
+  player.exitPictureInPicture();
+  assert.ok(document.exitPictureInPicture.calledOnce, 'the video of the player left Picture-in-Picture');
+
+  delete document.pictureInPictureElement;
+  document.exitPictureInPicture = exitPictureInPicture;
+  player.dispose();
+});
+
+QUnit.test('audioOnlyMode hides every child but the control bar and restores them', function(assert) {
+  const player = TestHelpers.makePlayer({poster: 'poster.jpg'});
+  const spy = sinon.spy();
+
+  player.on('audioonlymodechange', spy);
+  player.getChild('ErrorDisplay').hide();
+
+  assert.notOk(player.audioOnlyMode(), 'audio-only mode is off by default');
+
+  player.audioOnlyMode(true);
+
+  assert.ok(player.audioOnlyMode(), 'audio-only mode is on');
+  assert.ok(player.hasClass('vjs-audio-only-mode'), 'the player has the audio-only mode class');
+  assert.notOk(player.getChild('ControlBar').hasClass('vjs-hidden'), 'the control bar is shown');
+  assert.ok(player.getChild('PosterImage').hasClass('vjs-hidden'), 'the poster is hidden');
+  assert.ok(player.getChild('BigPlayButton').hasClass('vjs-hidden'), 'the big play button is hidden');
+  assert.ok(player.getChild('LoadingSpinner').hasClass('vjs-hidden'), 'the loading spinner is hidden');
+  assert.equal(spy.callCount, 1, 'audioonlymodechange was triggered');
+
+  player.audioOnlyMode(true);
+  assert.equal(spy.callCount, 1, 'audioonlymodechange is not triggered without a change');
+
+  player.audioOnlyMode(false);
+
+  assert.notOk(player.audioOnlyMode(), 'audio-only mode is off');
+  assert.notOk(player.hasClass('vjs-audio-only-mode'), 'the player does not have the audio-only mode class');
+  assert.notOk(player.getChild('PosterImage').hasClass('vjs-hidden'), 'the poster is shown again');
+  assert.notOk(player.getChild('BigPlayButton').hasClass('vjs-hidden'), 'the big play button is shown again');
+  assert.ok(player.getChild('ErrorDisplay').hasClass('vjs-hidden'), 'children that were hidden before stay hidden');
+  assert.equal(spy.callCount, 2, 'audioonlymodechange was triggered');
+
+  player.dispose();
+});
+
+QUnit.test('audioOnlyMode leaves modal dialogs like the error display alone', function(assert) {
+  const player = TestHelpers.makePlayer();
+  const errorDisplay = player.getChild('ErrorDisplay');
+
+  player.error({code: 2});
+  player.audioOnlyMode(true);
+
+  assert.ok(errorDisplay.opened(), 'the error display is still open');
+  assert.notOk(errorDisplay.hasClass('vjs-hidden'), 'the error display is shown in audio-only mode');
+
+  player.error(null);
+  player.audioOnlyMode(false);
+
+  assert.ok(errorDisplay.hasClass('vjs-hidden'), 'the closed error display is not shown again');
+
+  player.dispose();
+});
+
+QUnit.test('audioOnlyMode keeps the player dimensions', function(assert) {
+  const player = TestHelpers.makePlayer({width: 640, height: 360});
+
+  player.audioOnlyMode(true);
+  assert.equal(player.height(), 360, 'the configured height is kept');
+
+  player.audioOnlyMode(false);
+  assert.equal(player.width(), 640, 'the width is unchanged');
+  assert.equal(player.height(), 360, 'the height is unchanged');
+
+  player.dispose();
+});
+
+QUnit.test('the audioOnlyMode option turns audio-only mode on', function(assert) {
+  const player = TestHelpers.makePlayer({audioOnlyMode: true});
+
+  assert.ok(player.audioOnlyMode(), 'audio-only mode is on');
+  assert.ok(player.hasClass('vjs-audio-only-mode'), 'the player has the audio-only mode class');
+
+  player.dispose();
+});
+
+QUnit.test('turning on audioOnlyMode exits fullscreen', function(assert) {
+  const player = TestHelpers.makePlayer();
+
+  player.isFullscreen(true);
+  player.exitFullscreen = sinon.spy();
+
+  player.audioOnlyMode(true);
+
+  assert.ok(player.exitFullscreen.calledOnce, 'exitFullscreen was called');
+
+  player.dispose();
+});
@@ -0,0 +1,211 @@
+/* eslint-env qunit */
+import TestHelpers from './test-helpers.js';
+import sinon from 'sinon';
+
+const ITEMS = [{
+  src: 'http://example.com/one.mp4',
+  poster: 'http://example.com/one.jpg'
+}, {
+  src: 'http://example.com/two.mp4'
+}, {
+  src: 'http://example.com/three.mp4'
+}];
+
+QUnit.module('Playlist', {
+  beforeEach() {
+    this.clock = sinon.useFakeTimers();
+    this.player = TestHelpers.makePlayer();
+    this.playlist = this.player.playlist;
+
+    sinon.spy(this.player, 'loadMedia');
+    sinon.stub(this.player, 'play');
+  },
+  afterEach() {
+    this.player.dispose();
+    this.clock.restore();
+  }
+});
+
+QUnit.test('is a child of the player without an element', function(assert) {
+  assert.ok(this.playlist, 'the player has a playlist');
+  assert.notOk(this.playlist.el(), 'the playlist has no element');
+  assert.deepEqual(this.playlist.items(), [], 'the playlist is empty');
+  assert.equal(this.playlist.currentIndex(), -1, 'there is no current item');
+  assert.equal(this.playlist.currentItem(), undefined, 'there is no current item');
+});
+
+QUnit.test('items sets the items and loads the first one with loadMedia', function(assert) {
+  const playlistchange = sinon.spy();
+  const playlistitem = sinon.spy();
+
+  this.player.on('playlistchange', playlistchange);
+  this.player.on('playlistitem', playlistitem);
+
+  this.playlist.items(ITEMS.concat(null, 'foo'));
+
+  assert.deepEqual(this.playlist.items(), ITEMS, 'the items were set without non-objects');
+  assert.notStrictEqual(this.playlist.items()[0], ITEMS[0], 'the items are copies');
+  assert.equal(this.playlist.currentIndex(), 0, 'the first item is current');
+  assert.ok(this.player.loadMedia.calledOnce, 'loadMedia was called');
+  assert.deepEqual(this.player.loadMedia.firstCall.args[0], ITEMS[0], 'the first item was loaded');
+  assert.equal(this.player.getMedia().poster, ITEMS[0].poster, 'the player has the media of the first item');
+  assert.ok(playlistchange.calledOnce, 'playlistchange was triggered');
+  assert.ok(playlistitem.calledOnce, 'playlistitem was triggered');
+  assert.ok(playlistchange.calledBefore(playlistitem), 'playlistchange was triggered first');
+});
+
+QUnit.test('items can be set without loading one', function(assert) {
+  this.playlist.items(ITEMS, -1);
+
+  assert.equal(this.playlist.items().length, 3, 'the items were set');
+  assert.equal(this.playlist.currentIndex(), -1, 'there is no current item');
+  assert.notOk(this.player.loadMedia.called, 'loadMedia was not called');
+
+  this.playlist.items(ITEMS, 2);
+  assert.equal(this.playlist.currentIndex(), 2, 'the given item is current');
+});
+
+QUnit.test('currentItem loads an item by its index', function(assert) {
+  this.playlist.items(ITEMS);
+
+  assert.deepEqual(this.playlist.currentItem(2), ITEMS[2], 'the item was returned');
+  assert.equal(this.playlist.currentIndex(), 2, 'the item is current');
+  assert.equal(this.player.loadMedia.callCount, 2, 'the item was loaded');
+
+  assert.equal(this.playlist.currentItem(3), undefined, 'indexes out of range are ignored');
+  assert.equal(this.playlist.currentItem(-1), undefined, 'indexes out of range are ignored');
+  assert.equal(this.playlist.currentIndex(), 2, 'the current item did not change');
+  assert.equal(this.player.loadMedia.callCount, 2, 'nothing else was loaded');
+});
+
+QUnit.test('next and previous move through the items', function(assert) {
+  this.playlist.items(ITEMS);
+
+  assert.deepEqual(this.playlist.next(), ITEMS[1], 'next returns the next item');
+  assert.deepEqual(this.playlist.next(), ITEMS[2], 'next returns the next item');
+  assert.equal(this.playlist.next(), undefined, 'there is nothing after the last item');
+  assert.equal(this.playlist.currentIndex(), 2, 'the last item is still current');
+
+  assert.deepEqual(this.playlist.previous(), ITEMS[1], 'previous returns the previous item');
+  assert.deepEqual(this.playlist.previous(), ITEMS[0], 'previous returns the previous item');
+  assert.equal(this.playlist.previous(), undefined, 'there is nothing before the first item');
+  assert.equal(this.playlist.currentIndex(), 0, 'the first item is still current');
+});
+
+QUnit.test('next and previous wrap around when repeating all items', function(assert) {
+  this.playlist.items(ITEMS);
+  this.playlist.repeat('all');
+
+  assert.deepEqual(this.playlist.previous(), ITEMS[2], 'previous wraps to the last item');
+  assert.deepEqual(this.playlist.next(), ITEMS[0], 'next wraps to the first item');
+});
+
+QUnit.test('repeat only accepts known modes', function(assert) {
+  assert.equal(this.playlist.repeat(), 'none', 'the default mode is none');
+
+  this.playlist.repeat('one');
+  assert.equal(this.playlist.repeat(), 'one', 'the mode was set');
+
+  this.playlist.repeat('foo');
+  assert.equal(this.playlist.repeat(), 'one', 'unknown modes are ignored');
+});
+
+QUnit.test('next keeps playing if the player was playing', function(assert) {
+  this.playlist.items(ITEMS);
+  assert.notOk(this.player.play.called, 'play was not called while paused');
+
+  sinon.stub(this.player, 'paused').returns(false);
+  this.playlist.next();
+
+  assert.ok(this.player.play.calledOnce, 'play was called');
+});
+
+QUnit.test('shuffle keeps the items and the current item', function(assert) {
+  const playlistchange = sinon.spy();
+
+  this.playlist.items(ITEMS, 1);
+  this.player.on('playlistchange', playlistchange);
+
+  this.playlist.shuffle();
+
+  const items = this.playlist.items();
+
+  assert.equal(items.length, 3, 'no items were lost');
+  ITEMS.forEach((item) => {
+    assert.ok(items.some((i) => i.src === item.src), `${item.src} is still in the playlist`);
+  });
+  assert.deepEqual(this.playlist.currentItem(), ITEMS[1], 'the current item did not change');
+  assert.deepEqual(items[this.playlist.currentIndex()], ITEMS[1], 'the current index points to the current item');
+  assert.ok(playlistchange.calledOnce, 'playlistchange was triggered');
+});
+
+QUnit.test('autoadvance plays the next item after a delay', function(assert) {
+  this.playlist.items(ITEMS);
+  this.player.trigger('ended');
+  this.clock.tick(1000);
+
+  assert.equal(this.playlist.currentIndex(), 0, 'nothing happens without autoadvance');
+
+  this.playlist.autoadvance(2);
+  assert.equal(this.playlist.autoadvance(), 2, 'the delay was set');
+
+  this.player.trigger('ended');
+  this.clock.tick(1999);
+  assert.equal(this.playlist.currentIndex(), 0, 'the next item is not loaded before the delay');
+
+  this.clock.tick(1);
+  assert.equal(this.playlist.currentIndex(), 1, 'the next item was loaded after the delay');
+  assert.ok(this.player.play.calledOnce, 'the next item was played');
+
+  this.playlist.autoadvance(-1);
+  assert.equal(this.playlist.autoadvance(), null, 'invalid delays turn autoadvance off');
+});
+
+QUnit.test('autoadvance is canceled by playing or seeking', function(assert) {
+  this.playlist.items(ITEMS);
+  this.playlist.autoadvance(1);
+
+  this.player.trigger('ended');
+  this.player.trigger('seeking');
+  this.clock.tick(1000);
+  assert.equal(this.playlist.currentIndex(), 0, 'seeking canceled autoadvance');
+
+  this.player.trigger('ended');
+  this.player.trigger('play');
+  this.clock.tick(1000);
+  assert.equal(this.playlist.currentIndex(), 0, 'playing canceled autoadvance');
+});
+
+QUnit.test('autoadvance follows the repeat mode', function(assert) {
+  this.playlist.items(ITEMS, 2);
+  this.playlist.autoadvance(0);
+
+  this.player.trigger('ended');
+  this.clock.tick(0);
+  assert.equal(this.playlist.currentIndex(), 2, 'the playlist stops after the last item');
+
+  this.playlist.repeat('one');
+  this.player.trigger('ended');
+  this.clock.tick(0);
+  assert.equal(this.playlist.currentIndex(), 2, 'the current item was repeated');
+  assert.equal(this.player.loadMedia.callCount, 2, 'the current item was loaded again');
+
+  this.playlist.repeat('all');
+  this.player.trigger('ended');
+  this.clock.tick(0);
+  assert.equal(this.playlist.currentIndex(), 0, 'the playlist went back to the first item');
+});
+
+QUnit.test('options set autoadvance and repeat', function(assert) {
+  const player = TestHelpers.makePlayer({
+    playlist: {
+      autoadvance: 3,
+      repeat: 'all'
+    }
+  });
+
+  assert.equal(player.playlist.autoadvance(), 3, 'autoadvance was set');
+  assert.equal(player.playlist.repeat(), 'all', 'repeat was set');
+
+  player.dispose();
+});
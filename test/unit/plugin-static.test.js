@@ -3,6 +3,8 @@ import sinon from 'sinon';
 import log from '../../src/js/utils/log';
 import Player from '../../src/js/player';
 import Plugin from '../../src/js/plugin';
+import QualityLevelList from '../../src/js/tracks/quality-level-list';
+import TestHelpers from './test-helpers';
 
 class MockPlugin extends Plugin {}
 
@@ -118,6 +120,37 @@ QUnit.test('deregisterPlugin()', function(assert) {
   );
 });
 
+QUnit.test('a qualityLevels plugin replaces the player method of that name', function(assert) {
+  const qualityLevels = Player.prototype.qualityLevels;
+  const list = new QualityLevelList();
+
+  // like videojs-contrib-quality-levels, which keeps one list per player
+  Plugin.registerPlugin('qualityLevels', function() {
+    this.qualityLevels = () => list;
+    return list;
+  });
+
+  const player = TestHelpers.makePlayer({
+    controlBar: {
+      children: ['qualityMenuButton']
+    }
+  });
+
+  list.addQualityLevel({height: 720});
+  list.addQualityLevel({height: 360});
+
+  assert.strictEqual(player.qualityLevels(), list, 'the plugin gives the quality levels');
+  assert.notOk(
+    player.controlBar.getChild('QualityMenuButton').hasClass('vjs-hidden'),
+    'the quality menu shows the quality levels of the plugin'
+  );
+
+  player.dispose();
+  Plugin.deregisterPlugin('qualityLevels');
+
+  assert.strictEqual(Player.prototype.qualityLevels, qualityLevels, 'the player method is put back');
+});
+
 QUnit.test('isBasic()', function(assert) {
   assert.ok(Plugin.isBasic(this.basic), 'the "basic" plugin is a basic plugin (by reference)');
   assert.ok(Plugin.isBasic('basic'), 'the "basic" plugin is a basic plugin (by name)');
@@ -0,0 +1,153 @@
+/* eslint-env qunit */
+import TestHelpers from './test-helpers.js';
+import sinon from 'sinon';
+
+QUnit.module('ResumePosition', {
+  beforeEach() {
+    this.clock = sinon.useFakeTimers();
+    this.items = {};
+    this.storage = TestHelpers.createStorage(this.items);
+    this.time = 0;
+  },
+  afterEach() {
+    if (this.player) {
+      this.player.dispose();
+    }
+    this.clock.restore();
+  },
+  makePlayer(options = {}) {
+    options.storage = this.storage;
+    this.player = TestHelpers.makePlayer({resumePosition: options});
+
+    sinon.stub(this.player, 'currentSrc').returns('http://example.com/video.mp4');
+    sinon.stub(this.player, 'duration').returns(1800);
+    TestHelpers.stubCurrentTime(this.player, this);
+
+    return this.player;
+  },
+  store(positions) {
+    this.items['vjs-resume-positions'] = JSON.stringify(positions);
+  },
+  stored() {
+    return JSON.parse(this.items['vjs-resume-positions'] || '{}');
+  }
+});
+
+QUnit.test('is off by default', function(assert) {
+  this.player = TestHelpers.makePlayer();
+
+  assert.notOk(this.player.resumePosition, 'the player does not remember positions');
+});
+
+QUnit.test('records the position during playback once the metadata has loaded', function(assert) {
+  const player = this.makePlayer();
+
+  this.time = 120;
+  this.clock.tick(1000);
+  player.trigger('timeupdate');
+  assert.deepEqual(this.stored(), {}, 'nothing is recorded before loadedmetadata');
+
+  player.trigger('loadedmetadata');
+  this.clock.tick(1000);
+  player.trigger('timeupdate');
+  assert.deepEqual(this.stored(), {'http://example.com/video.mp4': 120}, 'the position was recorded');
+
+  this.time = 130;
+  player.trigger('timeupdate');
+  assert.equal(player.resumePosition.position(), 120, 'timeupdate is throttled');
+
+  player.trigger('pause');
+  assert.equal(player.resumePosition.position(), 130, 'the position is recorded on pause');
+});
+
+QUnit.test('does not remember positions near the start or the end', function(assert) {
+  const player = this.makePlayer();
+
+  this.store({'http://example.com/video.mp4': 5});
+  player.trigger('loadedmetadata');
+  assert.notOk(player.resumePosition.opened(), 'positions near the start are not resumed');
+
+  this.time = 100;
+  player.trigger('pause');
+  assert.equal(player.resumePosition.position(), 100, 'the position was recorded');
+
+  this.time = 1795;
+  player.trigger('pause');
+  assert.equal(player.resumePosition.position(), undefined, 'positions near the end are removed');
+
+  this.time = 100;
+  player.trigger('pause');
+  player.trigger('ended');
+  assert.equal(player.resumePosition.position(), undefined, 'the position is removed when the media ends');
+});
+
+QUnit.test('asks the viewer to resume on loadedmetadata', function(assert) {
+  const player = this.makePlayer();
+
+  this.store({'http://example.com/video.mp4': 754});
+  player.trigger('loadedmetadata');
+
+  const dialog = player.resumePosition;
+
+  assert.ok(dialog.opened(), 'the dialog was opened');
+  assert.equal(dialog.$('.vjs-resume-position-question').textContent, 'Resume from 12:34?', 'the position is shown');
+
+  this.time = 1;
+  player.trigger('pause');
+  assert.equal(dialog.position(), 754, 'nothing is recorded while the dialog is open');
+
+  TestHelpers.triggerDomEvent(dialog.$('.vjs-resume-button'), 'click');
+  assert.equal(this.time, 754, 'the player seeked to the position');
+  assert.notOk(dialog.opened(), 'the dialog was closed');
+});
+
+QUnit.test('starting over forgets the position', function(assert) {
+  const player = this.makePlayer();
+
+  this.store({'http://example.com/video.mp4': 300});
+  player.trigger('loadedmetadata');
+
+  TestHelpers.triggerDomEvent(player.resumePosition.$('.vjs-restart-button'), 'click');
+  assert.equal(this.time, 0, 'the player did not seek');
+  assert.deepEqual(this.stored(), {}, 'the position was forgotten');
+  assert.notOk(player.resumePosition.opened(), 'the dialog was closed');
+});
+
+QUnit.test('resumes silently without the prompt', function(assert) {
+  const player = this.makePlayer({prompt: false});
+
+  this.store({'http://example.com/video.mp4': 300});
+  player.trigger('loadedmetadata');
+
+  assert.notOk(player.resumePosition.opened(), 'the dialog was not opened');
+  assert.equal(this.time, 300, 'the player seeked to the position');
+});
+
+QUnit.test('a new source closes the dialog', function(assert) {
+  const player = this.makePlayer();
+
+  this.store({'http://example.com/video.mp4': 300});
+  player.trigger('loadedmetadata');
+  player.trigger('loadstart');
+
+  assert.notOk(player.resumePosition.opened(), 'the dialog was closed');
+
+  this.time = 100;
+  player.trigger('pause');
+  assert.equal(player.resumePosition.position(), 300, 'nothing is recorded until the metadata has loaded');
+});
+
+QUnit.test('uses the id of the media and limits the number of positions', function(assert) {
+  const player = this.makePlayer({limit: 2});
+
+  this.store({a: 100, b: 200});
+  player.cache_.media = {id: 'c'};
+  player.trigger('loadedmetadata');
+
+  this.time = 300;
+  player.trigger('pause');
+  assert.deepEqual(this.stored(), {b: 200, c: 300}, 'the oldest position was forgotten');
+
+  player.resumePosition.clear();
+  assert.notOk(this.items.hasOwnProperty('vjs-resume-positions'), 'all positions were forgotten');
+});
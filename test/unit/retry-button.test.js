@@ -0,0 +1,40 @@
+/* eslint-env qunit */
+import RetryButton from '../../src/js/retry-button';
+import sinon from 'sinon';
+import TestHelpers from './test-helpers';
+
+QUnit.module('RetryButton', {
+
+  beforeEach() {
+    this.player = TestHelpers.makePlayer();
+    this.btn = new RetryButton(this.player);
+  },
+
+  afterEach() {
+    this.player.dispose();
+    this.btn.dispose();
+  }
+});
+
+QUnit.test('should create the expected element', function(assert) {
+  const elAssertions = TestHelpers.assertEl(assert, this.btn.el(), {
+    tagName: 'button',
+    classes: [
+      'vjs-button',
+      'vjs-control',
+      'vjs-error-retry'
+    ]
+  });
+
+  assert.expect(elAssertions.count + 1);
+  elAssertions();
+  assert.strictEqual(this.btn.el().querySelector('.vjs-control-text').innerHTML, 'Retry');
+});
+
+QUnit.test('should retry on activation', function(assert) {
+  sinon.stub(this.player, 'retry');
+
+  this.btn.trigger('click');
+  assert.expect(1);
+  assert.strictEqual(this.player.retry.callCount, 1, 'the player retried');
+});
@@ -0,0 +1,160 @@
+/* eslint-env qunit */
+import TestHelpers from './test-helpers.js';
+import Tech from '../../src/js/tech/tech.js';
+import TechFaker from './tech/tech-faker.js';
+import sinon from 'sinon';
+
+const sources = [
+  {src: 'http://example.com/first.mp4', type: 'video/mp4'},
+  {src: 'http://example.com/second.mp4', type: 'video/mp4'}
+];
+
+QUnit.module('RetryPolicy', {
+  beforeEach() {
+    this.clock = sinon.useFakeTimers();
+    this.events = [];
+  },
+  afterEach() {
+    this.player.dispose();
+    this.clock.restore();
+  }
+});
+
+QUnit.test('errors are shown right away by default', function(assert) {
+  this.player = TestHelpers.makePlayer();
+  this.player.src(sources);
+
+  this.player.tech_.error({code: 2});
+
+  assert.strictEqual(this.player.error().code, 2, 'the error was shown');
+});
+
+QUnit.test('a source that failed is loaded again with backoff', function(assert) {
+  this.player = TestHelpers.makePlayer({retryOnError: true});
+  this.player.src(sources);
+  this.player.on(['retry', 'sourcefallback'], (e) => this.events.push(e));
+
+  sinon.spy(this.player, 'src');
+
+  this.player.tech_.error({code: 2});
+
+  assert.strictEqual(this.player.error(), null, 'the error was not shown');
+  assert.strictEqual(this.events.length, 1, 'a retry event was triggered');
+  assert.strictEqual(this.events[0].type, 'retry', 'the event is a retry');
+  assert.strictEqual(this.events[0].source, sources[0], 'the failed source is retried');
+  assert.strictEqual(this.events[0].attempt, 1, 'it is the first attempt');
+  assert.strictEqual(this.events[0].delay, 1000, 'the first retry waits a second');
+
+  this.clock.tick(999);
+  assert.ok(this.player.src.notCalled, 'the source is not loaded before the delay');
+
+  this.clock.tick(1);
+  assert.ok(this.player.src.calledOnce, 'the source was loaded after the delay');
+  assert.deepEqual(this.player.src.firstCall.args[0], sources, 'all sources were loaded');
+
+  this.player.tech_.trigger('loadstart');
+  this.player.tech_.error({code: 2});
+
+  assert.strictEqual(this.events[1].attempt, 2, 'the source is retried a second time');
+  assert.strictEqual(this.events[1].delay, 2000, 'the delay doubled');
+  assert.strictEqual(this.player.error(), null, 'the error was not shown');
+});
+
+QUnit.test('the next source is tried once the retries are used up', function(assert) {
+  this.player = TestHelpers.makePlayer({retryOnError: {retries: 0}});
+  this.player.src(sources);
+  this.player.on(['retry', 'sourcefallback'], (e) => this.events.push(e));
+
+  this.player.tech_.error({code: 4});
+
+  assert.strictEqual(this.events.length, 1, 'one event was triggered');
+  assert.strictEqual(this.events[0].type, 'sourcefallback', 'the player fell back to another source');
+  assert.strictEqual(this.events[0].source, sources[1], 'the next source is loaded');
+  assert.strictEqual(this.events[0].tech, 'techFaker', 'with the same tech');
+  assert.strictEqual(this.player.currentSrc(), sources[1].src, 'the player loaded the next source');
+  assert.strictEqual(this.player.error(), null, 'the error was not shown');
+
+  this.player.tech_.error({code: 4});
+
+  assert.strictEqual(this.player.error().code, 4, 'the error was shown when nothing was left to try');
+});
+
+QUnit.test('other errors are shown right away', function(assert) {
+  this.player = TestHelpers.makePlayer({retryOnError: true});
+  this.player.src(sources);
+  this.player.on(['retry', 'sourcefallback'], (e) => this.events.push(e));
+
+  this.player.tech_.error({code: 3});
+
+  assert.strictEqual(this.player.error().code, 3, 'the decode error was shown');
+  assert.strictEqual(this.events.length, 0, 'nothing was retried');
+});
+
+QUnit.test('playback continues from where it stopped', function(assert) {
+  this.player = TestHelpers.makePlayer({retryOnError: {retries: 0}});
+  this.player.src(sources);
+
+  this.time = 30;
+  sinon.stub(this.player, 'paused').returns(false);
+  sinon.stub(this.player, 'play');
+  TestHelpers.stubCurrentTime(this.player, this);
+
+  this.player.tech_.error({code: 2});
+  this.time = 0;
+  this.player.tech_.trigger('loadstart');
+  this.player.trigger('loadedmetadata');
+
+  assert.strictEqual(this.time, 30, 'the time was restored');
+  assert.ok(this.player.play.calledOnce, 'playback was resumed');
+});
+
+QUnit.test('the retries start over once a source recovered', function(assert) {
+  this.player = TestHelpers.makePlayer({retryOnError: {retries: 1}});
+  this.player.src(sources);
+  this.player.on(['retry', 'sourcefallback'], (e) => this.events.push(e));
+
+  this.player.tech_.error({code: 2});
+  this.clock.tick(1000);
+  this.player.tech_.trigger('loadstart');
+  this.player.trigger('loadedmetadata');
+
+  this.player.tech_.error({code: 2});
+
+  assert.strictEqual(this.events.length, 2, 'the source was retried again');
+  assert.strictEqual(this.events[1].type, 'retry', 'instead of falling back');
+  assert.strictEqual(this.events[1].attempt, 1, 'as the first attempt');
+  assert.strictEqual(this.events[1].delay, 1000, 'without the backoff of the earlier retry');
+});
+
+QUnit.test('the next tech is tried once every source failed', function(assert) {
+  /**
+   * A second tech to fall back to.
+   */
+  class RetryTechFaker extends TechFaker {}
+
+  Tech.registerTech('RetryTechFaker', RetryTechFaker);
+
+  this.player = TestHelpers.makePlayer({
+    techOrder: ['techFaker', 'retryTechFaker'],
+    retryOnError: {retries: 0}
+  });
+  this.player.src(sources[0]);
+  this.player.on('sourcefallback', (e) => this.events.push(e));
+
+  this.player.tech_.error({code: 4});
+  this.clock.tick(1);
+
+  assert.strictEqual(this.events.length, 1, 'the player fell back');
+  assert.strictEqual(this.events[0].tech, 'retryTechFaker', 'to the next tech');
+  assert.strictEqual(this.player.techName_, 'RetryTechFaker', 'the next tech was loaded');
+  assert.strictEqual(this.player.error(), null, 'the error was not shown');
+
+  this.player.tech_.error({code: 4});
+
+  assert.strictEqual(this.player.error().code, 4, 'the error was shown when every tech failed');
+
+  this.player.src(sources[0]);
+  this.clock.tick(1);
+
+  assert.strictEqual(this.player.techName_, 'TechFaker', 'the first tech is used again for new sources');
+});
@@ -2,6 +2,7 @@
 import TestHelpers from './test-helpers.js';
 import sinon from 'sinon';
 import computedStyle from '../../src/js/utils/computed-style.js';
+import {createTimeRanges} from '../../src/js/utils/time-ranges.js';
 
 QUnit.module('SeekToLive', () => {
   QUnit.module('live with liveui', {
@@ -82,6 +83,15 @@ QUnit.module('SeekToLive', () => {
     }
   });
 
+  QUnit.test('is hidden when the live window is too short to seek in', function(assert) {
+    this.player.seekable = () => createTimeRanges(0, 10);
+    this.player.duration(Infinity);
+    this.player.trigger('durationchange');
+
+    assert.notOk(this.player.hasClass('vjs-liveui'), 'the liveui is not used');
+    assert.equal(this.getComputedDisplay(), 'none', 'is hidden');
+  });
+
   QUnit.test('should not show or track', function(assert) {
     assert.equal(this.getComputedDisplay(), 'none', 'is hidden');
   });
@@ -89,6 +99,7 @@ QUnit.module('SeekToLive', () => {
   QUnit.test('switch to live', function(assert) {
     assert.equal(this.getComputedDisplay(), 'none', 'is hidden');
 
+    this.player.seekable = () => createTimeRanges(0, 60);
     this.player.duration(Infinity);
     this.player.trigger('durationchange');
 
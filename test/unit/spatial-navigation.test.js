@@ -0,0 +1,155 @@
+/* eslint-env qunit */
+import TestHelpers from './test-helpers.js';
+import Component from '../../src/js/component.js';
+import sinon from 'sinon';
+import document from 'global/document';
+
+// Give a component a layout, since there is none in the tests
+const place = (component, left, top, width, height) => {
+  component.el().getBoundingClientRect = () => ({
+    left,
+    top,
+    width,
+    height,
+    right: left + width,
+    bottom: top + height
+  });
+};
+
+QUnit.module('SpatialNavigation', {
+  beforeEach() {
+    this.player = TestHelpers.makePlayer({
+      controls: true,
+      playbackRates: [1, 2],
+      spatialNavigation: true
+    });
+    this.navigation = this.player.spatialNavigation();
+
+    const controlBar = this.player.controlBar;
+
+    // the player is 300x150, with the control bar at the bottom and the
+    // progress control above the other controls
+    place(this.player.bigPlayButton, 135, 60, 30, 30);
+    place(controlBar.progressControl.seekBar, 0, 100, 300, 10);
+    place(controlBar.playToggle, 0, 120, 30, 30);
+    place(controlBar.playbackRateMenuButton.menuButton_, 240, 120, 30, 30);
+    place(controlBar.fullscreenToggle, 270, 120, 30, 30);
+  },
+  afterEach() {
+    this.player.dispose();
+  }
+});
+
+QUnit.test('is only created with the spatialNavigation option', function(assert) {
+  const player = TestHelpers.makePlayer();
+
+  assert.strictEqual(player.spatialNavigation(), undefined, 'there is no spatial navigation by default');
+  assert.ok(this.navigation, 'the spatial navigation was created');
+  assert.deepEqual(this.navigation.options_.backKeys, [8, 27, 461, 10009], 'the default back keys are used');
+
+  player.dispose();
+});
+
+QUnit.test('only visible controls can be navigated to', function(assert) {
+  const controlBar = this.player.controlBar;
+
+  const expected = [
+    this.player.bigPlayButton,
+    controlBar.playToggle,
+    controlBar.progressControl.seekBar,
+    controlBar.playbackRateMenuButton.menuButton_,
+    controlBar.fullscreenToggle
+  ];
+
+  assert.deepEqual(
+    this.navigation.getComponents().map((component) => expected.indexOf(component)),
+    [0, 1, 2, 3, 4],
+    'the controls with a layout are returned in order'
+  );
+});
+
+QUnit.test('move focuses the nearest control in a direction', function(assert) {
+  const controlBar = this.player.controlBar;
+
+  assert.strictEqual(this.navigation.move('right'), this.player.bigPlayButton, 'the first control is focused without a focused control');
+
+  controlBar.playToggle.focus();
+
+  assert.strictEqual(this.navigation.move('right'), controlBar.playbackRateMenuButton.menuButton_, 'Right goes to the nearest control');
+  assert.strictEqual(this.navigation.getCurrentComponent(), controlBar.playbackRateMenuButton.menuButton_, 'the control has the focus');
+  assert.strictEqual(this.navigation.move('right'), controlBar.fullscreenToggle, 'Right goes on to the next control');
+  assert.strictEqual(this.navigation.move('right'), undefined, 'there is no control further right');
+  assert.strictEqual(this.navigation.getCurrentComponent(), controlBar.fullscreenToggle, 'the focus stays');
+  assert.strictEqual(this.navigation.move('up'), controlBar.progressControl.seekBar, 'Up goes to the progress control');
+  assert.strictEqual(this.navigation.move('up'), this.player.bigPlayButton, 'Up goes on to the big play button');
+  assert.strictEqual(this.navigation.move('down'), controlBar.progressControl.seekBar, 'Down goes back');
+});
+
+QUnit.test('the arrow keys move the focus instead of being hotkeys', function(assert) {
+  const controlBar = this.player.controlBar;
+  const seekBar = controlBar.progressControl.seekBar;
+
+  sinon.spy(seekBar, 'stepForward');
+
+  controlBar.playToggle.focus();
+  this.player.trigger({type: 'keydown', keyCode: 38});
+
+  assert.strictEqual(this.navigation.getCurrentComponent(), seekBar, 'Up moved the focus');
+
+  seekBar.trigger({type: 'keydown', keyCode: 39, bubbles: true});
+
+  assert.ok(seekBar.stepForward.calledOnce, 'the slider handled Right');
+  assert.strictEqual(this.navigation.getCurrentComponent(), seekBar, 'Right did not move the focus');
+
+  seekBar.trigger({type: 'keydown', keyCode: 38, bubbles: true});
+
+  assert.ok(seekBar.stepForward.calledOnce, 'the slider did not handle Up');
+  assert.strictEqual(this.navigation.getCurrentComponent(), this.player.bigPlayButton, 'Up moved the focus away from the slider');
+});
+
+QUnit.test('Back closes the open menu and then the open modal', function(assert) {
+  const menuButton = this.player.controlBar.playbackRateMenuButton;
+
+  menuButton.pressButton();
+
+  const modal = this.player.createModal('Modal content');
+
+  place(modal.getChild('closeButton'), 270, 0, 30, 30);
+
+  const components = this.navigation.getComponents();
+
+  assert.strictEqual(components.length, 1, 'only the modal can be navigated to while it is open');
+  assert.strictEqual(components[0], modal.getChild('closeButton'), 'the close button can be navigated to');
+
+  this.player.trigger({type: 'keydown', keyCode: 461});
+
+  assert.notOk(menuButton.buttonPressed_, 'Back closed the menu');
+  assert.ok(modal.opened(), 'the modal is still open');
+
+  this.player.trigger({type: 'keydown', keyCode: 461});
+
+  assert.notOk(modal.opened(), 'Back closed the modal');
+  assert.notOk(this.navigation.back(), 'there is nothing left to close');
+});
+
+QUnit.test('components can be added and removed', function(assert) {
+  const component = new Component(this.player, {
+    el: document.createElement('div')
+  });
+
+  component.el().tabIndex = 0;
+  document.getElementById('qunit-fixture').appendChild(component.el());
+  place(component, 320, 120, 100, 30);
+
+  this.player.controlBar.fullscreenToggle.focus();
+  assert.strictEqual(this.navigation.move('right'), undefined, 'components are not navigated to before they are added');
+
+  this.navigation.add(component);
+  assert.strictEqual(this.navigation.move('right'), component, 'an added component is navigated to');
+
+  this.navigation.remove(component);
+  this.player.controlBar.fullscreenToggle.focus();
+  assert.strictEqual(this.navigation.move('right'), undefined, 'a removed component is no longer navigated to');
+
+  component.dispose();
+});
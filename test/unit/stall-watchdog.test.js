@@ -0,0 +1,110 @@
+/* eslint-env qunit */
+import TestHelpers from './test-helpers.js';
+import MediaError from '../../src/js/media-error.js';
+import { createTimeRanges } from '../../src/js/utils/time-ranges.js';
+import sinon from 'sinon';
+
+QUnit.module('StallWatchdog', {
+  beforeEach() {
+    this.clock = sinon.useFakeTimers();
+    this.player = TestHelpers.makePlayer({stallWatchdog: true});
+    this.events = [];
+    this.player.on(['stallrecovery', 'stallrecovered'], (e) => this.events.push(e));
+
+    this.time = 10;
+    this.buffered = createTimeRanges(0, 0);
+    sinon.stub(this.player, 'paused').returns(false);
+    sinon.stub(this.player, 'seeking').returns(false);
+    sinon.stub(this.player, 'buffered', () => this.buffered);
+    TestHelpers.stubCurrentTime(this.player, this);
+
+    this.player.trigger('play');
+  },
+  afterEach() {
+    this.player.dispose();
+    this.clock.restore();
+  }
+});
+
+QUnit.test('is only created with the stallWatchdog option', function(assert) {
+  const player = TestHelpers.makePlayer();
+
+  assert.notOk(player.stallWatchdog_, 'there is no watchdog by default');
+  assert.ok(this.player.stallWatchdog_, 'the watchdog was created');
+
+  player.dispose();
+});
+
+QUnit.test('playback that advances is not a stall', function(assert) {
+  for (let i = 0; i < 40; i++) {
+    this.time += 0.5;
+    this.clock.tick(500);
+  }
+
+  assert.strictEqual(this.events.length, 0, 'nothing was recovered');
+  assert.strictEqual(this.player.error(), null, 'there is no error');
+});
+
+QUnit.test('small gaps in the buffered ranges are skipped', function(assert) {
+  this.buffered = createTimeRanges([[0, 10], [10.5, 30]]);
+
+  this.clock.tick(2500);
+  assert.strictEqual(this.events.length, 0, 'nothing was done before the recovery delay');
+
+  this.clock.tick(500);
+  assert.strictEqual(this.events.length, 1, 'the watchdog tried to recover');
+  assert.strictEqual(this.events[0].action, 'skipgap', 'the gap was skipped');
+  assert.strictEqual(this.events[0].from, 10, 'from the stuck time');
+  assert.strictEqual(this.events[0].to, 10.5, 'to the next buffered range');
+  assert.strictEqual(this.time, 10.5, 'the player seeked');
+
+  this.clock.tick(500);
+  assert.strictEqual(this.events[1].type, 'stallrecovered', 'playback advanced again');
+});
+
+QUnit.test('the current time is seeked again when data is buffered ahead', function(assert) {
+  this.buffered = createTimeRanges([[0, 30]]);
+
+  this.clock.tick(3000);
+
+  assert.strictEqual(this.events[0].action, 'reseek', 'the player seeked again');
+  assert.strictEqual(this.events[0].to, 10, 'to the current time');
+  assert.ok(this.player.currentTime.calledWith(10), 'the current time was set');
+
+  this.clock.tick(2000);
+
+  assert.strictEqual(this.events.length, 2, 'the watchdog tried again after the recovery delay');
+});
+
+QUnit.test('an error with details is shown when playback stays stuck', function(assert) {
+  this.buffered = createTimeRanges([[0, 10], [20, 30]]);
+
+  // the stall is noticed at the second check
+  this.clock.tick(15500);
+  assert.strictEqual(this.player.error(), null, 'there is no error before the timeout');
+
+  this.clock.tick(500);
+
+  const error = this.player.error();
+
+  assert.strictEqual(this.events.length, 0, 'a large gap is not skipped');
+  assert.strictEqual(error.code, MediaError.MEDIA_ERR_STALLED, 'the error is a stall');
+  assert.strictEqual(error.message, 'The media playback stalled and could not be recovered.', 'the error has a message');
+  assert.strictEqual(error.details.currentTime, 10, 'the details have the current time');
+  assert.strictEqual(error.details.stalledFor, 15000, 'the details have the stall duration');
+  assert.deepEqual(error.details.buffered, [[0, 10], [20, 30]], 'the details have the buffered ranges');
+  assert.strictEqual(error.details.bufferedAhead, 0, 'the details have the buffer ahead');
+  assert.strictEqual(error.details.recoveryAttempts, 0, 'the details have the recovery attempts');
+});
+
+QUnit.test('a paused player is not watched', function(assert) {
+  this.player.trigger('pause');
+  this.clock.tick(20000);
+
+  assert.strictEqual(this.player.error(), null, 'there is no error');
+
+  this.player.trigger('play');
+  this.clock.tick(10000);
+
+  assert.strictEqual(this.player.error(), null, 'the stall starts over when playing again');
+});
@@ -2,6 +2,8 @@
 import * as middleware from '../../../src/js/tech/middleware.js';
 import sinon from 'sinon';
 import window from 'global/window';
+import log from '../../../src/js/utils/log.js';
+import TestHelpers from '../test-helpers.js';
 
 QUnit.module('Middleware', {
   beforeEach(assert) {
@@ -536,3 +538,198 @@ QUnit.test('a middleware without a setSource gets chosen implicitly', function(a
 
   middleware.getMiddleware('video/foo').pop();
 });
+
+if (window.Promise) {
+  QUnit.test('middleware mediate waits for a middleware that returns a Promise', function(assert) {
+    const done = assert.async();
+    const calls = [];
+    let resolveSeek;
+
+    const mws = [{
+      callSetCurrentTime(time) {
+        calls.push('call1 ' + time);
+        return new window.Promise((resolve) => {
+          resolveSeek = resolve;
+        });
+      }
+    }, {
+      callSetCurrentTime(time) {
+        calls.push('call2 ' + time);
+        return time;
+      },
+      setCurrentTime(time) {
+        calls.push('set2 ' + time);
+        return time * 2;
+      }
+    }];
+    const tech = {
+      isDisposed: () => false,
+      setCurrentTime(time) {
+        calls.push('tech ' + time);
+      }
+    };
+
+    const result = middleware.mediate(mws, tech, 'setCurrentTime', 10);
+
+    assert.ok(result && typeof result.then === 'function', 'a Promise is returned');
+    assert.deepEqual(calls, ['call1 10'], 'the rest of the middleware and the tech wait');
+
+    resolveSeek(5);
+
+    result.then(() => {
+      assert.deepEqual(
+        calls,
+        ['call1 10', 'call2 5', 'set2 5', 'tech 10'],
+        'the resolved value is passed on, and then through the setters to the tech'
+      );
+      done();
+    });
+  });
+
+  QUnit.test('middleware mediate can be terminated asynchronously', function(assert) {
+    const done = assert.async();
+    let techPauses = 0;
+    let terminations = 0;
+
+    const terminate = (value) => ({
+      callPause() {
+        return value;
+      },
+      pause(terminated, returnValue) {
+        if (terminated && returnValue === null) {
+          terminations++;
+        }
+      }
+    });
+    const tech = {
+      isDisposed: () => false,
+      pause() {
+        techPauses++;
+      }
+    };
+
+    window.Promise.all([
+      middleware.mediate([terminate(window.Promise.resolve(middleware.TERMINATOR))], tech, 'pause'),
+      middleware.mediate([terminate(window.Promise.reject(new Error('no')))], tech, 'pause')
+    ]).then((results) => {
+      assert.deepEqual(results, [null, null], 'null is returned to the player');
+      assert.equal(techPauses, 0, 'the tech was not paused');
+      assert.equal(terminations, 2, 'the middleware detected the termination');
+      done();
+    });
+  });
+
+  QUnit.test('middleware mediate does not call a tech that was disposed in the meantime', function(assert) {
+    const done = assert.async();
+    const player = TestHelpers.makePlayer();
+    const tech = player.tech_;
+    const terminations = [];
+    let resolvePause;
+
+    const mws = [{
+      callPause() {
+        return new window.Promise((resolve) => {
+          resolvePause = resolve;
+        });
+      },
+      pause(terminated) {
+        terminations.push(terminated);
+      }
+    }];
+
+    sinon.spy(tech, 'pause');
+    sinon.spy(log, 'error');
+
+    const result = middleware.mediate(mws, tech, 'pause');
+
+    player.dispose();
+    resolvePause();
+
+    result.then((value) => {
+      assert.strictEqual(value, null, 'null is returned to the player');
+      assert.notOk(tech.pause.called, 'the disposed tech was not paused');
+      assert.deepEqual(terminations, [true], 'the middleware detected the termination');
+      assert.notOk(log.error.called, 'no errors were logged');
+
+      log.error.restore();
+      done();
+    });
+  });
+}
+
+QUnit.test('middleware mediate can change or terminate setCurrentTime', function(assert) {
+  const times = [];
+  let maxTime = 30;
+  const mws = [{
+    callSetCurrentTime(time) {
+      return time > maxTime ? middleware.TERMINATOR : time;
+    },
+    setCurrentTime() {
+      assert.ok(false, 'the setter is not called when terminated');
+    }
+  }];
+  const tech = {
+    setCurrentTime(time) {
+      times.push(time);
+    }
+  };
+
+  middleware.mediate(mws, tech, 'setCurrentTime', 40);
+
+  assert.deepEqual(times, [], 'the seek was terminated');
+
+  mws[0].setCurrentTime = (time) => time + 1;
+  maxTime = 50;
+  middleware.mediate(mws, tech, 'setCurrentTime', 40);
+
+  assert.deepEqual(times, [41], 'the seek went through the setter to the tech');
+});
+
+QUnit.test('middleware mediate reports a terminated seek to every middleware', function(assert) {
+  const results = [];
+  const report = (name) => (terminated, value) => results.push([name, terminated, value]);
+  const mws = [{
+    mediatedSetCurrentTime: report('first')
+  }, {
+    callSetCurrentTime(time) {
+      return time > 30 ? middleware.TERMINATOR : time;
+    },
+    mediatedSetCurrentTime: report('second')
+  }, {
+    callSetCurrentTime() {
+      assert.ok(false, 'middleware after the termination are not called');
+    },
+    mediatedSetCurrentTime: report('third')
+  }];
+  const tech = {
+    setCurrentTime() {
+      assert.ok(false, 'the tech is not called');
+    }
+  };
+
+  middleware.mediate(mws, tech, 'setCurrentTime', 40);
+
+  assert.deepEqual(
+    results,
+    [['third', true, null], ['second', true, null], ['first', true, null]],
+    'the termination was reported from right to left'
+  );
+});
+
+QUnit.test('more methods of the tech can be allowed', function(assert) {
+  assert.notOk('volume' in middleware.allowedGetters, 'volume is not a getter by default');
+  assert.notOk('setVolume' in middleware.allowedSetters, 'setVolume is not a setter by default');
+  assert.notOk('load' in middleware.allowedMediators, 'load is not a mediator by default');
+
+  middleware.allowGetter('volume');
+  middleware.allowSetter('setVolume');
+  middleware.allowMediator('load');
+
+  assert.ok('volume' in middleware.allowedGetters, 'volume is now a getter');
+  assert.ok('setVolume' in middleware.allowedSetters, 'setVolume is now a setter');
+  assert.ok('load' in middleware.allowedMediators, 'load is now a mediator');
+
+  delete middleware.allowedGetters.volume;
+  delete middleware.allowedSetters.setVolume;
+  delete middleware.allowedMediators.load;
+});
@@ -46,7 +46,9 @@ class TechFaker extends Tech {
     this.volume_ = value;
   }
 
-  setMuted() {}
+  setMuted(value) {
+    this.muted_ = value;
+  }
 
   setAutoplay(v) {
     if (!v) {
@@ -85,6 +87,10 @@ class TechFaker extends Tech {
     if (value !== last) {
       this.trigger('timeupdate');
     }
+
+    // `makePlayer` also uses the tech as a middleware, whose setters have to
+    // pass the value on
+    return this.currentTime_;
   }
 
   currentTime() {
@@ -115,7 +121,7 @@ class TechFaker extends Tech {
     return this.volume_ || 0;
   }
   muted() {
-    return false;
+    return this.muted_ || false;
   }
   autoplay() {
     return this.options_.autoplay || false;
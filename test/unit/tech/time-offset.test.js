@@ -0,0 +1,114 @@
+/* eslint-env qunit */
+import videojs from '../../../src/js/video.js';
+import TestHelpers from '../test-helpers.js';
+import { createTimeRanges } from '../../../src/js/utils/time-ranges.js';
+import sinon from 'sinon';
+
+// Get the start and end of every range, to compare them
+const getRanges = (ranges) => {
+  const result = [];
+
+  for (let i = 0; i < ranges.length; i++) {
+    result.push([ranges.start(i), ranges.end(i)]);
+  }
+
+  return result;
+};
+
+QUnit.module('TimeOffset', {
+  beforeEach() {
+    this.clock = sinon.useFakeTimers();
+    this.player = TestHelpers.makePlayer();
+    this.player.src({
+      src: 'http://example.com/recording.mp4',
+      type: 'video/mp4',
+      startTime: 600,
+      endTime: 1500
+    });
+    this.clock.tick(1);
+
+    this.tech = this.player.tech_;
+    this.tech.duration = () => 3600;
+    this.tech.ended = () => false;
+    this.tech.trigger('durationchange');
+  },
+  afterEach() {
+    this.player.dispose();
+    this.clock.restore();
+  }
+});
+
+QUnit.test('is registered for all sources', function(assert) {
+  assert.ok(videojs.middleware.allowGetter, 'the middleware can be extended');
+  assert.strictEqual(this.player.middleware_.length, 1, 'the middleware was selected for a clipped source');
+
+  this.player.src({src: 'http://example.com/video.mp4', type: 'video/mp4'});
+  this.clock.tick(1);
+  this.tech.setCurrentTime(700);
+
+  assert.strictEqual(this.player.middleware_.length, 0, 'the middleware was not selected for other sources');
+  assert.strictEqual(this.player.currentTime(), 700, 'the current time of other sources is not changed');
+});
+
+QUnit.test('playback starts at the startTime', function(assert) {
+  this.tech.trigger('loadedmetadata');
+
+  assert.strictEqual(this.tech.currentTime(), 600, 'the tech seeked to the start of the clip');
+  assert.strictEqual(this.player.currentTime(), 0, 'the clip is at its start');
+});
+
+QUnit.test('the current time and duration are moved into the clip', function(assert) {
+  assert.strictEqual(this.player.duration(), 900, 'the duration is the length of the clip');
+
+  this.tech.setCurrentTime(700);
+  assert.strictEqual(this.player.currentTime(), 100, 'the current time is moved by the startTime');
+
+  this.tech.setCurrentTime(500);
+  assert.strictEqual(this.player.currentTime(), 0, 'times before the clip are at its start');
+
+  this.tech.duration = () => 1000;
+  this.tech.trigger('durationchange');
+  assert.strictEqual(this.player.duration(), 400, 'the clip ends with the media');
+});
+
+QUnit.test('seeking is moved to the media and kept within the clip', function(assert) {
+  this.player.currentTime(100);
+  assert.strictEqual(this.tech.currentTime(), 700, 'the seek is moved by the startTime');
+
+  this.player.currentTime(2000);
+  assert.strictEqual(this.tech.currentTime(), 1500, 'seeking past the clip goes to its end');
+});
+
+QUnit.test('seekable and buffered ranges are cut to the clip', function(assert) {
+  this.tech.seekable = () => createTimeRanges(0, 3600);
+  this.tech.buffered = () => createTimeRanges([[0, 650], [700, 2000]]);
+
+  assert.deepEqual(getRanges(this.player.seekable()), [[0, 900]], 'the clip can be seeked');
+  assert.deepEqual(getRanges(this.player.buffered()), [[0, 50], [100, 900]], 'the buffered ranges are moved and cut');
+
+  this.tech.buffered = () => createTimeRanges(2000, 3000);
+
+  assert.strictEqual(this.player.buffered().length, 1, 'the player has an empty range');
+  assert.strictEqual(this.player.buffered().end(0), 0, 'nothing of the clip is buffered');
+});
+
+QUnit.test('ended is triggered at the end of the clip', function(assert) {
+  const ended = sinon.spy();
+
+  this.player.on('ended', ended);
+
+  this.tech.setCurrentTime(1499);
+  assert.ok(ended.notCalled, 'the clip has not ended yet');
+
+  this.tech.setCurrentTime(1500);
+  this.tech.trigger('timeupdate');
+
+  assert.ok(ended.calledOnce, 'ended was triggered once');
+  assert.ok(this.player.ended(), 'the player ended');
+  assert.strictEqual(this.player.currentTime(), 900, 'the clip is at its end');
+
+  this.player.play();
+
+  assert.strictEqual(this.tech.currentTime(), 600, 'playing again starts the clip over');
+  assert.notOk(this.player.ended(), 'the player has not ended');
+});
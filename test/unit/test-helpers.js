@@ -1,5 +1,6 @@
 import * as Dom from '../../src/js/utils/dom';
 import Player from '../../src/js/player.js';
+import sinon from 'sinon';
 import document from 'global/document';
 
 const TestHelpers = {
@@ -28,6 +29,52 @@ const TestHelpers = {
     return player;
   },
 
+  /**
+   * Creates an in-memory replacement for `window.localStorage`.
+   *
+   * @param  {Object} [items={}]
+   *         An object that holds the stored items, so tests can inspect
+   *         and change them.
+   *
+   * @return {Object}
+   *         An object with the `getItem`, `setItem` and `removeItem`
+   *         methods of the Storage API.
+   */
+  createStorage(items = {}) {
+    return {
+      getItem: (key) => items.hasOwnProperty(key) ? items[key] : null,
+      setItem: (key, value) => {
+        items[key] = String(value);
+      },
+      removeItem: (key) => {
+        delete items[key];
+      }
+    };
+  },
+
+  /**
+   * Stubs the `currentTime` method of a player, so that it reads and sets
+   * the `time` property of an object instead of the time of the tech.
+   *
+   * @param  {Player} player
+   *         The player to stub.
+   *
+   * @param  {Object} state
+   *         The object whose `time` property is the current time, usually
+   *         the test context.
+   *
+   * @return {Object}
+   *         The sinon stub.
+   */
+  stubCurrentTime(player, state) {
+    return sinon.stub(player, 'currentTime', (time) => {
+      if (time === undefined) {
+        return state.time;
+      }
+      state.time = time;
+    });
+  },
+
   getComputedStyle(el, rule) {
     if (document.defaultView && document.defaultView.getComputedStyle) {
       return document.defaultView.getComputedStyle(el, null).getPropertyValue(rule);
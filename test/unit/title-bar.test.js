@@ -0,0 +1,60 @@
+/* eslint-env qunit */
+import TestHelpers from './test-helpers.js';
+
+QUnit.module('TitleBar', {
+  beforeEach() {
+    this.player = TestHelpers.makePlayer();
+    this.titleBar = this.player.titleBar;
+  },
+  afterEach() {
+    this.player.dispose();
+  }
+});
+
+const text = (titleBar, key) => titleBar.el().querySelector(`.vjs-title-bar-${key}`).textContent;
+
+QUnit.test('is hidden without a title or description', function(assert) {
+  assert.ok(this.titleBar.hasClass('vjs-hidden'), 'the title bar is hidden');
+  assert.strictEqual(this.titleBar.el().getAttribute('aria-live'), 'polite', 'changes are announced');
+});
+
+QUnit.test('shows the title and description of loaded media', function(assert) {
+  this.player.loadMedia({
+    src: 'foo.mp4',
+    title: 'Foo',
+    description: 'The first video'
+  });
+
+  assert.notOk(this.titleBar.hasClass('vjs-hidden'), 'the title bar is shown');
+  assert.strictEqual(text(this.titleBar, 'title'), 'Foo', 'the title is shown');
+  assert.strictEqual(text(this.titleBar, 'description'), 'The first video', 'the description is shown');
+
+  this.player.loadMedia({
+    src: 'bar.mp4',
+    title: 'Bar'
+  });
+
+  assert.strictEqual(text(this.titleBar, 'title'), 'Bar', 'the title was replaced');
+  assert.strictEqual(text(this.titleBar, 'description'), '', 'the description was removed');
+  assert.ok(this.titleBar.el().querySelector('.vjs-title-bar-description.vjs-hidden'), 'the description is hidden');
+
+  this.player.reset();
+
+  assert.ok(this.titleBar.hasClass('vjs-hidden'), 'the title bar is hidden after a reset');
+});
+
+QUnit.test('update() changes the given text only', function(assert) {
+  this.titleBar.update({title: 'Foo'});
+
+  assert.notOk(this.titleBar.hasClass('vjs-hidden'), 'the title bar is shown');
+  assert.strictEqual(text(this.titleBar, 'title'), 'Foo', 'the title is shown');
+
+  this.titleBar.update({description: 'The first video'});
+
+  assert.strictEqual(text(this.titleBar, 'title'), 'Foo', 'the title is kept');
+  assert.strictEqual(text(this.titleBar, 'description'), 'The first video', 'the description is shown');
+
+  this.titleBar.update({title: '', description: ''});
+
+  assert.ok(this.titleBar.hasClass('vjs-hidden'), 'the title bar is hidden without text');
+});
@@ -0,0 +1,96 @@
+/* eslint-env qunit */
+import QualityLevelList from '../../../src/js/tracks/quality-level-list.js';
+import QualityLevel from '../../../src/js/tracks/quality-level.js';
+
+QUnit.module('QualityLevelList');
+
+QUnit.test('can add and remove quality levels', function(assert) {
+  const list = new QualityLevelList();
+  const events = [];
+
+  list.on(['addqualitylevel', 'removequalitylevel'], (e) => events.push(e.type + ':' + e.qualityLevel.id));
+
+  const low = list.addQualityLevel({id: 'low', height: 360});
+  const high = list.addQualityLevel({id: 'high', height: 720});
+
+  assert.ok(low instanceof QualityLevel, 'a quality level was created');
+  assert.equal(list.length, 2, 'both levels were added');
+  assert.strictEqual(list[1], high, 'levels can be accessed by index');
+  assert.strictEqual(list.getQualityLevelById('low'), low, 'levels can be found by id');
+  assert.strictEqual(list.addQualityLevel({id: 'low'}), low, 'levels with the same id are not added again');
+
+  assert.strictEqual(list.removeQualityLevel(low), low, 'the removed level is returned');
+  assert.strictEqual(list.removeQualityLevel(low), null, 'levels are only removed once');
+  assert.equal(list.length, 1, 'one level is left');
+  assert.strictEqual(list[0], high, 'the levels after the removed level move up');
+
+  assert.deepEqual(events, [
+    'addqualitylevel:low',
+    'addqualitylevel:high',
+    'removequalitylevel:low'
+  ], 'the events were fired');
+});
+
+QUnit.test('setSelectedIndex reports the playing quality level', function(assert) {
+  const list = new QualityLevelList();
+  let changes = 0;
+
+  list.addQualityLevel({id: 'a'});
+  list.addQualityLevel({id: 'b'});
+  list.addQualityLevel({id: 'c'});
+  list.on('change', () => changes++);
+
+  assert.equal(list.selectedIndex, -1, 'no level is playing at first');
+
+  list.setSelectedIndex(2);
+  list.setSelectedIndex(2);
+  list.setSelectedIndex(3);
+  list.selectedIndex = 0;
+
+  assert.equal(list.selectedIndex, 2, 'only valid indices can be selected');
+  assert.equal(changes, 1, 'change fired once');
+
+  list.removeQualityLevel(list[0]);
+  assert.equal(list.selectedIndex, 1, 'the index follows the playing level');
+
+  list.removeQualityLevel(list[1]);
+  assert.equal(list.selectedIndex, -1, 'removing the playing level resets the index');
+});
+
+QUnit.test('enabling and disabling quality levels', function(assert) {
+  const list = new QualityLevelList();
+  const calls = [];
+  let enabled = true;
+  let changes = 0;
+
+  const level = list.addQualityLevel({
+    id: 'a',
+    enabled(value) {
+      if (value !== undefined) {
+        calls.push(value);
+        enabled = value;
+      }
+      return enabled;
+    }
+  });
+  const other = list.addQualityLevel({id: 'b'});
+
+  list.on('change', () => changes++);
+
+  assert.ok(level.enabled, 'the enabled state comes from the representation');
+  assert.ok(other.enabled, 'levels without an enabled function are enabled');
+
+  level.enabled = false;
+  level.enabled = false;
+  level.enabled = 'true';
+  other.enabled = false;
+
+  assert.deepEqual(calls, [false], 'the representation was disabled once');
+  assert.notOk(level.enabled, 'the level is disabled');
+  assert.notOk(other.enabled, 'the other level is disabled');
+  assert.equal(changes, 2, 'change fired for each real change');
+
+  list.removeQualityLevel(other);
+  other.enabled = true;
+  assert.equal(changes, 2, 'removed levels do not fire change');
+});
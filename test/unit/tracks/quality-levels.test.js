@@ -0,0 +1,69 @@
+/* eslint-env qunit */
+import TestHelpers from '../test-helpers.js';
+import QualityMenuItem from '../../../src/js/control-bar/quality-controls/quality-menu-item.js';
+import sinon from 'sinon';
+
+QUnit.module('Quality Levels', {
+  beforeEach(assert) {
+    this.clock = sinon.useFakeTimers();
+    this.player = TestHelpers.makePlayer();
+    this.levels = this.player.qualityLevels();
+    this.button = this.player.controlBar.qualityMenuButton;
+  },
+  afterEach(assert) {
+    this.player.dispose();
+    this.clock.restore();
+  }
+});
+
+QUnit.test('Player quality levels come from the tech', function(assert) {
+  assert.strictEqual(this.levels, this.player.tech_.qualityLevels(), 'the player uses the list of the tech');
+
+  this.levels.addQualityLevel({id: 'a'});
+  this.player.tech_.clearQualityLevels();
+
+  assert.equal(this.levels.length, 0, 'the tech can clear the list');
+});
+
+QUnit.test('the quality menu is hidden unless there are multiple levels', function(assert) {
+  assert.ok(this.button.hasClass('vjs-hidden'), 'hidden without levels');
+
+  this.levels.addQualityLevel({id: 'low', height: 360});
+  assert.ok(this.button.hasClass('vjs-hidden'), 'hidden with one level');
+
+  this.levels.addQualityLevel({id: 'high', height: 720});
+  assert.notOk(this.button.hasClass('vjs-hidden'), 'shown with two levels');
+  assert.deepEqual(
+    this.button.items.map((item) => item.options_.label),
+    ['Auto', '720p', '360p'],
+    'an Auto item and an item per level, highest first'
+  );
+});
+
+QUnit.test('selecting quality levels from the menu', function(assert) {
+  const low = this.levels.addQualityLevel({id: 'low', height: 360});
+  const high = this.levels.addQualityLevel({id: 'high', height: 720});
+  const [auto, highItem, lowItem] = this.button.items;
+
+  assert.ok(auto.isSelected_, 'Auto is selected while all levels are enabled');
+
+  lowItem.handleClick();
+  assert.ok(low.enabled, 'the chosen level is enabled');
+  assert.notOk(high.enabled, 'the other level is disabled');
+  assert.ok(lowItem.isSelected_, 'the chosen item is selected');
+  assert.notOk(auto.isSelected_, 'Auto is not selected');
+  assert.notOk(highItem.isSelected_, 'the other item is not selected');
+
+  auto.handleClick();
+  assert.ok(low.enabled && high.enabled, 'Auto enables all levels');
+  assert.ok(auto.isSelected_, 'Auto is selected again');
+  assert.notOk(lowItem.isSelected_, 'the level is not selected anymore');
+});
+
+QUnit.test('quality level labels', function(assert) {
+  assert.equal(QualityMenuItem.label({label: 'HD', height: 720}), 'HD', 'a label is used as is');
+  assert.equal(QualityMenuItem.label({height: 1080, bitrate: 5000000}), '1080p', 'the height is used');
+  assert.equal(QualityMenuItem.label({height: 720, bitrate: 2500000}, true), '720p, 2.5 Mbps', 'the bitrate can be added');
+  assert.equal(QualityMenuItem.label({bitrate: 128000}), '128 kbps', 'the bitrate is used without a height');
+  assert.equal(QualityMenuItem.label({}), 'Unknown', 'levels without any information are unknown');
+});
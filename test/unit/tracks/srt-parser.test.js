@@ -0,0 +1,78 @@
+/* eslint-env qunit */
+import parseSrt from '../../../src/js/tracks/srt-parser.js';
+
+QUnit.module('SRT Parser');
+
+QUnit.test('parses cue timings and text', function(assert) {
+  const cues = parseSrt([
+    '1',
+    '00:00:01,000 --> 00:00:04,500',
+    'First line',
+    'Second line',
+    '',
+    '2',
+    '01:02:03.4 --> 01:02:05,040',
+    'Another cue',
+    ''
+  ].join('\r\n'));
+
+  assert.equal(cues.length, 2, 'two cues were parsed');
+  assert.equal(cues[0].startTime, 1, 'first start time');
+  assert.equal(cues[0].endTime, 4.5, 'first end time');
+  assert.equal(cues[0].text, 'First line\nSecond line', 'multiple lines are kept');
+  assert.equal(cues[1].startTime, 3723.4, 'short fractions are milliseconds');
+  assert.equal(cues[1].endTime, 3725.04, 'second end time');
+});
+
+QUnit.test('skips blocks without timings or text', function(assert) {
+  const cues = parseSrt([
+    '1',
+    'not a timing',
+    'Text',
+    '',
+    '2',
+    '00:00:01,000 --> 00:00:02,000',
+    '',
+    '',
+    '00:00:03,000 --> 00:00:04,000',
+    'Without a counter'
+  ].join('\n'));
+
+  assert.equal(cues.length, 1, 'only the valid cue was parsed');
+  assert.equal(cues[0].text, 'Without a counter', 'the counter is optional');
+});
+
+QUnit.test('keeps bold, italic and underline tags and removes other tags', function(assert) {
+  const cues = parseSrt([
+    '1',
+    '00:00:01,000 --> 00:00:02,000',
+    '<I>italic</I> <b>bold</b> <u>underline</u> <font color="#ff0000">red</font>'
+  ].join('\n'));
+
+  assert.equal(cues[0].text, '<i>italic</i> <b>bold</b> <u>underline</u> red', 'the text was converted');
+});
+
+QUnit.test('applies alignment overrides', function(assert) {
+  const cues = parseSrt([
+    '1',
+    '00:00:01,000 --> 00:00:02,000',
+    '{\\an8}Top',
+    '',
+    '2',
+    '00:00:02,000 --> 00:00:03,000',
+    '{\\an1}{\\pos(10,10)}Bottom left',
+    '',
+    '3',
+    '00:00:03,000 --> 00:00:04,000',
+    '{\\an6}Middle right'
+  ].join('\n'));
+
+  assert.equal(cues[0].text, 'Top', 'the override was removed from the text');
+  assert.equal(cues[0].line, 0, 'the cue is at the top');
+  assert.equal(cues[1].text, 'Bottom left', 'other overrides are removed');
+  assert.equal(cues[1].line, 'auto', 'the cue is at the bottom');
+  assert.equal(cues[1].align, 'left', 'the cue is on the left');
+  assert.notOk(cues[2].snapToLines, 'the cue is positioned by percentage');
+  assert.equal(cues[2].line, 50, 'the cue is in the middle');
+  assert.equal(cues[2].align, 'right', 'the cue is on the right');
+});
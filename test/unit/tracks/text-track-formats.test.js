@@ -0,0 +1,100 @@
+/* eslint-env qunit */
+import window from 'global/window';
+import TechFaker from '../tech/tech-faker';
+import TextTrack from '../../../src/js/tracks/text-track.js';
+import {registerFormat, getFormat, findFormat, createCue} from '../../../src/js/tracks/text-track-formats.js';
+import sinon from 'sinon';
+
+QUnit.module('Text Track Formats', {
+  beforeEach() {
+    this.clock = sinon.useFakeTimers();
+    this.tech = new TechFaker();
+    this.reqs = [];
+    this.oldParser = getFormat('application/x-test');
+
+    window.xhr.onCreate = (req) => {
+      this.reqs.push(req);
+    };
+  },
+  afterEach() {
+    registerFormat('application/x-test', this.oldParser);
+    window.xhr.onCreate = null;
+    this.tech.dispose();
+    this.clock.restore();
+  }
+});
+
+QUnit.test('has parsers for WebVTT, SubRip and TTML', function(assert) {
+  assert.equal(typeof getFormat('text/vtt'), 'function', 'WebVTT has a parser');
+  assert.equal(typeof getFormat('application/x-subrip'), 'function', 'SubRip has a parser');
+  assert.equal(typeof getFormat('application/ttml+xml'), 'function', 'TTML has a parser');
+  assert.equal(getFormat('application/x-unknown'), undefined, 'unknown formats have no parser');
+});
+
+QUnit.test('registerFormat and getFormat ignore the case of the type', function(assert) {
+  const parser = () => [];
+
+  registerFormat('Application/X-Test', parser);
+
+  assert.equal(getFormat('application/x-test'), parser, 'the parser was registered');
+  assert.equal(getFormat('APPLICATION/X-TEST'), parser, 'the parser is found in any case');
+});
+
+QUnit.test('findFormat picks a parser by response type, then extension', function(assert) {
+  const vtt = getFormat('text/vtt');
+  const srt = getFormat('application/x-subrip');
+  const ttml = getFormat('application/ttml+xml');
+
+  assert.equal(findFormat('captions.vtt', 'application/x-subrip; charset=utf-8'), srt, 'the response type is used first');
+  assert.equal(findFormat('captions.srt', 'text/plain'), srt, 'the extension is used for unknown response types');
+  assert.equal(findFormat('captions.dfxp?v=1'), ttml, 'the extension is used without a response type');
+  assert.equal(findFormat('captions.TTML'), ttml, 'extensions ignore case');
+  assert.equal(findFormat('captions.txt', 'text/plain'), vtt, 'WebVTT is used for unknown formats');
+  assert.equal(findFormat(), vtt, 'WebVTT is used without a src');
+});
+
+QUnit.test('createCue creates a cue that can be added to a track', function(assert) {
+  const cue = createCue(1, 2, 'text');
+
+  assert.ok(cue instanceof window.vttjs.VTTCue, 'the cue is a VTTCue');
+  assert.equal(cue.startTime, 1, 'the start time is set');
+  assert.equal(cue.endTime, 2, 'the end time is set');
+  assert.equal(cue.text, 'text', 'the text is set');
+});
+
+QUnit.test('loaded tracks are parsed with the parser for their format', function(assert) {
+  const loadeddata = sinon.spy();
+  const tt = new TextTrack({
+    tech: this.tech,
+    mode: 'hidden',
+    src: 'http://example.com/captions.txt'
+  });
+
+  registerFormat('application/x-test', (content, track) => {
+    assert.equal(track, tt, 'the parser gets the track');
+
+    return content.split('\n').map((line, i) => createCue(i, i + 1, line));
+  });
+
+  tt.addEventListener('loadeddata', loadeddata);
+  this.reqs.pop().respond(200, {'Content-Type': 'application/x-test'}, 'one\ntwo');
+
+  assert.equal(tt.cues.length, 2, 'the parsed cues were added');
+  assert.equal(tt.cues[1].text, 'two', 'the cues have the parsed text');
+  assert.ok(loadeddata.calledOnce, 'loadeddata was triggered');
+});
+
+QUnit.test('loaded tracks are parsed by extension without a known response type', function(assert) {
+  const tt = new TextTrack({
+    tech: this.tech,
+    mode: 'hidden',
+    src: 'http://example.com/captions.srt'
+  });
+
+  this.reqs.pop().respond(200, {'Content-Type': 'text/plain'}, '1\n00:00:01,000 --> 00:00:02,500\nHello\n');
+
+  assert.equal(tt.cues.length, 1, 'the SubRip cue was added');
+  assert.equal(tt.cues[0].startTime, 1, 'the cue has the right start time');
+  assert.equal(tt.cues[0].endTime, 2.5, 'the cue has the right end time');
+  assert.equal(tt.cues[0].text, 'Hello', 'the cue has the right text');
+});
@@ -243,6 +243,32 @@ QUnit.test('can only remove one cue at a time', function(assert) {
   assert.equal(tt.cues.length, 0, 'we have removed the other instance of cue1');
 });
 
+QUnit.test('fires addcue and removecue when cues are added and removed', function(assert) {
+  const tt = new TextTrack({
+    tech: this.tech
+  });
+  const events = [];
+  const handler = (event) => events.push(event);
+
+  tt.addEventListener('addcue', handler);
+  tt.addEventListener('removecue', handler);
+
+  tt.addCue({id: '1', startTime: 0, endTime: 1, text: 'cue'});
+  assert.strictEqual(events.length, 1, 'one event was fired');
+  assert.strictEqual(events[0].type, 'addcue', 'addcue was fired');
+  assert.strictEqual(events[0].cue, tt.cues[0], 'with the cue that was added');
+
+  const cue = tt.cues[0];
+
+  tt.removeCue({id: '2'});
+  assert.strictEqual(events.length, 1, 'nothing was fired for a cue that is not in the track');
+
+  tt.removeCue(cue);
+  assert.strictEqual(events.length, 2, 'another event was fired');
+  assert.strictEqual(events[1].type, 'removecue', 'removecue was fired');
+  assert.strictEqual(events[1].cue, cue, 'with the cue that was removed');
+});
+
 QUnit.test('does not fire cuechange before Tech is ready', function(assert) {
   const done = assert.async();
   const player = TestHelpers.makePlayer({techfaker: {autoReady: false}});
@@ -0,0 +1,86 @@
+/* eslint-env qunit */
+import parseTtml from '../../../src/js/tracks/ttml-parser.js';
+
+const ttml = (head, body, attributes = '') => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<tt xmlns="http://www.w3.org/ns/ttml" xmlns:tts="http://www.w3.org/ns/ttml#styling"',
+  ` xmlns:ttp="http://www.w3.org/ns/ttml#parameter" ${attributes}>`,
+  `<head>${head}</head>`,
+  `<body>${body}</body>`,
+  '</tt>'
+].join('\n');
+
+QUnit.module('TTML Parser');
+
+QUnit.test('parses paragraphs into cues', function(assert) {
+  const cues = parseTtml(ttml('', `
+    <div begin="10s">
+      <p begin="00:00:01.500" end="00:00:03">First
+        line<br/>Second &amp; line</p>
+      <p begin="4s" dur="500ms">Another cue</p>
+      <p begin="5s">No end</p>
+    </div>
+  `));
+
+  assert.equal(cues.length, 2, 'cues were only parsed for paragraphs with an end');
+  assert.equal(cues[0].startTime, 11.5, 'the begin of the div is added to the start time');
+  assert.equal(cues[0].endTime, 13, 'the begin of the div is added to the end time');
+  assert.equal(cues[0].text, 'First line\nSecond &amp; line', 'whitespace was collapsed and the text escaped');
+  assert.equal(cues[1].startTime, 14, 'offset times are supported');
+  assert.equal(cues[1].endTime, 14.5, 'durations are supported');
+});
+
+QUnit.test('supports frames and ticks', function(assert) {
+  const cues = parseTtml(ttml('', `
+    <p begin="00:00:01:12" end="48f">Frames</p>
+    <p begin="20000t" end="30000t">Ticks</p>
+  `, 'ttp:frameRate="24" ttp:tickRate="10000"'));
+
+  assert.equal(cues[0].startTime, 1.5, 'clock times with frames use the frame rate');
+  assert.equal(cues[0].endTime, 2, 'frame offsets use the frame rate');
+  assert.equal(cues[1].startTime, 2, 'tick offsets use the tick rate');
+  assert.equal(cues[1].endTime, 3, 'tick offsets use the tick rate');
+});
+
+QUnit.test('converts styling to cue text tags', function(assert) {
+  const cues = parseTtml(ttml(`
+    <styling>
+      <style xml:id="italic" tts:fontStyle="italic"/>
+      <style xml:id="emphasis" style="italic" tts:fontWeight="bold"/>
+    </styling>
+  `, `
+    <p begin="0s" end="1s"><span style="italic">a</span> <span tts:textDecoration="underline">b</span></p>
+    <p begin="1s" end="2s" style="emphasis">c</p>
+  `));
+
+  assert.equal(cues[0].text, '<i>a</i> <u>b</u>', 'span styles were converted');
+  assert.equal(cues[1].text, '<b><i>c</i></b>', 'referenced styles were converted');
+});
+
+QUnit.test('positions cues in their region', function(assert) {
+  const cues = parseTtml(ttml(`
+    <layout>
+      <region xml:id="top" tts:origin="10% 10%" tts:extent="80% 20%"/>
+      <region xml:id="bottom" tts:origin="10% 70%" tts:extent="40% 20%" tts:displayAlign="after"/>
+    </layout>
+  `, `
+    <div region="top">
+      <p begin="0s" end="1s">Top</p>
+      <p begin="1s" end="2s" region="bottom" tts:textAlign="left">Bottom</p>
+    </div>
+  `));
+
+  assert.notOk(cues[0].snapToLines, 'the cue is positioned by percentage');
+  assert.equal(cues[0].line, 10, 'the cue is at the top of the region');
+  assert.equal(cues[0].size, 80, 'the cue is as wide as the region');
+  assert.equal(cues[0].position, 50, 'the cue is in the center of the region');
+
+  assert.equal(cues[1].line, 90, 'the cue is at the bottom of the region');
+  assert.equal(cues[1].lineAlign, 'end', 'the cue is aligned to the bottom of the region');
+  assert.equal(cues[1].align, 'left', 'the text alignment was applied');
+  assert.equal(cues[1].position, 10, 'the cue is on the left of the region');
+});
+
+QUnit.test('returns no cues for invalid documents', function(assert) {
+  assert.deepEqual(parseTtml('not xml'), [], 'no cues were parsed');
+});
@@ -0,0 +1,32 @@
+/* eslint-env qunit */
+import { bufferedPercent, bufferedAhead, nextBufferedStart } from '../../../src/js/utils/buffer.js';
+import { createTimeRanges } from '../../../src/js/utils/time-ranges.js';
+
+QUnit.module('buffer');
+
+QUnit.test('bufferedPercent adds up the buffered ranges', function(assert) {
+  const buffered = createTimeRanges([[0, 10], [20, 30]]);
+
+  assert.equal(bufferedPercent(buffered, 40), 0.5, 'half of the media is buffered');
+  assert.equal(bufferedPercent(buffered, 0), 0, 'nothing is buffered without a duration');
+  assert.equal(bufferedPercent(createTimeRanges([[0, 40.1]]), 40), 1, 'the end is limited to the duration');
+});
+
+QUnit.test('bufferedAhead returns the seconds buffered ahead of a time', function(assert) {
+  const buffered = createTimeRanges([[0, 10], [20, 30]]);
+
+  assert.equal(bufferedAhead(buffered, 4), 6, 'the rest of the range is buffered ahead');
+  assert.equal(bufferedAhead(buffered, 20), 10, 'the start of a range is buffered');
+  assert.equal(bufferedAhead(buffered, 10), 0, 'the end of a range is not buffered');
+  assert.equal(bufferedAhead(buffered, 15), 0, 'nothing is buffered in a gap');
+  assert.equal(bufferedAhead(null, 15), 0, 'nothing is buffered without ranges');
+});
+
+QUnit.test('nextBufferedStart returns the start of the next buffered range', function(assert) {
+  const buffered = createTimeRanges([[0, 10], [20, 30], [12, 15]]);
+
+  assert.equal(nextBufferedStart(buffered, 10), 12, 'the nearest range after the time is found');
+  assert.equal(nextBufferedStart(buffered, 4), 12, 'the range the time is in is skipped');
+  assert.strictEqual(nextBufferedStart(buffered, 25), null, 'there is no range after the last one');
+  assert.strictEqual(nextBufferedStart(null, 0), null, 'there is no range without ranges');
+});
@@ -0,0 +1,13 @@
+/* eslint-env qunit */
+import skipTime from '../../../src/js/utils/skip-time.js';
+
+QUnit.module('skip-time');
+
+QUnit.test('gets the number of seconds to skip by from the control bar options', function(assert) {
+  const playerOptions = {controlBar: {skipButtons: {forward: 10, backward: -5}}};
+
+  assert.strictEqual(skipTime(playerOptions, 'forward'), 10, 'gets the forward step');
+  assert.strictEqual(skipTime(playerOptions, 'backward'), 0, 'steps must be positive');
+  assert.strictEqual(skipTime({controlBar: {}}, 'forward'), 0, 'the option can be left out');
+  assert.strictEqual(skipTime(undefined, 'forward'), 0, 'the player options can be left out');
+});
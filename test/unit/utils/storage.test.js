@@ -0,0 +1,46 @@
+/* eslint-env qunit */
+import sinon from 'sinon';
+import TestHelpers from '../test-helpers.js';
+import log from '../../../src/js/utils/log.js';
+import * as Storage from '../../../src/js/utils/storage.js';
+
+QUnit.module('utils/storage', {
+  beforeEach() {
+    this.items = {};
+    this.storage = TestHelpers.createStorage(this.items);
+    sinon.stub(log, 'warn');
+  },
+  afterEach() {
+    log.warn.restore();
+  }
+});
+
+QUnit.test('setJSON, getJSON and removeItem', function(assert) {
+  Storage.setJSON(this.storage, 'foo', {bar: [1, 2]});
+  assert.equal(this.items.foo, '{"bar":[1,2]}', 'the value was stored as JSON');
+  assert.deepEqual(Storage.getJSON(this.storage, 'foo'), {bar: [1, 2]}, 'the value was parsed');
+
+  Storage.removeItem(this.storage, 'foo');
+  assert.notOk(this.items.hasOwnProperty('foo'), 'the value was removed');
+  assert.strictEqual(Storage.getJSON(this.storage, 'foo'), null, 'missing values are null');
+});
+
+QUnit.test('invalid values and failing storages only log warnings', function(assert) {
+  this.items.foo = 'not json';
+  assert.strictEqual(Storage.getJSON(this.storage, 'foo'), undefined, 'invalid JSON is ignored');
+
+  this.storage.setItem = () => {
+    throw new Error('QuotaExceededError');
+  };
+  Storage.setJSON(this.storage, 'foo', 1);
+
+  assert.equal(log.warn.callCount, 2, 'both problems were logged');
+});
+
+QUnit.test('does nothing without a storage', function(assert) {
+  Storage.setJSON(null, 'foo', 1);
+  Storage.removeItem(null, 'foo');
+
+  assert.strictEqual(Storage.getJSON(null, 'foo'), undefined, 'there is no value');
+  assert.notOk(log.warn.called, 'nothing was logged');
+});